@@ -0,0 +1,449 @@
+#!/usr/bin/env node
+/**
+ * @import {
+ *   AnchorAllow,
+ *   AuthRule,
+ *   HeadersRule,
+ *   LocalFolder,
+ *   ManyOptions,
+ *   Result
+ * } from 'dead-or-alive'
+ */
+
+import fs from 'node:fs/promises'
+import process from 'node:process'
+import {text} from 'node:stream/consumers'
+import {parseArgs} from 'node:util'
+import {
+  checkFiles,
+  createFileSystemCache,
+  deadOrAliveMany,
+  reportGitHub,
+  reportJsonLines,
+  reportJunit,
+  reportSarif
+} from 'dead-or-alive'
+import {VFile} from 'vfile'
+import {reporter} from 'vfile-reporter'
+
+const help = `Usage: dead-or-alive [options] [url...]
+       dead-or-alive --local [options] <path-or-glob...>
+
+Check if urls are dead or alive.
+
+URLs are taken from the arguments,
+from files given with \`--file\`,
+or from stdin (one URL per line, \`#\` starts a comment);
+use \`-\` to read stdin as well as arguments.
+
+With \`--local\`,
+links in local HTML and markdown files are checked instead;
+relative links and their fragments are checked against the files.
+
+Options:
+  -f, --file <path>                  read URLs from a file (repeatable)
+  -h, --help                         output usage information
+  -l, --local                        check links in local HTML and markdown
+                                     files (paths or globs)
+  -r, --reporter <name>              output a machine-readable report on stdout
+                                     (\`github\`, \`json\`, \`junit\`, or
+                                     \`sarif\`)
+  -v, --version                      output version number
+      --no-adapters                  do not use adapters for hosts
+      --anchor-allow '<url> <anchor>'
+                                     allow anchors matching \`anchor\` on URLs
+                                     matching \`url\` (regular expressions,
+                                     repeatable)
+      --auth '<url> <user>:<pass>'   send basic auth credentials to URLs
+                                     matching \`url\` (repeatable)
+      --cache <folder>               store responses in a folder
+      --cache-ttl <ms>               milliseconds that stored responses are fresh
+      --[no-]check-anchor            check whether hashes point to elements
+      --deadline <ms>                maximum milliseconds for a whole check
+      --[no-]find-urls               find further URLs
+      --[no-]follow-meta-http-equiv  follow HTML redirects
+      --header '<url> <name>: <value>'
+                                     send a request header to URLs matching
+                                     \`url\` (repeatable)
+      --local-folder '<prefix> <folder>'
+                                     respond to URLs starting with \`prefix\`
+                                     from files in \`folder\` (repeatable)
+      --max-bytes <bytes>            maximum bytes to read of a body
+      --max-concurrency <n>          maximum checks at the same time
+      --max-concurrency-per-origin <n>
+                                     maximum checks to one origin at the same
+                                     time
+      --max-redirects <n>            maximum redirects to follow
+      --max-retries <n>              maximum times to try again
+      --max-retry-after <ms>         maximum milliseconds to wait when asked to
+      --method <auto|get>            request method
+      --[no-]resolve-clobber-prefix  accept \`user-content-\` prefixes
+      --[no-]robots                  respect \`robots.txt\`
+      --sleep <ms>                   milliseconds to sleep between tries
+      --[no-]soft-404                detect missing pages responding with \`200\`
+      --timeout <ms>                 milliseconds for each request
+      --user-agent <string>          user agent
+
+Exits with \`1\` when a URL is dead or when interrupted, and \`2\` for bad
+usage.
+
+Examples:
+  dead-or-alive https://example.com https://example.com/#about
+  dead-or-alive --file urls.txt --max-retries 0
+  grep -o 'https://[^)]*' readme.md | dead-or-alive
+  dead-or-alive --local readme.md 'docs/**/*.md'`
+
+/** @satisfies {NonNullable<Parameters<typeof parseArgs>[0]>['options']} */
+const options = {
+  'anchor-allow': {multiple: true, type: 'string'},
+  auth: {multiple: true, type: 'string'},
+  cache: {type: 'string'},
+  'cache-ttl': {type: 'string'},
+  'check-anchor': {type: 'boolean'},
+  deadline: {type: 'string'},
+  file: {multiple: true, short: 'f', type: 'string'},
+  'find-urls': {type: 'boolean'},
+  'follow-meta-http-equiv': {type: 'boolean'},
+  header: {multiple: true, type: 'string'},
+  help: {short: 'h', type: 'boolean'},
+  local: {short: 'l', type: 'boolean'},
+  'local-folder': {multiple: true, type: 'string'},
+  'max-bytes': {type: 'string'},
+  'max-concurrency': {type: 'string'},
+  'max-concurrency-per-origin': {type: 'string'},
+  'max-redirects': {type: 'string'},
+  'max-retries': {type: 'string'},
+  'max-retry-after': {type: 'string'},
+  method: {type: 'string'},
+  'no-adapters': {type: 'boolean'},
+  'no-check-anchor': {type: 'boolean'},
+  'no-find-urls': {type: 'boolean'},
+  'no-follow-meta-http-equiv': {type: 'boolean'},
+  'no-resolve-clobber-prefix': {type: 'boolean'},
+  'no-robots': {type: 'boolean'},
+  'no-soft-404': {type: 'boolean'},
+  reporter: {short: 'r', type: 'string'},
+  'resolve-clobber-prefix': {type: 'boolean'},
+  robots: {type: 'boolean'},
+  sleep: {type: 'string'},
+  'soft-404': {type: 'boolean'},
+  timeout: {type: 'string'},
+  'user-agent': {type: 'string'},
+  version: {short: 'v', type: 'boolean'}
+}
+
+/** @type {Map<string, (results: Array<VFile> | Map<string, Result>) => string>} */
+const reporters = new Map([
+  ['github', reportGitHub],
+  ['json', reportJsonLines],
+  ['junit', reportJunit],
+  ['sarif', reportSarif]
+])
+
+try {
+  await main()
+} catch (error) {
+  const exception = /** @type {Error} */ (error)
+  process.exitCode = 2
+  console.error('dead-or-alive: ' + exception.message)
+}
+
+async function main() {
+  const {positionals, values} = parseArgs({
+    allowPositionals: true,
+    args: process.argv.slice(2),
+    options
+  })
+
+  if (values.help) {
+    console.log(help)
+    return
+  }
+
+  if (values.version) {
+    /** @type {{version: string}} */
+    const pack = JSON.parse(
+      await fs.readFile(new URL('package.json', import.meta.url), 'utf8')
+    )
+    console.log(pack.version)
+    return
+  }
+
+  const method = values.method
+  const report =
+    values.reporter === undefined ? undefined : reporters.get(values.reporter)
+
+  if (values.reporter !== undefined && !report) {
+    throw new Error(
+      'Unexpected reporter `' +
+        values.reporter +
+        '` for `--reporter`, expected `github`, `json`, `junit`, or `sarif`'
+    )
+  }
+
+  if (method !== undefined && method !== 'auto' && method !== 'get') {
+    throw new Error(
+      'Unexpected method `' +
+        method +
+        '` for `--method`, expected `auto` or `get`'
+    )
+  }
+
+  const sleep = toNumber(values.sleep, 'sleep')
+  const controller = new AbortController()
+
+  process.once('SIGINT', function () {
+    // Aborted checks are unknown, but an interrupted run is not complete.
+    process.exitCode = 1
+    controller.abort()
+  })
+
+  /** @type {ManyOptions} */
+  const settings = {
+    adapters: values['no-adapters'] ? [] : undefined,
+    anchorAllowlist: values['anchor-allow']?.map(function (value) {
+      const [url, anchor] = split(value, ' ', 'anchor-allow')
+      /** @type {AnchorAllow} */
+      const rule = [
+        toRegex(url, 'anchor-allow'),
+        toRegex(anchor, 'anchor-allow')
+      ]
+      return rule
+    }),
+    auth: values.auth?.map(function (value) {
+      const [url, credentials] = split(value, ' ', 'auth')
+      const [username, password] = split(credentials, ':', 'auth')
+      /** @type {AuthRule} */
+      const rule = [toRegex(url, 'auth'), username, password]
+      return rule
+    }),
+    cache:
+      values.cache === undefined
+        ? undefined
+        : createFileSystemCache(values.cache),
+    cacheTtl: toNumber(values['cache-ttl'], 'cache-ttl'),
+    checkAnchor: toBoolean(values['check-anchor'], values['no-check-anchor']),
+    deadline: toNumber(values.deadline, 'deadline'),
+    findUrls: toBoolean(values['find-urls'], values['no-find-urls']),
+    followMetaHttpEquiv: toBoolean(
+      values['follow-meta-http-equiv'],
+      values['no-follow-meta-http-equiv']
+    ),
+    headers: values.header?.map(function (value) {
+      const [url, header] = split(value, ' ', 'header')
+      const [name, headerValue] = split(header, ':', 'header')
+      /** @type {HeadersRule} */
+      const rule = [toRegex(url, 'header'), {[name]: headerValue.trim()}]
+      return rule
+    }),
+    localFolders: values['local-folder']?.map(function (value) {
+      /** @type {LocalFolder} */
+      const rule = split(value, ' ', 'local-folder')
+      return rule
+    }),
+    maxBytes: toNumber(values['max-bytes'], 'max-bytes'),
+    maxConcurrency: toNumber(values['max-concurrency'], 'max-concurrency'),
+    maxConcurrencyPerOrigin: toNumber(
+      values['max-concurrency-per-origin'],
+      'max-concurrency-per-origin'
+    ),
+    maxRedirects: toNumber(values['max-redirects'], 'max-redirects'),
+    maxRetries: toNumber(values['max-retries'], 'max-retries'),
+    maxRetryAfter: toNumber(values['max-retry-after'], 'max-retry-after'),
+    method,
+    resolveClobberPrefix: toBoolean(
+      values['resolve-clobber-prefix'],
+      values['no-resolve-clobber-prefix']
+    ),
+    robots: toBoolean(values.robots, values['no-robots']),
+    signal: controller.signal,
+    sleep:
+      sleep === undefined
+        ? undefined
+        : function () {
+            return sleep
+          },
+    soft404: toBoolean(values['soft-404'], values['no-soft-404']),
+    timeout: toNumber(values.timeout, 'timeout'),
+    userAgent: values['user-agent']
+  }
+
+  /** @type {Array<VFile> | undefined} */
+  let files
+  /** @type {Map<string, Result>} */
+  let results
+
+  if (values.local) {
+    if (positionals.length === 0) {
+      throw new Error('Unexpected missing files, pass `--help` for usage')
+    }
+
+    const checked = await checkFiles(positionals, settings)
+    files = checked.files
+    results = checked.results
+  } else {
+    results = await deadOrAliveMany(
+      await getHrefs(positionals, values.file),
+      settings
+    )
+  }
+
+  if (report) {
+    process.stdout.write(report(files || results))
+  } else {
+    console.error(reporter(files || toFiles(results)))
+  }
+
+  for (const result of results.values()) {
+    if (result.status === 'dead') process.exitCode = 1
+  }
+}
+
+/**
+ * @param {ReadonlyArray<string>} positionals
+ * @param {ReadonlyArray<string> | undefined} paths
+ * @returns {Promise<Array<string>>}
+ */
+async function getHrefs(positionals, paths) {
+  /** @type {Array<string>} */
+  const hrefs = []
+  let stdin = false
+
+  for (const value of positionals) {
+    if (value === '-') {
+      stdin = true
+    } else {
+      hrefs.push(value)
+    }
+  }
+
+  if (paths) {
+    for (const path of paths) {
+      // eslint-disable-next-line no-await-in-loop
+      hrefs.push(...lines(await fs.readFile(path, 'utf8')))
+    }
+  }
+
+  if (stdin || (hrefs.length === 0 && !process.stdin.isTTY)) {
+    hrefs.push(...lines(await text(process.stdin)))
+  }
+
+  if (hrefs.length === 0) {
+    throw new Error('Unexpected missing URLs, pass `--help` for usage')
+  }
+
+  for (const href of hrefs) {
+    if (!URL.canParse(href)) {
+      throw new Error('Unexpected invalid URL `' + href + '`')
+    }
+  }
+
+  return hrefs
+}
+
+/**
+ * @param {ReadonlyMap<string, Result>} results
+ * @returns {Array<VFile>}
+ */
+function toFiles(results) {
+  /** @type {Array<VFile>} */
+  const files = []
+
+  for (const [href, result] of results) {
+    const file = new VFile({path: href})
+    file.messages = result.messages
+
+    if (result.status === 'unknown') {
+      // Probably temporary failures do not fail the command.
+      result.messages[0].fatal = false
+    }
+
+    files.push(file)
+  }
+
+  return files
+}
+
+/**
+ * @param {string} value
+ * @returns {Array<string>}
+ */
+function lines(value) {
+  return value
+    .split(/\r?\n/)
+    .map(function (line) {
+      return line.replace(/(?:^|\s)#.*$/, '').trim()
+    })
+    .filter(Boolean)
+}
+
+/**
+ * @param {boolean | undefined} yes
+ * @param {boolean | undefined} no
+ * @returns {boolean | undefined}
+ */
+function toBoolean(yes, no) {
+  return no ? false : yes ? true : undefined
+}
+
+/**
+ * @param {string | undefined} value
+ * @param {string} flag
+ * @returns {number | undefined}
+ */
+function toNumber(value, flag) {
+  if (value === undefined) return
+
+  const number = Number(value)
+
+  if (value.trim() === '' || Number.isNaN(number)) {
+    throw new Error(
+      'Unexpected non-number `' + value + '` for `--' + flag + '`'
+    )
+  }
+
+  return number
+}
+
+/**
+ * @param {string} value
+ * @param {string} separator
+ * @param {string} flag
+ * @returns {[string, string]}
+ */
+function split(value, separator, flag) {
+  const index = value.indexOf(separator)
+
+  if (index === -1) {
+    throw new Error(
+      'Unexpected value `' +
+        value +
+        '` for `--' +
+        flag +
+        '`, expected `' +
+        separator +
+        '` between parts'
+    )
+  }
+
+  return [value.slice(0, index), value.slice(index + separator.length)]
+}
+
+/**
+ * @param {string} value
+ * @param {string} flag
+ * @returns {RegExp}
+ */
+function toRegex(value, flag) {
+  try {
+    return new RegExp(value)
+  } catch {
+    throw new Error(
+      'Unexpected invalid regular expression `' +
+        value +
+        '` for `--' +
+        flag +
+        '`'
+    )
+  }
+}
@@ -1,6 +1,143 @@
+import type {VFile} from 'vfile'
 import type {VFileMessage} from 'vfile-message'
 
-export {deadOrAlive, defaultAnchorAllowlist, defaultSleep} from './lib/index.js'
+export {checkFiles} from './lib/check-files.node.js'
+export {crawl} from './lib/crawl.js'
+export {createFileSystemCache} from './lib/file-system-cache.node.js'
+export {createGitHubAdapter} from './lib/github.js'
+export {createMemoryCache} from './lib/memory-cache.js'
+export {
+  deadOrAlive,
+  deadOrAliveMany,
+  defaultAdapters,
+  defaultAnchorAllowlist,
+  defaultSleep
+} from './lib/index.js'
+export {
+  reportGitHub,
+  reportJsonLines,
+  reportJunit,
+  reportSarif
+} from './lib/reporters.js'
+export {deserializeResult, serializeResult} from './lib/serialize.js'
+
+/**
+ * Knowledge of a host,
+ * to check what generic checks cannot.
+ */
+export interface Adapter {
+  /**
+   * Get fragments that exist on an HTML page besides its elements,
+   * such as line numbers or headings added by scripts.
+   *
+   * @param url
+   *   Final URL of the page (without hash).
+   * @param context
+   *   Context.
+   * @returns
+   *   Fragments, or `undefined` when the adapter does not know the page.
+   */
+  fragments?:
+    | ((
+        url: URL,
+        context: AdapterContext
+      ) => Fragments | Promise<Fragments | undefined> | undefined)
+    | null
+    | undefined
+  /**
+   * Rewrite the request for a page,
+   * such as to an API endpoint,
+   * or add request headers.
+   *
+   * When the URL is rewritten,
+   * the response is only used to see whether the page exists:
+   * its content (and the hash of the URL) is not checked.
+   *
+   * @param url
+   *   URL of the page (without hash).
+   * @returns
+   *   Request, or `undefined` to request the page as normal.
+   */
+  request?: ((url: URL) => AdapterRequest | undefined) | null | undefined
+  /**
+   * Interpret the response for a page,
+   * such as a bot challenge.
+   *
+   * This is called before redirects are followed;
+   * the body is not available.
+   *
+   * @param response
+   *   Response.
+   * @param url
+   *   URL of the page (without hash).
+   * @returns
+   *   Verdict, or `undefined` to check the response as normal.
+   */
+  response?:
+    | ((response: Response, url: URL) => AdapterVerdict | undefined)
+    | null
+    | undefined
+}
+
+/**
+ * Context passed to adapters.
+ */
+export interface AdapterContext {
+  /**
+   * Request a resource,
+   * with the configuration of the check
+   * (such as `auth`, `headers`, `maxRetries`, and `timeout`);
+   * responses are shared between checks.
+   *
+   * @param url
+   *   URL.
+   * @param headers
+   *   Extra request headers (optional).
+   * @returns
+   *   Body, or `undefined` when the request fails, is not ok,
+   *   or is larger than `maxBytes`.
+   */
+  fetchText(
+    url: URL,
+    headers?: Readonly<Record<string, string>> | null | undefined
+  ): Promise<string | undefined>
+}
+
+/**
+ * Request made instead of the normal request for a page.
+ */
+export interface AdapterRequest {
+  /**
+   * Extra request headers (optional).
+   */
+  headers?: Readonly<Record<string, string>> | null | undefined
+  /**
+   * URL to request instead of the page (optional),
+   * such as an API endpoint.
+   */
+  url?: URL | string | null | undefined
+}
+
+/**
+ * Use an adapter for a host.
+ * The first item is a regular expression to match hostnames
+ * (such as `github.com`);
+ * the second item is the adapter.
+ */
+export type AdapterRule = [hostname: RegExp, adapter: Readonly<Adapter>]
+
+/**
+ * What an adapter thinks of a response.
+ *
+ * * `'alive'`
+ *   — the page exists
+ * * `'blocked'`
+ *   — the host blocks automated requests,
+ *   so whether the page exists is unknown
+ * * `'dead'`
+ *   — the page does not exist
+ */
+export type AdapterVerdict = 'alive' | 'blocked' | 'dead'
 
 /**
  * Allow extra anchors.
@@ -12,10 +149,251 @@ export {deadOrAlive, defaultAnchorAllowlist, defaultSleep} from './lib/index.js'
  */
 export type AnchorAllow = [url: RegExp, anchor: RegExp]
 
+/**
+ * Send basic auth credentials.
+ * The first item is a regular expression to match URLs (origin and path,
+ * so without search or hash);
+ * the second and third items are the username and password.
+ */
+export type AuthRule = [url: RegExp, username: string, password: string]
+
+/**
+ * Store for responses.
+ *
+ * Both methods can return promises.
+ */
+export interface Cache {
+  /**
+   * Get a stored response.
+   *
+   * @param key
+   *   URL (without hash).
+   * @returns
+   *   Stored response, if any.
+   */
+  get(key: string): CacheEntry | Promise<CacheEntry | undefined> | undefined
+  /**
+   * Store a response.
+   *
+   * @param key
+   *   URL (without hash).
+   * @param value
+   *   Response.
+   * @returns
+   *   Nothing.
+   */
+  set(key: string, value: CacheEntry): Promise<undefined> | undefined
+}
+
+/**
+ * Stored response;
+ * can be serialized as JSON.
+ */
+export interface CacheEntry {
+  /**
+   * Body;
+   * only stored for HTML and XML,
+   * and for PDF when needed (as bytes as characters).
+   */
+  body: string | undefined
+  /**
+   * Response headers.
+   */
+  headers: Record<string, string>
+  /**
+   * HTTP status code.
+   */
+  status: number
+  /**
+   * HTTP status text.
+   */
+  statusText: string
+  /**
+   * When the response was stored or last revalidated,
+   * in miliseconds since the epoch.
+   */
+  time: number
+  /**
+   * Final URL of the response.
+   */
+  url: string
+}
+
+/**
+ * Configuration for `checkFiles`.
+ */
+export interface CheckFilesOptions extends ManyOptions {
+  /**
+   * Folder to resolve patterns from and that paths of files are relative to
+   * (default: `process.cwd()`).
+   */
+  cwd?: URL | string | null | undefined
+  /**
+   * Folder that site-absolute links (such as `/about/`) resolve from
+   * (default: `cwd`);
+   * a string is resolved from `cwd`.
+   */
+  root?: URL | string | null | undefined
+}
+
+/**
+ * Report of checking local files.
+ */
+export interface CheckFilesResult {
+  /**
+   * Checked files,
+   * with messages at the places of links.
+   */
+  files: Array<VFile>
+  /**
+   * Results,
+   * keyed by the resolved URLs of links.
+   */
+  results: Map<string, Result>
+}
+
+/**
+ * Link found while crawling.
+ */
+export interface CrawlLink {
+  /**
+   * Pages (without hash) that refer to this link;
+   * empty for the start URL.
+   */
+  referrers: Set<string>
+  /**
+   * Result.
+   */
+  result: Result
+}
+
+/**
+ * Configuration for crawling.
+ */
+export interface CrawlOptions extends ManyOptions {
+  /**
+   * Inclusive maximum number of links to follow from the start URL to a page
+   * that is crawled (default: `Infinity`);
+   * URLs found on pages deeper than that are checked but not crawled.
+   */
+  maxDepth?: number | null | undefined
+  /**
+   * Inclusive maximum number of pages to crawl (default: `Infinity`);
+   * further URLs are checked but not crawled.
+   */
+  maxPages?: number | null | undefined
+  /**
+   * Pages to crawl (default: the directory of the start URL);
+   * a string is a URL prefix,
+   * a regular expression is tested against full URLs.
+   */
+  scope?: RegExp | string | null | undefined
+}
+
+/**
+ * Report of a crawl.
+ */
+export interface CrawlResult {
+  /**
+   * Dead links.
+   */
+  dead: Map<string, CrawlLink>
+  /**
+   * All checked links.
+   */
+  links: Map<string, CrawlLink>
+  /**
+   * Crawled pages (without hash).
+   */
+  pages: Set<string>
+  /**
+   * Links that could not be checked because of probably temporary failures.
+   */
+  unknown: Map<string, CrawlLink>
+}
+
+/**
+ * Fragments that exist on a page besides its elements.
+ *
+ * Fields that are `undefined` are unknown,
+ * so such fragments are not checked.
+ */
+export interface Fragments {
+  /**
+   * Anchors (without `#`),
+   * such as `install`.
+   */
+  anchors?: ReadonlyArray<string> | null | undefined
+  /**
+   * Number of lines,
+   * to check line fragments (such as `L10`, `L10-L20`, or `L10C2-L20C4`).
+   */
+  lines?: number | null | undefined
+}
+
+/**
+ * Configuration for `createGitHubAdapter`.
+ */
+export interface GitHubAdapterOptions {
+  /**
+   * Base URL of the API,
+   * used to get readmes (default: `'https://api.github.com'`).
+   */
+  apiUrl?: string | null | undefined
+  /**
+   * Base URL of raw files,
+   * used to get files (default: `'https://raw.githubusercontent.com'`).
+   */
+  rawUrl?: string | null | undefined
+}
+
+/**
+ * Send extra request headers.
+ * The first item is a regular expression to match URLs (origin and path,
+ * so without search or hash);
+ * the second item are the headers,
+ * such as `Authorization`, `Accept`, or `Cookie`.
+ */
+export type HeadersRule = [url: RegExp, headers: Record<string, string>]
+
+/**
+ * Respond to URLs from a local folder.
+ * The first item is a URL prefix,
+ * such as `https://example.com/docs/`;
+ * the second item is a folder,
+ * such as the build output of that site.
+ *
+ * Responses are like a static host:
+ * folders serve their `index.html`,
+ * folders without trailing slash redirect to it,
+ * pages can be without `.html`,
+ * and rules in a `_redirects` file in the folder are applied when there is no
+ * file.
+ * Responses from local folders are not stored in the cache and `robots.txt` is
+ * not used.
+ */
+export type LocalFolder = [prefix: string, folder: URL | string]
+
+/**
+ * Configuration for `createMemoryCache`.
+ */
+export interface MemoryCacheOptions {
+  /**
+   * Maximum number of stored responses (default: `1000`);
+   * the least recently used responses are removed.
+   */
+  maxEntries?: number | null | undefined
+}
+
 /**
  * Configuration.
  */
 export interface Options {
+  /**
+   * Use adapters for hosts (default: `defaultAdapters`);
+   * the first tuple that matches the hostname of a page is used.
+   */
+  adapters?: ReadonlyArray<Readonly<AdapterRule>> | null | undefined
   /**
    * Allow anchors (default: `defaultAnchorAllowlist`);
    * each tuple is checked to match URLs (origin and path,
@@ -23,16 +401,53 @@ export interface Options {
    * and then to match hashes (without `#`);
    * when both match,
    * the hash is allowed,
-   * and no `missing-anchor` error is used.
+   * and no `missing-anchor`, `missing-line`, `missing-pdf-destination`,
+   * `missing-pdf-page`, or `missing-text-fragment` error is used.
    */
   anchorAllowlist?: ReadonlyArray<Readonly<AnchorAllow>> | null | undefined
+  /**
+   * Send basic auth credentials (optional);
+   * the first tuple that matches a URL is used;
+   * each redirect is matched again,
+   * so credentials are not sent along to other URLs,
+   * and none are sent after a redirect to another origin.
+   * Use an anchored pattern such as `^https://example\.com/`;
+   * an unanchored pattern also matches other origins.
+   */
+  auth?: ReadonlyArray<Readonly<AuthRule>> | null | undefined
+  /**
+   * Store responses (optional);
+   * pass `true` to store them in memory,
+   * shared between calls,
+   * or a `Cache`,
+   * such as from `createFileSystemCache` or `createMemoryCache`;
+   * responses to URLs that match `auth` or `headers` are not stored;
+   * fresh responses are used instead of requesting them again,
+   * stale responses are revalidated with `If-None-Match` and
+   * `If-Modified-Since`.
+   */
+  cache?: Readonly<Cache> | boolean | null | undefined
+  /**
+   * Miliseconds that stored responses are fresh (default: `3600000`,
+   * an hour).
+   */
+  cacheTtl?: number | null | undefined
   /**
    * Check whether URL hashes point to elements (default: `true`).
    */
   checkAnchor?: boolean | null | undefined
+  /**
+   * Inclusive maximum miliseconds for the whole check (default: `Infinity`);
+   * this includes redirects,
+   * retries,
+   * sleeping between them,
+   * and downloading bodies.
+   */
+  deadline?: number | null | undefined
   /**
    * Find URLs in the final resource (default: `true`);
-   * currently applies to HTML.
+   * currently applies to HTML and XML
+   * (`href`, `src`, and `xlink:href` attributes).
    */
   findUrls?: boolean | null | undefined
   /**
@@ -41,6 +456,33 @@ export interface Options {
    * such as those on GH pages.
    */
   followMetaHttpEquiv?: boolean | null | undefined
+  /**
+   * Send extra request headers (optional);
+   * the headers of all tuples that match a URL are used,
+   * later ones overwriting earlier ones;
+   * each redirect is matched again,
+   * so headers are not sent along to other URLs,
+   * and none are sent after a redirect to another origin;
+   * use anchored patterns (see `auth`).
+   */
+  headers?: ReadonlyArray<Readonly<HeadersRule>> | null | undefined
+  /**
+   * Respond to URLs from local folders (optional);
+   * the first tuple whose prefix a URL (origin and path,
+   * so without search or hash) starts with is used;
+   * such as to check links to a site against its build output before it is
+   * deployed.
+   */
+  localFolders?: ReadonlyArray<Readonly<LocalFolder>> | null | undefined
+  /**
+   * Inclusive maximum bytes to read of an HTML, XML, or PDF body
+   * (default: `Infinity`);
+   * when a page is larger,
+   * only its start is checked;
+   * compressed object streams in PDFs are inflated up to the same size in
+   * total (and at most 16 mebibytes).
+   */
+  maxBytes?: number | null | undefined
   /**
    * Inclusive maximum redirects to follow (default: `5`).
    */
@@ -49,14 +491,49 @@ export interface Options {
    * Inclusive maximum number to try again on failures (default: `1`).
    */
   maxRetries?: number | null | undefined
+  /**
+   * Inclusive maximum miliseconds to wait when a server asks to try again
+   * later with `Retry-After` (default: `60000`, a minute);
+   * when a server asks to wait longer,
+   * the URL is not tried again.
+   */
+  maxRetryAfter?: number | null | undefined
+  /**
+   * How to request resources (default: `'get'`);
+   * `'auto'` first sends `HEAD`,
+   * which is enough when the resource is not HTML, XML, or PDF or when it is
+   * not inspected,
+   * and sends `GET` when the body is needed or when `HEAD` fails.
+   */
+  method?: 'auto' | 'get' | null | undefined
   /**
    * Accept `user-content-` prefix in `id` on elements (default: `true`).
    */
   resolveClobberPrefix?: boolean | null | undefined
+  /**
+   * Respect `robots.txt` (default: `false`);
+   * it is requested once per origin,
+   * URLs that it disallows for `userAgent` are not requested,
+   * and `Crawl-delay` is honored.
+   */
+  robots?: boolean | null | undefined
+  /**
+   * Signal to cancel the check (optional).
+   */
+  signal?: AbortSignal | null | undefined
   /**
    * Calculate miliseconds to sleep between tries (default: `defaultSleep`).
    */
   sleep?: Sleep | null | undefined
+  /**
+   * Detect missing pages that respond with `200` (default: `false`);
+   * HTML pages are compared with a random missing page in the same folder,
+   * which is requested once per folder,
+   * and are missing when both have a title or heading that looks like an
+   * error,
+   * or when they look the same.
+   */
+  soft404?: boolean | null | undefined
   /**
    * Timeout for HTTP request in miliseconds (default: `3000`).
    */
@@ -67,28 +544,92 @@ export interface Options {
   userAgent?: string | null | undefined
 }
 
+/**
+ * Configuration for checking several URLs.
+ */
+export interface ManyOptions extends Options {
+  /**
+   * Maximum number of URLs to check at the same time (default: `8`).
+   */
+  maxConcurrency?: number | null | undefined
+  /**
+   * Maximum number of URLs to check at the same time on one origin
+   * (default: `2`).
+   */
+  maxConcurrencyPerOrigin?: number | null | undefined
+}
+
+/**
+ * Redirect.
+ */
+export interface Redirect {
+  /**
+   * URL that redirects.
+   */
+  from: string
+  /**
+   * Whether the redirect is permanent;
+   * HTML redirects are not permanent.
+   */
+  permanent: boolean
+  /**
+   * HTTP status code,
+   * or `'meta-refresh'` for HTML redirects.
+   */
+  status: number | 'meta-refresh'
+  /**
+   * URL that is redirected to.
+   */
+  to: string
+}
+
 /**
  * Result.
  */
 interface ResultAlive {
   /**
-   * Messages where the first is a fatal error when dead.
+   * Selected response headers of the final response
+   * (`content-length`, `content-type`, `etag`, and `last-modified`),
+   * if there was a response.
+   */
+  headers: Record<string, string> | undefined
+  /**
+   * Messages where the first is a fatal error when dead or unknown.
    */
   messages: Array<VFileMessage>
   /**
    * Whether all redirects were permanent.
    */
   permanent: boolean | undefined
+  /**
+   * Redirects that were followed,
+   * in order.
+   */
+  redirects: Array<Redirect>
   /**
    * Status.
    */
   status: 'alive'
+  /**
+   * Status code of the final response,
+   * if there was a response.
+   */
+  statusCode: number | undefined
+  /**
+   * Status text of the final response,
+   * if there was a response.
+   */
+  statusText: string | undefined
+  /**
+   * Timings.
+   */
+  timings: Timings
   /**
    * Final URL if alive.
    */
   url: string
   /**
-   * Further URLs if `findUrls: true` and the resource was HTML.
+   * Further URLs if `findUrls: true` and the resource was HTML or XML.
    */
   urls: Set<string> | undefined
 }
@@ -98,7 +639,13 @@ interface ResultAlive {
  */
 interface ResultDead {
   /**
-   * Messages where the first is a fatal error when dead.
+   * Selected response headers of the final response
+   * (`content-length`, `content-type`, `etag`, and `last-modified`),
+   * if there was a response.
+   */
+  headers: Record<string, string> | undefined
+  /**
+   * Messages where the first is a fatal error when dead or unknown.
    */
   messages: [VFileMessage, ...Array<VFileMessage>]
   /**
@@ -106,15 +653,39 @@ interface ResultDead {
    */
   permanent: boolean | undefined
   /**
-   * Status.
+   * Redirects that were followed,
+   * in order.
+   */
+  redirects: Array<Redirect>
+  /**
+   * Status;
+   * `'unknown'` when the failure is probably temporary
+   * (`5xx` responses, rate limits, timeouts, and connection failures),
+   * when the check was aborted or exceeded its deadline,
+   * or when the host blocks automated requests,
+   * `'dead'` otherwise.
+   */
+  status: 'dead' | 'unknown'
+  /**
+   * Status code of the final response,
+   * if there was a response.
+   */
+  statusCode: number | undefined
+  /**
+   * Status text of the final response,
+   * if there was a response.
    */
-  status: 'dead'
+  statusText: string | undefined
+  /**
+   * Timings.
+   */
+  timings: Timings
   /**
    * Final URL if alive.
    */
   url: undefined
   /**
-   * Further URLs if `findUrls: true` and the resource was HTML.
+   * Further URLs if `findUrls: true` and the resource was HTML or XML.
    */
   urls: Set<string> | undefined
 }
@@ -124,7 +695,149 @@ interface ResultDead {
  */
 export type Result = ResultAlive | ResultDead
 
+/**
+ * Error (such as the cause of a message) as a plain object.
+ */
+export interface SerializedError {
+  /**
+   * Cause of the error.
+   */
+  cause: SerializedError | null
+  /**
+   * Code of the error (such as `ECONNREFUSED`).
+   */
+  code: string | null
+  /**
+   * Message of the error.
+   */
+  message: string
+  /**
+   * Name of the error (such as `TypeError`).
+   */
+  name: string
+}
+
+/**
+ * Message as a plain object.
+ */
+export interface SerializedMessage {
+  /**
+   * Cause of the message.
+   */
+  cause: SerializedError | null
+  /**
+   * Whether the message is a fatal error.
+   */
+  fatal: boolean | null
+  /**
+   * Reason of the message.
+   */
+  reason: string
+  /**
+   * Rule (such as `dead` or `missing-anchor`).
+   */
+  ruleId: string | null
+  /**
+   * Source (such as `dead-or-alive`).
+   */
+  source: string | null
+  /**
+   * Link to documentation of the rule.
+   */
+  url: string | null
+}
+
+/**
+ * Result as a plain object,
+ * from `serializeResult`.
+ *
+ * Missing values are `null`,
+ * so that each object has the same fields.
+ */
+export interface SerializedResult {
+  /**
+   * Selected response headers of the final response.
+   */
+  headers: Record<string, string> | null
+  /**
+   * Messages.
+   */
+  messages: Array<SerializedMessage>
+  /**
+   * Whether all redirects were permanent.
+   */
+  permanent: boolean | null
+  /**
+   * Redirects that were followed,
+   * in order.
+   */
+  redirects: Array<Redirect>
+  /**
+   * Status.
+   */
+  status: 'alive' | 'dead' | 'unknown'
+  /**
+   * Status code of the final response.
+   */
+  statusCode: number | null
+  /**
+   * Status text of the final response.
+   */
+  statusText: string | null
+  /**
+   * Timings.
+   */
+  timings: SerializedTimings
+  /**
+   * Final URL if alive.
+   */
+  url: string | null
+  /**
+   * Further URLs.
+   */
+  urls: Array<string> | null
+}
+
+/**
+ * Timings as a plain object.
+ */
+export interface SerializedTimings {
+  /**
+   * Time until the first response.
+   */
+  firstByte: number | null
+  /**
+   * Time spent sleeping.
+   */
+  sleep: number
+  /**
+   * Time of the whole check.
+   */
+  total: number
+}
+
 /**
  * Calculate miliseconds to sleep between tries.
  */
 export type Sleep = (retries: number) => number
+
+/**
+ * Timings of a check,
+ * in milliseconds.
+ */
+export interface Timings {
+  /**
+   * Time until the first response was received (before its body),
+   * if there was a response.
+   */
+  firstByte: number | undefined
+  /**
+   * Time spent sleeping,
+   * between tries and for `Crawl-delay`.
+   */
+  sleep: number
+  /**
+   * Time of the whole check.
+   */
+  total: number
+}
@@ -1,2 +1,20 @@
 // Note: types exposed from `index.d.ts`.
-export {deadOrAlive, defaultAnchorAllowlist, defaultSleep} from './lib/index.js'
+export {checkFiles} from '#check-files'
+export {crawl} from './lib/crawl.js'
+export {createFileSystemCache} from '#file-system-cache'
+export {createGitHubAdapter} from './lib/github.js'
+export {createMemoryCache} from './lib/memory-cache.js'
+export {
+  deadOrAlive,
+  deadOrAliveMany,
+  defaultAdapters,
+  defaultAnchorAllowlist,
+  defaultSleep
+} from './lib/index.js'
+export {
+  reportGitHub,
+  reportJsonLines,
+  reportJunit,
+  reportSarif
+} from './lib/reporters.js'
+export {deserializeResult, serializeResult} from './lib/serialize.js'
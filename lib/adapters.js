@@ -0,0 +1,77 @@
+/**
+ * @import {Adapter} from 'dead-or-alive'
+ */
+
+const npmPackageExpression =
+  /^\/package\/((?:@[^/]+\/)?[^/]+)(?:\/v\/([^/]+))?\/?$/
+const xStatusExpression = /^\/\w+\/status(?:es)?\/\d+\/?$/
+
+/**
+ * Adapter for LinkedIn.
+ *
+ * LinkedIn responds with a non-standard `999`,
+ * or redirects to a login wall,
+ * when it thinks requests are automated.
+ *
+ * @type {Readonly<Adapter>}
+ */
+export const linkedInAdapter = {
+  response(response) {
+    if (
+      response.status === 999 ||
+      (response.status >= 300 &&
+        response.status < 400 &&
+        /\/authwall\b/.test(String(response.headers.get('location'))))
+    ) {
+      return 'blocked'
+    }
+  }
+}
+
+/**
+ * Adapter for npm.
+ *
+ * Pages of packages (and their versions) are behind a bot challenge,
+ * so the registry is asked instead.
+ *
+ * @type {Readonly<Adapter>}
+ */
+export const npmAdapter = {
+  request(url) {
+    const match = npmPackageExpression.exec(url.pathname)
+
+    if (match) {
+      return {
+        headers: {accept: 'application/vnd.npm.install-v1+json'},
+        url:
+          'https://registry.npmjs.org/' +
+          match[1].replace('/', '%2F') +
+          (match[2] ? '/' + match[2] : '')
+      }
+    }
+  }
+}
+
+/**
+ * Adapter for X (Twitter).
+ *
+ * Posts are only shown to logged in users or with scripts,
+ * so the oEmbed API is asked instead;
+ * other pages are blocked when they respond with `403`.
+ *
+ * @type {Readonly<Adapter>}
+ */
+export const xAdapter = {
+  request(url) {
+    if (xStatusExpression.test(url.pathname)) {
+      return {
+        url:
+          'https://publish.twitter.com/oembed?url=' +
+          encodeURIComponent('https://twitter.com' + url.pathname)
+      }
+    }
+  },
+  response(response) {
+    if (response.status === 403) return 'blocked'
+  }
+}
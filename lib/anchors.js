@@ -16,7 +16,7 @@
 
 import {visit} from 'unist-util-visit'
 
-const clobberPrefix = 'user-content-'
+export const clobberPrefix = 'user-content-'
 
 /**
  * @param {Root} tree
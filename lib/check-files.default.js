@@ -0,0 +1,18 @@
+/**
+ * @import {CheckFilesOptions, CheckFilesResult} from 'dead-or-alive'
+ */
+
+/**
+ * Check links in local HTML and markdown files.
+ *
+ * @param {ReadonlyArray<string> | string} patterns
+ *   Paths or globs.
+ * @param {Readonly<CheckFilesOptions> | null | undefined} [options]
+ *   Configuration (optional).
+ * @returns {Promise<CheckFilesResult>}
+ *   Files with messages at links and results for each link.
+ */
+// eslint-disable-next-line no-unused-vars
+export async function checkFiles(patterns, options) {
+  throw new Error('Cannot use the file system in this environment')
+}
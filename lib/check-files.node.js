@@ -0,0 +1,394 @@
+/**
+ * @import {CheckFilesOptions, CheckFilesResult, Result} from 'dead-or-alive'
+ * @import {Root} from 'mdast'
+ * @import {Stats} from 'node:fs'
+ * @import {Point, Position} from 'unist'
+ */
+
+/**
+ * @typedef Link
+ *   Link in a file.
+ * @property {string} href
+ *   Resolved URL.
+ * @property {Position | undefined} place
+ *   Place of the link in the file.
+ */
+
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import process from 'node:process'
+import {fileURLToPath, pathToFileURL} from 'node:url'
+import fastGlob from 'fast-glob'
+import {fromHtml} from 'hast-util-from-html'
+import {visit} from 'unist-util-visit'
+import {VFile} from 'vfile'
+import {VFileMessage} from 'vfile-message'
+import {clobberPrefix, getAnchors} from './anchors.js'
+import {markdownAnchors, markdownExtension, parseMarkdown} from './github.js'
+import {visitUrls} from './urls.js'
+import {
+  deadOrAliveMany,
+  defaultAnchorAllowlist,
+  missingAnchor
+} from './index.js'
+
+/** @type {Readonly<CheckFilesOptions>} */
+const emptyOptions = {}
+
+const documentation = 'https://github.com/wooorm/dead-or-alive'
+
+const htmlExtension = /\.html?$/i
+
+/**
+ * Check links in local HTML and markdown files.
+ *
+ * ###### Notes
+ *
+ * Links to `http:` and `https:` URLs are checked with `deadOrAliveMany`.
+ * Relative links (and `file:` URLs) are checked against the file system,
+ * site-absolute links (such as `/about/`) from `root`:
+ * the file must exist,
+ * links to folders must have an `index.html`,
+ * and a fragment must point to an element in HTML or a heading in markdown.
+ * Other files matching `patterns` are ignored.
+ *
+ * @param {ReadonlyArray<string> | string} patterns
+ *   Paths or globs.
+ * @param {Readonly<CheckFilesOptions> | null | undefined} [options]
+ *   Configuration (optional).
+ * @returns {Promise<CheckFilesResult>}
+ *   Files with messages at links and results for each link.
+ */
+export async function checkFiles(patterns, options) {
+  const settings = options || emptyOptions
+  const anchorAllowlist = settings.anchorAllowlist || defaultAnchorAllowlist
+  const checkAnchor = settings.checkAnchor !== false
+  const cwd = settings.cwd
+    ? typeof settings.cwd === 'string'
+      ? path.resolve(settings.cwd)
+      : fileURLToPath(settings.cwd)
+    : process.cwd()
+  const resolveClobberPrefix = settings.resolveClobberPrefix !== false
+  const root = pathToFileURL(
+    (settings.root
+      ? typeof settings.root === 'string'
+        ? path.resolve(cwd, settings.root)
+        : fileURLToPath(settings.root)
+      : cwd) + path.sep
+  )
+  /** @type {Map<string, Promise<Set<string> | undefined>>} */
+  const anchors = new Map()
+  /** @type {Array<VFile>} */
+  const files = []
+  /** @type {Set<string>} */
+  const hrefs = new Set()
+  /** @type {Map<VFile, Array<Link>>} */
+  const links = new Map()
+  /** @type {Map<string, Root>} */
+  const trees = new Map()
+  const paths = await fastGlob(
+    typeof patterns === 'string' ? [patterns] : [...patterns],
+    {absolute: true, cwd, onlyFiles: true}
+  )
+
+  for (const filePath of paths.sort()) {
+    if (!htmlExtension.test(filePath) && !markdownExtension.test(filePath)) {
+      continue
+    }
+
+    const file = new VFile({
+      cwd,
+      path: path.relative(cwd, filePath),
+      // eslint-disable-next-line no-await-in-loop
+      value: await fs.readFile(filePath, 'utf8')
+    })
+    const found = findLinks(file, pathToFileURL(filePath), root, trees)
+
+    for (const link of found) {
+      hrefs.add(link.href)
+    }
+
+    files.push(file)
+    links.set(file, found)
+  }
+
+  /** @type {Array<string>} */
+  const external = []
+  /** @type {Array<string>} */
+  const local = []
+
+  for (const href of hrefs) {
+    if (href.startsWith('file:')) {
+      local.push(href)
+    } else {
+      external.push(href)
+    }
+  }
+
+  const externalResults = await deadOrAliveMany(external, {
+    ...settings,
+    findUrls: false
+  })
+  const localResults = await Promise.all(
+    local.map(function (href) {
+      return checkLocal(href)
+    })
+  )
+  /** @type {Map<string, Result>} */
+  const results = new Map()
+
+  for (const href of hrefs) {
+    const index = local.indexOf(href)
+    results.set(
+      href,
+      /** @type {Result} */ (
+        index === -1 ? externalResults.get(href) : localResults[index]
+      )
+    )
+  }
+
+  for (const [file, found] of links) {
+    for (const link of found) {
+      const result = /** @type {Result} */ (results.get(link.href))
+
+      for (const message of result.messages) {
+        const copy = file.message(message.reason, {
+          cause: /** @type {Error | undefined} */ (message.cause),
+          place: link.place,
+          ruleId: message.ruleId,
+          source: message.source
+        })
+        // Probably temporary failures are warnings.
+        copy.fatal =
+          message.fatal && result.status === 'unknown' ? false : message.fatal
+        copy.url = message.url
+      }
+    }
+  }
+
+  return {files, results}
+
+  /**
+   * @param {string} href
+   * @returns {Promise<Result>}
+   */
+  async function checkLocal(href) {
+    const start = Date.now()
+    let url = new URL(href)
+    const hash = url.hash.slice(1)
+    url.hash = ''
+    url.search = ''
+
+    /** @type {VFileMessage | undefined} */
+    let message
+    /** @type {Stats | undefined} */
+    let stats
+
+    try {
+      stats = await fs.stat(url)
+
+      // Folders are served by their `index.html`.
+      if (stats.isDirectory()) {
+        url = new URL(url.href.replace(/\/?$/, '/index.html'))
+        stats = await fs.stat(url)
+      }
+    } catch {
+      message = new VFileMessage(
+        'Unexpected missing file at `' +
+          url.href +
+          '`, remove if unneeded or refer to an existing file',
+        {ruleId: 'missing-file', source: 'dead-or-alive'}
+      )
+      message.url = documentation + '#' + message.ruleId
+      message.fatal = true
+    }
+
+    if (
+      stats &&
+      stats.isFile() &&
+      checkAnchor &&
+      hash &&
+      !isAllowedAnchor(url, hash)
+    ) {
+      // A fragment directive (`:~:`) can follow the fragment.
+      const index = hash.indexOf(':~:')
+      const fragment = index === -1 ? hash : hash.slice(0, index)
+      const existing = fragment ? await getLocalAnchors(url) : undefined
+
+      if (
+        existing &&
+        !existing.has(fragment) &&
+        !(
+          resolveClobberPrefix &&
+          fragment.startsWith(clobberPrefix) &&
+          existing.has(fragment.slice(clobberPrefix.length))
+        )
+      ) {
+        message = missingAnchor(url.href, fragment, [...existing])
+      }
+    }
+
+    const base = {
+      headers: undefined,
+      permanent: undefined,
+      redirects: [],
+      statusCode: undefined,
+      statusText: undefined,
+      timings: {firstByte: undefined, sleep: 0, total: Date.now() - start},
+      urls: undefined
+    }
+
+    return message
+      ? {...base, messages: [message], status: 'dead', url: undefined}
+      : {...base, messages: [], status: 'alive', url: href}
+  }
+
+  /**
+   * @param {Readonly<URL>} url
+   * @returns {Promise<Set<string> | undefined>}
+   */
+  function getLocalAnchors(url) {
+    let promise = anchors.get(url.href)
+
+    if (!promise) {
+      promise = readAnchors(url)
+      anchors.set(url.href, promise)
+    }
+
+    return promise
+  }
+
+  /**
+   * @param {Readonly<URL>} url
+   * @returns {Promise<Set<string> | undefined>}
+   */
+  async function readAnchors(url) {
+    if (htmlExtension.test(url.pathname)) {
+      const tree = fromHtml(await fs.readFile(url, 'utf8'))
+      return new Set(getAnchors(tree, {resolveClobberPrefix}).keys())
+    }
+
+    // Fragments in other files are not checked.
+    if (markdownExtension.test(url.pathname)) {
+      return new Set(
+        markdownAnchors(trees.get(url.href) || (await fs.readFile(url, 'utf8')))
+      )
+    }
+  }
+
+  /**
+   * @param {Readonly<URL>} url
+   * @param {string} hash
+   * @returns {boolean}
+   */
+  function isAllowedAnchor(url, hash) {
+    for (const [urlRe, fragmentRe] of anchorAllowlist) {
+      if (urlRe.test(url.href) && fragmentRe.test(hash)) {
+        return true
+      }
+    }
+
+    return false
+  }
+}
+
+/**
+ * Find links in a file.
+ *
+ * HTML goes through the same attributes as `findUrls`;
+ * in markdown,
+ * links, images, definitions,
+ * and the attributes of HTML are used.
+ *
+ * @param {VFile} file
+ *   File.
+ * @param {Readonly<URL>} base
+ *   URL of the file.
+ * @param {Readonly<URL>} root
+ *   URL of the folder that site-absolute links resolve from.
+ * @param {Map<string, Root>} trees
+ *   Trees of markdown files, to add to.
+ * @returns {Array<Link>}
+ *   Links to `file:`, `http:`, and `https:` URLs.
+ */
+function findLinks(file, base, root, trees) {
+  /** @type {Array<Link>} */
+  const links = []
+
+  if (htmlExtension.test(base.pathname)) {
+    visitUrls(fromHtml(file), function (value, node) {
+      add(value, node.position)
+    })
+  } else {
+    const tree = parseMarkdown(String(file.value))
+    trees.set(base.href, tree)
+
+    visit(tree, function (node) {
+      if (
+        node.type === 'definition' ||
+        node.type === 'image' ||
+        node.type === 'link'
+      ) {
+        add(node.url, node.position)
+      } else if (node.type === 'html') {
+        const outer = /** @type {Position} */ (node.position)
+
+        visitUrls(fromHtml(node.value, {fragment: true}), function (value, d) {
+          // Elements with URL attributes come from the source,
+          // so they have positions.
+          const inner = /** @type {Position} */ (d.position)
+          add(value, {
+            start: shift(outer.start, inner.start),
+            end: shift(outer.start, inner.end)
+          })
+        })
+      }
+    })
+  }
+
+  return links
+
+  /**
+   * @param {string} value
+   * @param {Position | undefined} place
+   * @returns {undefined}
+   */
+  function add(value, place) {
+    /** @type {URL} */
+    let url
+
+    try {
+      // Site-absolute links (such as `/about/`) are in the root,
+      // not at the root of the file system.
+      url =
+        value.charAt(0) === '/' && value.charAt(1) !== '/'
+          ? new URL('.' + value, root)
+          : new URL(value, base)
+    } catch {
+      return
+    }
+
+    if (
+      url.protocol === 'file:' ||
+      url.protocol === 'http:' ||
+      url.protocol === 'https:'
+    ) {
+      links.push({href: url.href, place})
+    }
+  }
+}
+
+/**
+ * @param {Readonly<Point>} start
+ *   Start of HTML in markdown.
+ * @param {Readonly<Point>} point
+ *   Point in that HTML.
+ * @returns {Point}
+ *   Point in markdown.
+ */
+function shift(start, point) {
+  return {
+    line: start.line + point.line - 1,
+    column: point.line === 1 ? start.column + point.column - 1 : point.column
+  }
+}
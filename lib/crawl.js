@@ -0,0 +1,165 @@
+/**
+ * @import {CrawlLink, CrawlOptions, CrawlResult, Result} from 'dead-or-alive'
+ */
+
+import {checkMany, createShared} from './index.js'
+
+/** @type {Readonly<CrawlOptions>} */
+const emptyOptions = {}
+
+/**
+ * Crawl a site and check all links on it.
+ *
+ * ###### Notes
+ *
+ * Starting at `href`,
+ * pages in `scope` are fetched and their further URLs are followed.
+ * URLs outside of `scope` are checked once,
+ * but not crawled.
+ * Only `http:` and `https:` URLs are checked.
+ *
+ * The option `findUrls` is ignored:
+ * URLs are always found on pages in scope,
+ * and never on other pages.
+ *
+ * Pages,
+ * `robots.txt` files,
+ * and other resources are shared during the crawl,
+ * so that hashes of pages are checked without fetching them again.
+ *
+ * @param {Readonly<URL> | string} href
+ *   URL to start at.
+ * @param {Readonly<CrawlOptions> | null | undefined} [options]
+ *   Configuration (optional).
+ * @returns {Promise<CrawlResult>}
+ *   Report.
+ */
+export async function crawl(href, options) {
+  const settings = options || emptyOptions
+  const start = typeof href === 'string' ? new URL(href) : href
+  const maxDepth =
+    typeof settings.maxDepth === 'number' ? settings.maxDepth : Infinity
+  const maxPages =
+    typeof settings.maxPages === 'number' ? settings.maxPages : Infinity
+  const shared = createShared()
+  const scope = settings.scope || new URL('.', start).href
+  /** @type {Map<string, CrawlLink>} */
+  const dead = new Map()
+  /** @type {Map<string, CrawlLink>} */
+  const links = new Map()
+  /** @type {Set<string>} */
+  const pages = new Set()
+  /** @type {Map<string, Set<string>>} */
+  const referrers = new Map([[start.href, new Set()]])
+  // Pages to crawl;
+  // kept while crawling as their hashes can be found on later pages.
+  const scheduled = shared.kept
+  /** @type {Array<string>} */
+  const unchecked = []
+  /** @type {Map<string, CrawlLink>} */
+  const unknown = new Map()
+  /** @type {Array<string>} */
+  let frontier = [start.href]
+  let depth = 0
+
+  scheduled.add(withoutHash(start.href))
+
+  while (frontier.length > 0) {
+    // eslint-disable-next-line no-await-in-loop
+    const results = await checkMany(
+      frontier,
+      {...settings, findUrls: true},
+      shared
+    )
+    /** @type {Array<string>} */
+    const next = []
+
+    for (const [href, result] of results) {
+      add(href, result)
+
+      if (!result.urls || (result.url && !inScope(result.url))) {
+        continue
+      }
+
+      const page = withoutHash(href)
+      pages.add(page)
+
+      for (const found of result.urls) {
+        const url = new URL(found)
+
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') continue
+
+        const references = referrers.get(url.href)
+
+        if (references) {
+          references.add(page)
+          continue
+        }
+
+        referrers.set(url.href, new Set([page]))
+
+        const key = withoutHash(url.href)
+
+        if (
+          depth < maxDepth &&
+          scheduled.size < maxPages &&
+          !scheduled.has(key) &&
+          inScope(url.href)
+        ) {
+          scheduled.add(key)
+          next.push(url.href)
+        } else {
+          unchecked.push(url.href)
+        }
+      }
+    }
+
+    frontier = next
+    depth++
+  }
+
+  const results = await checkMany(
+    unchecked,
+    {...settings, findUrls: false},
+    shared
+  )
+
+  for (const [href, result] of results) {
+    add(href, result)
+  }
+
+  return {dead, links, pages, unknown}
+
+  /**
+   * @param {string} href
+   * @param {Result} result
+   * @returns {undefined}
+   */
+  function add(href, result) {
+    const link = {
+      referrers: /** @type {Set<string>} */ (referrers.get(href)),
+      result
+    }
+    links.set(href, link)
+    if (result.status === 'dead') dead.set(href, link)
+    if (result.status === 'unknown') unknown.set(href, link)
+  }
+
+  /**
+   * @param {string} href
+   * @returns {boolean}
+   */
+  function inScope(href) {
+    return typeof scope === 'string' ? href.startsWith(scope) : scope.test(href)
+  }
+}
+
+/**
+ * @param {string} href
+ * @returns {string}
+ */
+function withoutHash(href) {
+  const url = new URL(href)
+  url.hash = ''
+  return url.href
+}
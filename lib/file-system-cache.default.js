@@ -0,0 +1,16 @@
+/**
+ * @import {Cache} from 'dead-or-alive'
+ */
+
+/**
+ * Create a cache that stores responses as JSON files in a folder.
+ *
+ * @param {Readonly<URL> | string} folder
+ *   Folder to store responses in.
+ * @returns {Cache}
+ *   Cache.
+ */
+// eslint-disable-next-line no-unused-vars
+export function createFileSystemCache(folder) {
+  throw new Error('Cannot use the file system in this environment')
+}
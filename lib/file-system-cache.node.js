@@ -0,0 +1,59 @@
+/**
+ * @import {Cache, CacheEntry} from 'dead-or-alive'
+ */
+
+import {createHash} from 'node:crypto'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import {fileURLToPath} from 'node:url'
+
+/**
+ * Create a cache that stores responses as JSON files in a folder.
+ *
+ * @param {Readonly<URL> | string} folder
+ *   Folder to store responses in;
+ *   created when needed.
+ * @returns {Cache}
+ *   Cache.
+ */
+export function createFileSystemCache(folder) {
+  const base = typeof folder === 'string' ? folder : fileURLToPath(folder)
+
+  return {get, set}
+
+  /** @type {Cache['get']} */
+  async function get(key) {
+    /** @type {string} */
+    let content
+
+    try {
+      content = await fs.readFile(file(key), 'utf8')
+    } catch {
+      return
+    }
+
+    // Files can be half written,
+    // such as by another process sharing the folder:
+    // treat them as missing.
+    try {
+      return /** @type {CacheEntry} */ (JSON.parse(content))
+    } catch {}
+  }
+
+  /** @type {Cache['set']} */
+  async function set(key, value) {
+    await fs.mkdir(base, {recursive: true})
+    await fs.writeFile(file(key), JSON.stringify(value) + '\n')
+  }
+
+  /**
+   * @param {string} key
+   * @returns {string}
+   */
+  function file(key) {
+    return path.join(
+      base,
+      createHash('sha256').update(key).digest('hex') + '.json'
+    )
+  }
+}
@@ -0,0 +1,178 @@
+/**
+ * @import {
+ *   AdapterContext,
+ *   Adapter,
+ *   Fragments,
+ *   GitHubAdapterOptions
+ * } from 'dead-or-alive'
+ * @import {Nodes, Root} from 'mdast'
+ */
+
+import GithubSlugger from 'github-slugger'
+import {fromHtml} from 'hast-util-from-html'
+import {fromMarkdown} from 'mdast-util-from-markdown'
+import {gfmFromMarkdown} from 'mdast-util-gfm'
+import {gfm} from 'micromark-extension-gfm'
+import {visit} from 'unist-util-visit'
+
+/** @type {Readonly<GitHubAdapterOptions>} */
+const emptyOptions = {}
+
+export const markdownExtension = /\.(?:markdown|mdown|mkdn|mkd|md)$/i
+const lineBreakExpression = /\r\n|\r|\n/
+
+/**
+ * Create an adapter for GitHub.
+ *
+ * Line fragments (such as `#L10-L20`) on files are checked against their raw
+ * content.
+ * Heading fragments (such as `#install`) on rendered markdown files and
+ * readmes are checked against what GitHub generates.
+ *
+ * @param {Readonly<GitHubAdapterOptions> | null | undefined} [options]
+ *   Configuration (optional).
+ * @returns {Adapter}
+ *   Adapter.
+ */
+export function createGitHubAdapter(options) {
+  const settings = options || emptyOptions
+  const apiUrl = settings.apiUrl || 'https://api.github.com'
+  const rawUrl = settings.rawUrl || 'https://raw.githubusercontent.com'
+
+  return {fragments}
+
+  /**
+   * @param {Readonly<URL>} url
+   * @param {Readonly<AdapterContext>} context
+   * @returns {Promise<Fragments | undefined>}
+   */
+  async function fragments(url, context) {
+    // Note: parts stay percent-encoded.
+    const [owner, repo, kind, reference, ...rest] = url.pathname
+      .slice(1)
+      .split('/')
+    const path = rest.filter(Boolean).join('/')
+
+    if (!owner || !repo) return
+
+    const base = owner + '/' + repo
+
+    // Readme of a repository or a folder.
+    if (!kind || (kind === 'tree' && reference)) {
+      const readme = new URL(
+        apiUrl.replace(/\/?$/, '/') +
+          'repos/' +
+          base +
+          '/readme' +
+          (path ? '/' + path : '')
+      )
+      if (reference) readme.search = '?ref=' + reference
+      const value = await context.fetchText(readme, {
+        accept: 'application/vnd.github.raw'
+      })
+      return value === undefined ? {} : {anchors: markdownAnchors(value)}
+    }
+
+    if (kind === 'blob' && reference && path) {
+      const value = await context.fetchText(
+        new URL(
+          rawUrl.replace(/\/?$/, '/') + base + '/' + reference + '/' + path
+        )
+      )
+
+      if (value === undefined) return {}
+
+      return {
+        // Markdown is rendered, unless `?plain=1`.
+        anchors:
+          markdownExtension.test(path) && url.searchParams.get('plain') !== '1'
+            ? markdownAnchors(value)
+            : [],
+        lines: countLines(value)
+      }
+    }
+  }
+}
+
+/**
+ * Get the anchors GitHub generates for markdown:
+ * slugs of headings,
+ * and `id` and `name` attributes in HTML.
+ *
+ * See: <https://github.com/Flet/github-slugger>.
+ *
+ * @param {Root | string} value
+ *   Markdown or its tree.
+ * @returns {Array<string>}
+ *   Anchors.
+ */
+export function markdownAnchors(value) {
+  const slugger = new GithubSlugger()
+  /** @type {Array<string>} */
+  const anchors = []
+
+  visit(
+    typeof value === 'string' ? parseMarkdown(value) : value,
+    function (node) {
+      if (node.type === 'heading') {
+        anchors.push(slugger.slug(toText(node)))
+      } else if (node.type === 'html') {
+        visit(fromHtml(node.value, {fragment: true}), 'element', function (d) {
+          for (const name of ['id', 'name']) {
+            const value = d.properties[name]
+            if (typeof value === 'string') anchors.push(value)
+          }
+        })
+      }
+    }
+  )
+
+  return anchors
+}
+
+/**
+ * Parse markdown like GitHub does (with GFM).
+ *
+ * @param {string} value
+ *   Markdown.
+ * @returns {Root}
+ *   Tree.
+ */
+export function parseMarkdown(value) {
+  return fromMarkdown(value, {
+    extensions: [gfm()],
+    mdastExtensions: [gfmFromMarkdown()]
+  })
+}
+
+/**
+ * Count lines like GitHub does:
+ * a final line ending does not start a new line.
+ *
+ * @param {string} value
+ *   Text.
+ * @returns {number}
+ *   Lines.
+ */
+export function countLines(value) {
+  if (!value) return 0
+  const lines = value.split(lineBreakExpression)
+  return lines.at(-1) === '' ? lines.length - 1 : lines.length
+}
+
+/**
+ * Get the text GitHub renders for a heading:
+ * without HTML and footnote calls,
+ * with line endings and breaks as spaces.
+ *
+ * @param {Nodes} node
+ * @returns {string}
+ */
+function toText(node) {
+  if (node.type === 'break') return ' '
+  if (node.type === 'html') return ''
+  if ('alt' in node) return node.alt || ''
+  if ('value' in node) return node.value.replaceAll(/[ \t]*\r?\n[ \t]*/g, ' ')
+  if ('children' in node) return node.children.map((d) => toText(d)).join('')
+  return ''
+}
@@ -1,68 +1,300 @@
 /**
- * @import {AnchorAllow, Options, Result, Sleep} from 'dead-or-alive'
+ * @import {
+ *   AdapterContext,
+ *   AdapterRule,
+ *   AdapterVerdict,
+ *   Adapter,
+ *   AnchorAllow,
+ *   AuthRule,
+ *   CacheEntry,
+ *   Cache,
+ *   Fragments,
+ *   HeadersRule,
+ *   LocalFolder,
+ *   ManyOptions,
+ *   Options,
+ *   Redirect,
+ *   Result,
+ *   Sleep
+ * } from 'dead-or-alive'
  * @import {Root} from 'hast'
+ * @import {Anchor} from './anchors.js'
+ * @import {Pdf} from './pdf.js'
+ * @import {Robots} from './robots.js'
+ * @import {Xml} from './xml.js'
  */
 
 /**
+ * @typedef Body
+ *   Body of a response.
+ * @property {ReadableStream<Uint8Array> | null} body
+ *   Stream.
+ * @property {boolean} bodyUsed
+ *   Whether the stream is read.
+ *
+ * @typedef Document
+ *   Resource,
+ *   fetched once for all URLs that differ only in their hash.
+ * @property {Map<string, Anchor> | undefined} anchors
+ *   Anchors in the resource, if HTML and needed.
+ * @property {Promise<Pdf> | undefined} pdf
+ *   Info, if PDF and needed.
+ * @property {number} received
+ *   When the response was received (before reading its body).
+ * @property {Response} response
+ *   Response;
+ *   its body is read into `text` or cancelled.
+ * @property {string | undefined} text
+ *   Body, if HTML, XML, or PDF and needed
+ *   (PDF as bytes as characters);
+ *   not when requested with `HEAD`.
+ * @property {string | undefined} textContent
+ *   Visible text, if HTML and needed for text fragments.
+ * @property {Root | undefined} tree
+ *   Tree, if HTML and needed.
+ * @property {boolean} truncated
+ *   Whether `text` is cut off at `maxBytes`.
+ * @property {string} url
+ *   Final URL of the response.
+ * @property {Set<string> | undefined} urls
+ *   Further URLs, if HTML or XML and needed.
+ * @property {Xml | undefined} xml
+ *   Info, if XML and needed.
+ *
+ * @typedef Origin
+ *   Info on an origin,
+ *   shared between checks.
+ * @property {number} next
+ *   Time at which the next resource may be requested,
+ *   for `Crawl-delay`.
+ * @property {Robots} robots
+ *   Rules from `robots.txt`.
+ *
+ * @typedef Probe
+ *   Random missing page in a folder,
+ *   shared between checks.
+ * @property {string} text
+ *   Text of the page, without its URL.
+ * @property {string | undefined} title
+ *   Title or heading of the page, if it looks like that of an error page.
+ * @property {string} url
+ *   URL of the page.
+ *
+ * @typedef RequestOptions
+ *   Configuration for a request.
+ * @property {Readonly<CacheEntry> | undefined} cached
+ *   Stale response to revalidate.
+ * @property {boolean} credentials
+ *   Whether to send matching `auth` and `headers`.
+ * @property {Readonly<Record<string, string>> | undefined} [headers]
+ *   Extra request headers, such as from an adapter (optional).
+ * @property {'GET' | 'HEAD'} method
+ *   HTTP method.
+ *
+ * @typedef Shared
+ *   Things shared between checks.
+ * @property {Map<string, Promise<Document>>} documents
+ *   Resources.
+ * @property {Set<string>} kept
+ *   Keys of resources that are kept when no check needs them,
+ *   such as pages while crawling.
+ * @property {Map<string, Promise<Origin>>} origins
+ *   Info on origins.
+ * @property {Map<string, Promise<Probe | undefined>>} probes
+ *   Random missing pages.
+ * @property {Map<string, Promise<string | undefined>>} sources
+ *   Bodies requested by adapters.
+ *
  * @typedef State
  *   State.
+ * @property {ReadonlyArray<Readonly<AdapterRule>>} adapters
+ *   Adapters for hosts.
  * @property {ReadonlyArray<Readonly<AnchorAllow>>} anchorAllowlist
  *   Allow anchors.
+ * @property {ReadonlyArray<Readonly<AuthRule>>} auth
+ *   Send basic auth credentials.
+ * @property {Readonly<Cache> | undefined} cache
+ *   Store for responses.
+ * @property {number} cacheTtl
+ *   Miliseconds that stored responses are fresh.
  * @property {boolean} checkAnchor
  *   Check whether URL hashes point to elements.
+ * @property {AbortController} controller
+ *   Controller to cancel the whole check.
+ * @property {number} deadline
+ *   Maximum miliseconds for the whole check.
+ * @property {number | undefined} firstByte
+ *   Miliseconds until the first response.
+ * @property {Map<string, Promise<Document>>} documents
+ *   Resources by URL (without hash),
+ *   shared between checks.
+ * @property {Set<string>} documentKeys
+ *   Keys in `documents` used by this check.
  * @property {boolean} findUrls
  *   Find links in the final resource.
  * @property {boolean} followMetaHttpEquiv
  *   Follow HTML redirects.
+ * @property {ReadonlyArray<Readonly<HeadersRule>>} headers
+ *   Send extra request headers.
+ * @property {ReadonlyArray<Readonly<LocalFolder>>} localFolders
+ *   Respond to URLs starting with prefixes from local folders.
+ * @property {number} maxBytes
+ *   Maximum bytes to read of a body.
  * @property {number} maxRedirects
  *   Maximum redirects to follow, inclusive.
  * @property {number} maxRetries
  *   Maximum number to try again on failures, inclusive.
+ * @property {number} maxRetryAfter
+ *   Maximum miliseconds to wait when a server asks to try again later,
+ *   inclusive.
  * @property {Array<VFileMessage>} messages
  *   Collected messages.
+ * @property {Map<string, Promise<Origin>>} origins
+ *   Info on origins,
+ *   shared between checks.
+ * @property {'auto' | 'get'} method
+ *   How to request resources.
  * @property {boolean | undefined} permanent
  *   Whether all redirects were permanent.
+ * @property {Map<string, Promise<Probe | undefined>>} probes
+ *   Random missing pages by folder,
+ *   shared between checks.
  * @property {boolean} resolveClobberPrefix
  *   Accept `user-content-` prefix in `id` on elements.
- * @property {number} redirects
- *   Number of redirects.
- * @property {number} retries
- *   Number of retries.
+ * @property {Array<Redirect>} redirects
+ *   Redirects followed.
+ * @property {Response | undefined} response
+ *   Final response.
+ * @property {boolean} robots
+ *   Respect `robots.txt`.
+ * @property {AbortSignal | undefined} signal
+ *   Signal to cancel the check.
  * @property {Sleep} sleep
  *   Calculate miliseconds to sleep between tries.
+ * @property {number} slept
+ *   Miliseconds slept.
+ * @property {boolean} soft404
+ *   Detect missing pages that respond with `200`.
+ * @property {Map<string, Promise<string | undefined>>} sources
+ *   Bodies requested by adapters,
+ *   shared between checks.
+ * @property {number} start
+ *   Time at which the check started.
  * @property {number} timeout
  *   Timeout for HTTP request in miliseconds.
  * @property {Set<string> | undefined} urls
  *   Further URLs, if `findUrls: true`.
  * @property {string} userAgent
  *   User agent.
+ *
+ * @typedef Target
+ *   What to request for a page.
+ * @property {Readonly<Record<string, string>> | undefined} headers
+ *   Extra request headers, from an adapter.
+ * @property {URL} url
+ *   URL to request.
  */
 
 import {parse} from 'fast-content-type-parse'
 import {fromHtmlIsomorphic} from 'hast-util-from-html-isomorphic'
-import {isElement} from 'hast-util-is-element'
 import {select} from 'hast-util-select'
-import {urlAttributes} from 'html-url-attributes'
-import {visit} from 'unist-util-visit'
 import {VFileMessage} from 'vfile-message'
-import {getAnchors} from './anchors.js'
+import {linkedInAdapter, npmAdapter, xAdapter} from './adapters.js'
+import {clobberPrefix, getAnchors} from './anchors.js'
+import {createGitHubAdapter} from './github.js'
+import {parsePdf, parsePdfFragment, toBinaryString} from './pdf.js'
 import {propose} from './propose.js'
+import {isAllowed, parseRobots} from './robots.js'
 import {sharedDeclarativeRefresh} from './shared-declarative-refresh.js'
+import {fingerprint, missingTitle} from './soft-404.js'
+import {
+  getText,
+  matchTextDirective,
+  parseTextDirective,
+  textCandidates
+} from './text-fragments.js'
+import {visitUrls} from './urls.js'
+import {parseXml} from './xml.js'
+import {createMemoryCache} from './memory-cache.js'
 import {fetch} from '#fetch'
+import {loadLocalFolder} from '#local-folder'
 
-/** @type {Readonly<Options>} */
+/** @type {Readonly<ManyOptions>} */
 const emptyOptions = {}
 
+// Cleanups of requests that are done once their bodies are read.
+/** @type {WeakMap<Readonly<Body>, () => undefined>} */
+const releases = new WeakMap()
+
+// When responses were received (before reading their bodies).
+/** @type {WeakMap<Response, number>} */
+const responseTimes = new WeakMap()
+
 const defaultUserAgent =
   'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/117.0.0.0 Safari/537.36'
 
 const documentation = 'https://github.com/wooorm/dead-or-alive'
 
+// Line fragments, such as `L10`, `L10-L20`, or `L10C2-L20C4`.
+const lineExpression = /^L(\d+)(?:C\d+)?(?:-L(\d+)(?:C\d+)?)?$/
+
 const listFormat = new Intl.ListFormat('en', {
   style: 'long',
   type: 'disjunction'
 })
 
+const connectionCodes = new Set([
+  'ECONNABORTED',
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'EPIPE',
+  'UND_ERR_CLOSED',
+  'UND_ERR_SOCKET'
+])
+
+const dnsCodes = new Set([
+  'EAI_AGAIN',
+  'EAI_FAIL',
+  'EAI_NODATA',
+  'EAI_NONAME',
+  'ENOTFOUND'
+])
+
+const timeoutCodes = new Set([
+  'ETIMEDOUT',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_HEADERS_TIMEOUT'
+])
+
+// Such as `ERR_TLS_CERT_ALTNAME_INVALID`, `CERT_HAS_EXPIRED`,
+// `DEPTH_ZERO_SELF_SIGNED_CERT`.
+const tlsCode = /^(?:ERR_SSL_|ERR_TLS_)|CERT|^UNABLE_TO_VERIFY_LEAF_SIGNATURE$/
+
+// Rules of failures that are probably temporary.
+// Aborted and slow checks say nothing about the URL itself.
+const transientRules = new Set([
+  'aborted',
+  'blocked',
+  'connection',
+  'deadline',
+  'rate-limited',
+  'timeout'
+])
+
+// Responses stored in memory for `cache: true`,
+// shared between calls.
+const memoryCache = createMemoryCache()
+
+// Response headers exposed in results.
+const resultHeaders = [
+  'content-length',
+  'content-type',
+  'etag',
+  'last-modified'
+]
+
 /**
  * Check if a url is dead or alive.
  *
@@ -90,71 +322,424 @@ const listFormat = new Intl.ListFormat('en', {
  *   Result.
  */
 export async function deadOrAlive(href, options) {
+  return check(
+    createState(options, createShared()),
+    typeof href === 'string' ? new URL(href) : href
+  )
+}
+
+/**
+ * Create state for one check.
+ *
+ * @param {Readonly<Options> | null | undefined} options
+ *   Configuration (optional).
+ * @param {Shared} shared
+ *   Things shared between checks.
+ * @returns {State}
+ *   State.
+ */
+function createState(options, shared) {
   const settings = options || emptyOptions
+  const adapters = settings.adapters || defaultAdapters
   const anchorAllowlist = settings.anchorAllowlist || defaultAnchorAllowlist
+  const auth = settings.auth || []
+  const cache =
+    settings.cache === true ? memoryCache : settings.cache || undefined
+  const cacheTtl =
+    typeof settings.cacheTtl === 'number' ? settings.cacheTtl : 60 * 60 * 1000
   const checkAnchor = settings.checkAnchor !== false
+  const deadline =
+    typeof settings.deadline === 'number' ? settings.deadline : Infinity
   const findUrls = settings.findUrls !== false
   const followMetaHttpEquiv = settings.followMetaHttpEquiv !== false
+  const headers = settings.headers || []
+  const localFolders = settings.localFolders || []
+  const maxBytes =
+    typeof settings.maxBytes === 'number' ? settings.maxBytes : Infinity
   const maxRedirects =
     typeof settings.maxRedirects === 'number' ? settings.maxRedirects : 5
   const maxRetries =
     typeof settings.maxRetries === 'number' ? settings.maxRetries : 1
+  const maxRetryAfter =
+    typeof settings.maxRetryAfter === 'number'
+      ? settings.maxRetryAfter
+      : 60 * 1000
+  const method = settings.method || 'get'
   const resolveClobberPrefix = settings.resolveClobberPrefix !== false
+  const robots = settings.robots === true
+  const signal = settings.signal || undefined
   const sleep = settings.sleep || defaultSleep
+  const soft404 = settings.soft404 === true
   const timeout = typeof settings.timeout === 'number' ? settings.timeout : 3000
   const userAgent = settings.userAgent || defaultUserAgent
 
-  /** @type {State} */
-  const state = {
+  return {
+    adapters,
     anchorAllowlist,
+    auth,
+    cache,
+    cacheTtl,
     checkAnchor,
+    controller: new AbortController(),
+    deadline,
+    documentKeys: new Set(),
+    documents: shared.documents,
     findUrls,
+    firstByte: undefined,
     followMetaHttpEquiv,
+    headers,
+    localFolders,
+    maxBytes,
     maxRedirects,
     maxRetries,
+    maxRetryAfter,
     messages: [],
+    method,
+    origins: shared.origins,
     permanent: undefined,
-    redirects: 0,
+    probes: shared.probes,
+    redirects: [],
+    response: undefined,
     resolveClobberPrefix,
-    retries: 0,
+    robots,
+    signal,
     sleep,
+    slept: 0,
+    soft404,
+    sources: shared.sources,
+    start: Date.now(),
     timeout,
     urls: undefined,
     userAgent
   }
+}
+
+/**
+ * Create things shared between checks.
+ *
+ * @returns {Shared}
+ *   Shared things.
+ */
+export function createShared() {
+  return {
+    documents: new Map(),
+    kept: new Set(),
+    origins: new Map(),
+    probes: new Map(),
+    sources: new Map()
+  }
+}
+
+/**
+ * Get info for a result.
+ *
+ * @param {State} state
+ *   Info passed around.
+ * @returns {Omit<Result, 'messages' | 'status' | 'url'>}
+ *   Info.
+ */
+function info(state) {
+  const response = state.response
+  /** @type {Record<string, string> | undefined} */
+  let headers
+
+  if (response) {
+    headers = {}
+
+    for (const name of resultHeaders) {
+      const value = response.headers.get(name)
+      if (value !== null) headers[name] = value
+    }
+  }
+
+  return {
+    headers,
+    permanent: state.permanent,
+    redirects: state.redirects,
+    statusCode: response ? response.status : undefined,
+    statusText: response ? response.statusText : undefined,
+    timings: {
+      firstByte: state.firstByte,
+      sleep: state.slept,
+      total: Date.now() - state.start
+    },
+    urls: state.urls
+  }
+}
+
+/**
+ * Check a URL.
+ *
+ * @param {State} state
+ *   Info passed around.
+ * @param {Readonly<URL>} url
+ *   URL.
+ * @returns {Promise<Result>}
+ *   Result.
+ */
+async function check(state, url) {
+  const controller = state.controller
+  const signal = state.signal
+  /** @type {ReturnType<typeof setTimeout> | undefined} */
+  let id
+
+  if (state.deadline !== Infinity) {
+    id = setTimeout(function () {
+      const message = new VFileMessage(
+        'Unexpected slow check of `' +
+          url.href +
+          '`, exceeding the deadline of `' +
+          state.deadline +
+          '`ms',
+        {ruleId: 'deadline', source: 'dead-or-alive'}
+      )
+      message.url = documentation + '#' + message.ruleId
+      message.fatal = true
+      controller.abort(message)
+    }, state.deadline)
+  }
+
+  if (signal) {
+    if (signal.aborted) {
+      onabort()
+    } else {
+      signal.addEventListener('abort', onabort)
+    }
+  }
+
+  /** @type {Result} */
+  let result
 
   try {
-    const url = await deadOrAliveInternal(
-      state,
-      typeof href === 'string' ? new URL(href) : href
-    )
-    return {
+    const final = await deadOrAliveInternal(state, url)
+    result = {
+      ...info(state),
       messages: state.messages,
-      permanent: state.permanent,
       status: 'alive',
-      url: url.href,
-      urls: state.urls
+      url: final.href
     }
   } catch (error) {
-    const cause = /** @type {VFileMessage} */ (error)
-    return {
+    // When cancelled, whatever failed, failed because of that.
+    const cause = /** @type {VFileMessage} */ (
+      controller.signal.aborted ? controller.signal.reason : error
+    )
+    result = {
+      ...info(state),
       messages: [cause, ...state.messages],
-      permanent: state.permanent,
-      status: 'dead',
-      url: undefined,
-      urls: state.urls
+      status: isTransient(state, cause) ? 'unknown' : 'dead',
+      url: undefined
+    }
+  }
+
+  clearTimeout(id)
+  if (signal) signal.removeEventListener('abort', onabort)
+
+  return result
+
+  function onabort() {
+    const message = new VFileMessage(
+      'Unexpected abort while checking `' + url.href + '`',
+      {ruleId: 'aborted', source: 'dead-or-alive'}
+    )
+    message.url = documentation + '#' + message.ruleId
+    message.fatal = true
+    controller.abort(message)
+  }
+}
+
+/**
+ * Check whether a failure is probably temporary.
+ *
+ * @param {State} state
+ *   Info passed around.
+ * @param {VFileMessage} message
+ *   Fatal message.
+ * @returns {boolean}
+ *   Whether the failure is probably temporary.
+ */
+function isTransient(state, message) {
+  return Boolean(
+    (message.ruleId && transientRules.has(message.ruleId)) ||
+    (message.ruleId === 'dead' &&
+      state.response &&
+      state.response.status >= 500)
+  )
+}
+
+/**
+ * Check if urls are dead or alive.
+ *
+ * ###### Notes
+ *
+ * URLs are checked in parallel,
+ * but not all at once:
+ * there are never more than `maxConcurrency` checks running,
+ * and never more than `maxConcurrencyPerOrigin` checks to one origin.
+ * This is polite to the hosts you check,
+ * and makes it less likely that they block you.
+ *
+ * Each URL is checked once,
+ * even if it is given multiple times.
+ * URLs that differ only in their hash (such as `page#a` and `page#b`)
+ * share one request;
+ * the resource is fetched and parsed once,
+ * and each hash is checked against it.
+ *
+ * @param {ReadonlyArray<Readonly<URL> | string>} hrefs
+ *   URLs.
+ * @param {Readonly<ManyOptions> | null | undefined} [options]
+ *   Configuration (optional).
+ * @returns {Promise<Map<string, Result>>}
+ *   Results, in the order the URLs were given,
+ *   keyed by their serialized (`url.href`) form.
+ */
+export async function deadOrAliveMany(hrefs, options) {
+  return checkMany(hrefs, options, createShared())
+}
+
+/**
+ * Check if urls are dead or alive,
+ * with things shared with other calls.
+ *
+ * @param {ReadonlyArray<Readonly<URL> | string>} hrefs
+ *   URLs.
+ * @param {Readonly<ManyOptions> | null | undefined} options
+ *   Configuration.
+ * @param {Shared} shared
+ *   Things shared between checks.
+ * @returns {Promise<Map<string, Result>>}
+ *   Results.
+ */
+export async function checkMany(hrefs, options, shared) {
+  const settings = options || emptyOptions
+  const maxConcurrency = Math.max(
+    1,
+    typeof settings.maxConcurrency === 'number' ? settings.maxConcurrency : 8
+  )
+  const maxConcurrencyPerOrigin = Math.max(
+    1,
+    typeof settings.maxConcurrencyPerOrigin === 'number'
+      ? settings.maxConcurrencyPerOrigin
+      : 2
+  )
+  /** @type {Map<string, number>} */
+  const activePerOrigin = new Map()
+  /** @type {Map<string, Result>} */
+  const done = new Map()
+  /** @type {Map<string, number>} */
+  const queuedPerKey = new Map()
+  /** @type {Set<State>} */
+  const running = new Set()
+  /** @type {Array<Readonly<URL>>} */
+  const queue = []
+  /** @type {Set<string>} */
+  const order = new Set()
+  let active = 0
+
+  for (const href of hrefs) {
+    const url = typeof href === 'string' ? new URL(href) : href
+
+    if (!order.has(url.href)) {
+      const key = documentKey(url)
+      order.add(url.href)
+      queue.push(url)
+      queuedPerKey.set(key, (queuedPerKey.get(key) || 0) + 1)
+    }
+  }
+
+  await new Promise(function (resolve, reject) {
+    next()
+
+    function next() {
+      if (queue.length === 0 && active === 0) {
+        resolve(undefined)
+        return
+      }
+
+      let index = 0
+
+      while (active < maxConcurrency && index < queue.length) {
+        const url = queue[index]
+        const count = activePerOrigin.get(url.origin) || 0
+
+        // Too many checks to this origin are running: look further.
+        if (count >= maxConcurrencyPerOrigin) {
+          index++
+          continue
+        }
+
+        const key = documentKey(url)
+        const state = createState(options, shared)
+        queue.splice(index, 1)
+        active++
+        activePerOrigin.set(url.origin, count + 1)
+        queuedPerKey.set(key, /** @type {number} */ (queuedPerKey.get(key)) - 1)
+        running.add(state)
+
+        check(state, url).then(function (result) {
+          done.set(url.href, result)
+          active--
+          activePerOrigin.set(
+            url.origin,
+            /** @type {number} */ (activePerOrigin.get(url.origin)) - 1
+          )
+          running.delete(state)
+
+          // Drop resources that no queued or running check needs.
+          for (const key of state.documentKeys) {
+            if (queuedPerKey.get(key) || shared.kept.has(key)) continue
+
+            let used = false
+
+            for (const other of running) {
+              if (other.documentKeys.has(key)) used = true
+            }
+
+            if (!used) shared.documents.delete(key)
+          }
+
+          next()
+        }, reject)
+      }
     }
+  })
+
+  /** @type {Map<string, Result>} */
+  const results = new Map()
+
+  for (const href of order) {
+    results.set(href, /** @type {Result} */ (done.get(href)))
   }
+
+  return results
 }
 
+/**
+ * Use adapters for certain hosts.
+ *
+ * This currently checks line and heading fragments on `github.com`,
+ * asks the registry for packages on `npmjs.com`,
+ * asks the oEmbed API for posts on `x.com` and `twitter.com`,
+ * and reports blocked responses from `linkedin.com`.
+ *
+ * @type {ReadonlyArray<Readonly<AdapterRule>>}
+ */
+export const defaultAdapters = [
+  [/^github\.com$/, createGitHubAdapter()],
+  [/^(?:[\w-]+\.)?linkedin\.com$/, linkedInAdapter],
+  [/^(?:www\.)?npmjs\.com$/, npmAdapter],
+  [/^(?:(?:mobile|www)\.)?(?:twitter|x)\.com$/, xAdapter]
+]
+
 /**
  * Allow certain anchors.
  *
- * This currently allows text fragments everywhere.
+ * This is currently empty:
+ * text fragments are checked.
  *
  * @type {ReadonlyArray<Readonly<AnchorAllow>>}
  */
-export const defaultAnchorAllowlist = [[/./, /^:~:/]]
+export const defaultAnchorAllowlist = []
 
 /**
  * Calculate miliseconds to sleep between tries.
@@ -184,8 +769,9 @@ export function defaultSleep(retries) {
  * @returns {Promise<URL>}
  *   Result.
  */
+// eslint-disable-next-line complexity
 async function deadOrAliveInternal(state, url) {
-  if (state.redirects > state.maxRedirects) {
+  if (state.redirects.length > state.maxRedirects) {
     const message = new VFileMessage(
       'Unexpected redirect to `' + url.href + '`, too many redirects',
       {ruleId: 'max-redirect', source: 'dead-or-alive'}
@@ -196,41 +782,72 @@ async function deadOrAliveInternal(state, url) {
     throw message
   }
 
-  /** @type {Awaited<ReturnType<typeof fetch>>} */
-  let response
+  // Local folders have no `robots.txt`.
+  if (state.robots && isHttp(url) && !getLocalFolder(state, url)) {
+    const origin = await getOrigin(state, url)
 
-  try {
-    // Create a manually abortable fetch,
-    // instead of `AbortSignal.timeout(state.timeout)`.
-    // This way we only abort slow requests; not the other work.
-    const controller = new AbortController()
-    const id = setTimeout(function () {
-      controller.abort()
-    }, state.timeout)
+    if (!isAllowed(origin.robots, url.pathname + url.search)) {
+      const message = new VFileMessage(
+        'Unexpected URL `' +
+          url.href +
+          '` disallowed by `robots.txt`, not checking it',
+        {ruleId: 'disallowed-by-robots', source: 'dead-or-alive'}
+      )
 
-    response = await fetch(url, {
-      headers: {
-        userAgent: state.userAgent,
-        // <https://developer.mozilla.org/en-US/docs/Web/HTTP/Headers/Upgrade-Insecure-Requests>
-        'Upgrade-Insecure-Requests': '1',
-        accept:
-          'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-        'accept-encoding': 'gzip',
-        'accept-language': 'en-US,en;q=0.9'
-      },
-      method: 'GET',
-      redirect: 'manual',
-      signal: controller.signal
-    })
+      message.url = documentation + '#' + message.ruleId
+      message.fatal = true
+      throw message
+    }
+  }
 
-    clearTimeout(id)
-  } catch (error) {
-    if (state.retries < state.maxRetries) return retry(state, url)
+  const document = await getDocument(state, url)
+  const response = document.response
+
+  if (state.firstByte === undefined) {
+    // Shared resources can be received before this check started.
+    state.firstByte = Math.max(0, document.received - state.start)
+  }
+
+  state.response = response
+
+  const adapter = getAdapter(state, url)
+  /** @type {AdapterVerdict | undefined} */
+  const verdict =
+    adapter && adapter.response
+      ? adapter.response(response, new URL(document.url)) || undefined
+      : undefined
+
+  if (verdict === 'alive') {
+    return new URL(document.url + url.hash)
+  }
+
+  if (verdict === 'blocked') {
+    const message = new VFileMessage(
+      'Unexpected response `' +
+        response.status +
+        '` (`' +
+        response.statusText +
+        '`) on `' +
+        document.url +
+        '` from a host that blocks automated requests, check it in a browser',
+      {ruleId: 'blocked', source: 'dead-or-alive'}
+    )
+
+    message.url = documentation + '#' + message.ruleId
+    message.fatal = true
+    throw message
+  }
 
-    const cause = /** @type {Error} */ (error)
+  if (verdict === 'dead') {
     const message = new VFileMessage(
-      'Unexpected error fetching `' + url.href + '`',
-      {cause, ruleId: 'fetch', source: 'dead-or-alive'}
+      'Unexpected response `' +
+        response.status +
+        '` (`' +
+        response.statusText +
+        '`) on `' +
+        document.url +
+        '` that the adapter for its host reports as dead',
+      {ruleId: 'dead', source: 'dead-or-alive'}
     )
 
     message.url = documentation + '#' + message.ruleId
@@ -238,16 +855,18 @@ async function deadOrAliveInternal(state, url) {
     throw message
   }
 
-  // Reset retries if successful.
-  state.retries = 0
+  const target = rewriteRequest(state, url)
+  // Redirects of requests to other URLs (such as to an API) are not followed.
+  const rewritten = target !== undefined && target.url.href !== documentKey(url)
 
-  if (response.status >= 300 && response.status < 400) {
+  if (!rewritten && response.status >= 300 && response.status < 400) {
     const location = response.headers.get('location')
 
     if (location) {
       const redirect = new URL(location, url)
+      const permanent = response.status === 301 || response.status === 308
 
-      if (response.status === 301 || response.status === 308) {
+      if (permanent) {
         if (state.permanent === undefined) state.permanent = true
       } else {
         state.permanent = false
@@ -269,27 +888,41 @@ async function deadOrAliveInternal(state, url) {
         state.messages.push(message)
       }
 
-      state.redirects++
+      state.redirects.push({
+        from: url.href,
+        permanent,
+        status: response.status,
+        to: redirect.href
+      })
       return deadOrAliveInternal(state, redirect)
     }
   }
 
-  if (!response.ok) {
-    if (
-      state.retries < state.maxRetries &&
-      // When the server says the client is wrong, we don’t try again.
-      (response.status < 400 || response.status >= 500)
-    ) {
-      return retry(state, url)
-    }
+  if (response.status === 429) {
+    const message = new VFileMessage(
+      'Unexpected rate limit response `' +
+        response.status +
+        '` (`' +
+        response.statusText +
+        '`) on `' +
+        document.url +
+        '`, try again later',
+      {ruleId: 'rate-limited', source: 'dead-or-alive'}
+    )
 
+    message.url = documentation + '#' + message.ruleId
+    message.fatal = true
+    throw message
+  }
+
+  if (!response.ok) {
     const message = new VFileMessage(
       'Unexpected not ok response `' +
         response.status +
         '` (`' +
         response.statusText +
         '`) on `' +
-        response.url +
+        document.url +
         '`',
       {ruleId: 'dead', source: 'dead-or-alive'}
     )
@@ -299,111 +932,1023 @@ async function deadOrAliveInternal(state, url) {
     throw message
   }
 
+  // The response of a rewritten request is not the page itself.
+  if (rewritten) {
+    return new URL(document.url + url.hash)
+  }
+
   // Note: defaulting to HTML might not be great?
-  const contentType = response.headers.get('content-type') || undefined
+  if (isHtml(response)) {
+    return handleTextHtml(state, url, document)
+  }
 
-  if (contentType) {
-    const type = parse(contentType)
+  if (isXml(response)) {
+    return handleXml(state, url, document)
+  }
 
-    if (type.type === 'text/html') {
-      return handleTextHtml(state, url, response)
-    }
+  if (isPdf(response)) {
+    return handlePdf(state, url, document)
   }
 
-  return handleUnknown(state, url, response, contentType)
+  return handleUnknown(
+    state,
+    url,
+    document,
+    response.headers.get('content-type') || undefined
+  )
 }
 
 /**
+ * Get the resource at a URL,
+ * from the shared cache if it was requested before.
+ *
  * @param {State} state
  * @param {Readonly<URL>} url
- * @returns {Promise<URL>}
+ * @returns {Promise<Document>}
  */
-async function retry(state, url) {
-  state.retries++
+async function getDocument(state, url) {
+  const key = documentKey(url)
+  state.documentKeys.add(key)
+  // Credentials and extra headers are not sent after a redirect to another
+  // origin.
+  const credentials =
+    state.redirects.length === 0 ||
+    new URL(state.redirects[0].from).origin === url.origin
 
-  await new Promise(function (resolve) {
-    setTimeout(resolve, state.sleep(state.retries))
+  // Responses without the credentials or extra headers that match a URL are
+  // not shared with other checks.
+  if (!credentials && hasRequestRule(state, url)) {
+    return load(state, url, key, credentials)
+  }
+
+  const document = await getShared(state, state.documents, key, function () {
+    return load(state, url, key, credentials)
   })
 
-  return deadOrAliveInternal(state, url)
+  // Loaded without body by another check that did not need it.
+  if (document.text === undefined && needsBody(state, url, document.response)) {
+    state.documents.delete(key)
+    return getDocument(state, url)
+  }
+
+  return document
 }
 
 /**
+ * Get info on the origin of a URL,
+ * from the shared cache if it was requested before.
+ *
  * @param {State} state
  * @param {Readonly<URL>} url
- * @param {Response} response
- * @returns {Promise<URL>}
+ * @returns {Promise<Origin>}
  */
-// eslint-disable-next-line complexity
-async function handleTextHtml(state, url, response) {
-  // If we don’t need to dig into the HTML, we’re done.
-  if (
-    !(
-      (state.checkAnchor && url.hash) ||
-      state.findUrls ||
-      state.followMetaHttpEquiv
-    )
-  ) {
-    return new URL(response.url)
-  }
+async function getOrigin(state, url) {
+  return getShared(state, state.origins, url.origin, async function () {
+    return {
+      next: 0,
+      robots: await loadRobots(state, new URL('/robots.txt', url), 0, true)
+    }
+  })
+}
 
-  const text = await response.text()
-  const tree = fromHtmlIsomorphic(text)
+/**
+ * Get a value shared between checks,
+ * creating it if it does not exist yet.
+ *
+ * @template T
+ * @param {State} state
+ * @param {Map<string, Promise<T>>} map
+ * @param {string} key
+ * @param {() => Promise<T>} create
+ * @returns {Promise<T>}
+ */
+async function getShared(state, map, key, create) {
+  let promise = map.get(key)
 
-  if (state.followMetaHttpEquiv) {
-    const meta = select('meta[http-equiv=refresh]', tree)
-    // Note: this also throws a proper `VFileMessage` when an invalid URL
-    // is defined in the HTML.
-    const redirect =
-      meta && meta.properties.content
-        ? sharedDeclarativeRefresh(
-            String(meta.properties.content),
-            new URL(response.url)
-          )
-        : undefined
+  if (!promise) {
+    promise = create()
+    map.set(key, promise)
+  }
 
-    if (redirect) {
-      if (state.checkAnchor && url.hash) {
-        const message = new VFileMessage(
-          'Unexpected hash in URL `' +
-            url.href +
-            '` that redirects with `meta[http-equiv=refresh]` to `' +
-            redirect.href +
-            '` losing the hash, remove the hash from the original URL',
-          {
-            ruleId: 'lost-hash-with-meta-http-equiv',
-            source: 'dead-or-alive'
-          }
-        )
-        message.url = documentation + '#' + message.ruleId
-        state.messages.push(message)
-      }
+  try {
+    return await promise
+  } catch (error) {
+    const message = /** @type {VFileMessage} */ (error)
 
-      // Treat all HTML redirects as non-permanent.
-      state.permanent = false
-      state.redirects++
-      return deadOrAliveInternal(state, redirect)
+    // Created by another check that was cancelled: create again.
+    if (
+      !state.controller.signal.aborted &&
+      (message.ruleId === 'aborted' || message.ruleId === 'deadline')
+    ) {
+      if (map.get(key) === promise) map.delete(key)
+      return getShared(state, map, key, create)
     }
-  }
 
-  if (state.findUrls) {
-    state.urls = findUrls(url, tree)
+    throw error
   }
+}
 
-  if (state.checkAnchor && url.hash) {
-    const responseUrl = new URL(response.url)
-    const baseUrl = responseUrl.origin + responseUrl.pathname
-    const fragment = url.hash.slice(1)
-    const result = new URL(response.url)
-    result.hash = url.hash
-
-    for (const [urlRe, fragmentRe] of state.anchorAllowlist) {
-      if (urlRe.test(baseUrl) && fragmentRe.test(fragment)) {
-        return result
-      }
-    }
-
-    const anchors = getAnchors(tree, state)
+/**
+ * Load `robots.txt`.
+ *
+ * See: <https://www.rfc-editor.org/rfc/rfc9309#name-access-method>.
+ *
+ * @param {State} state
+ * @param {Readonly<URL>} url
+ * @param {number} redirects
+ * @param {boolean} credentials
+ *   Whether to send matching `auth` and `headers`.
+ * @returns {Promise<Robots>}
+ */
+async function loadRobots(state, url, redirects, credentials) {
+  /** @type {Response} */
+  let response
+
+  try {
+    response = await request(
+      state,
+      url,
+      {cached: undefined, credentials, method: 'GET'},
+      0
+    )
+  } catch (error) {
+    if (state.controller.signal.aborted) throw error
+    // Unreachable: assume everything is allowed,
+    // so that requesting the URL itself shows what is wrong.
+    return {crawlDelay: undefined, rules: []}
+  }
+
+  const location = response.headers.get('location')
+
+  if (
+    response.status >= 300 &&
+    response.status < 400 &&
+    location &&
+    redirects < state.maxRedirects
+  ) {
+    await cancel(response)
+    const next = new URL(location, url)
+    return loadRobots(
+      state,
+      next,
+      redirects + 1,
+      credentials && next.origin === url.origin
+    )
+  }
+
+  if (response.ok) {
+    // At least 500 kibibytes must be parsed.
+    const result = await readText(response, 512_000)
+    return parseRobots(result.text, state.userAgent)
+  }
+
+  await cancel(response)
+
+  // Unavailable or unreachable: assume everything is allowed,
+  // so that requesting the URL itself shows what is wrong.
+  return {crawlDelay: undefined, rules: []}
+}
+
+/**
+ * Wait for `Crawl-delay` from `robots.txt`.
+ *
+ * @param {State} state
+ * @param {Readonly<URL>} url
+ * @returns {Promise<undefined>}
+ */
+async function crawlDelay(state, url) {
+  const origin = await getOrigin(state, url)
+  const delay = origin.robots.crawlDelay
+
+  if (delay) {
+    const now = Date.now()
+    const start = Math.max(now, origin.next)
+    origin.next = start + delay * 1000
+    await wait(state, start - now)
+  }
+}
+
+/**
+ * Load the resource at a URL,
+ * from `state.cache` if it is fresh there.
+ *
+ * @param {State} state
+ * @param {Readonly<URL>} url
+ * @param {string} key
+ * @param {boolean} credentials
+ *   Whether to send matching `auth` and `headers`.
+ * @returns {Promise<Document>}
+ */
+// eslint-disable-next-line complexity
+async function load(state, url, key, credentials) {
+  const localFolder = getLocalFolder(state, url)
+  const target = rewriteRequest(state, url) || {headers: undefined, url}
+  // Local folders (such as build output) change, so they are not stored;
+  // responses to credentials or extra headers are not either,
+  // as other checks might not send them.
+  const cache =
+    localFolder || hasRequestRule(state, target.url) ? undefined : state.cache
+  let cached = cache ? await cache.get(key) : undefined
+
+  // PDFs are stored without body when it was not needed.
+  if (
+    cached &&
+    cached.body === undefined &&
+    needsBody(state, url, fromCacheEntry(cached).response)
+  ) {
+    cached = undefined
+  }
+
+  if (cached && Date.now() - cached.time < state.cacheTtl) {
+    return fromCacheEntry(cached)
+  }
+
+  /** @type {Response | undefined} */
+  let response
+
+  if (localFolder) {
+    response = await loadLocalFolder(url, localFolder)
+  } else {
+    if (state.robots && isHttp(url)) await crawlDelay(state, url)
+
+    if (state.method === 'auto') {
+      response = await requestHead(state, url, target, {cached, credentials})
+    }
+
+    response ||= await request(
+      state,
+      target.url,
+      {cached, credentials, headers: target.headers, method: 'GET'},
+      0
+    )
+  }
+
+  /** @type {string | undefined} */
+  let text
+  let truncated = false
+
+  // Only HTML, XML, and PDF are inspected, so other bodies are not needed.
+  if (needsBody(state, url, response)) {
+    const result = await readText(response, state.maxBytes, hasPdf(response))
+    text = result.text
+    truncated = result.truncated
+  } else {
+    await cancel(response)
+  }
+
+  if (!cache) {
+    return createDocument(response, key, text, truncated)
+  }
+
+  /** @type {CacheEntry} */
+  let entry
+
+  if (cached && response.status === 304) {
+    entry = {...cached, time: Date.now()}
+  } else {
+    // Do not store failures that are probably temporary,
+    // HTML and XML without (all of their) body,
+    // or PDFs with part of their body.
+    if (
+      response.status === 429 ||
+      response.status >= 500 ||
+      ((hasHtml(response) || hasXml(response)) &&
+        (text === undefined || truncated)) ||
+      (hasPdf(response) && truncated)
+    ) {
+      return createDocument(response, key, text, truncated)
+    }
+
+    entry = toCacheEntry(response, key, text)
+  }
+
+  await cache.set(key, entry)
+  return fromCacheEntry(entry, responseTimes.get(response))
+}
+
+/**
+ * Request a URL with `HEAD`,
+ * which is enough when the body is not needed.
+ *
+ * @param {State} state
+ * @param {Readonly<URL>} url
+ *   URL of the page.
+ * @param {Readonly<Target>} target
+ *   What to request.
+ * @param {Readonly<Omit<RequestOptions, 'headers' | 'method'>>} options
+ *   Stale response to revalidate and whether to send credentials.
+ * @returns {Promise<Response | undefined>}
+ *   Response if enough.
+ */
+async function requestHead(state, url, target, options) {
+  const cached = options.cached
+  /** @type {Response} */
+  let response
+
+  try {
+    response = await request(
+      state,
+      target.url,
+      {...options, headers: target.headers, method: 'HEAD'},
+      0
+    )
+  } catch {
+    // Some servers fail on `HEAD`; try `GET`.
+    return
+  }
+
+  if (
+    // Not modified is fine when revalidating.
+    (cached && response.status === 304) ||
+    // Redirects are fine.
+    (response.status >= 300 &&
+      response.status < 400 &&
+      response.headers.get('location')) ||
+    // Otherwise, when not ok (such as `405` or `501`),
+    // the server might not support `HEAD`.
+    (response.ok && !needsBody(state, url, response))
+  ) {
+    return response
+  }
+
+  await cancel(response)
+}
+
+/**
+ * @param {Response} response
+ * @param {string} url
+ * @param {string | undefined} text
+ * @param {boolean} truncated
+ * @returns {Document}
+ */
+function createDocument(response, url, text, truncated) {
+  return {
+    anchors: undefined,
+    pdf: undefined,
+    received: responseTimes.get(response) || Date.now(),
+    response,
+    text,
+    textContent: undefined,
+    tree: undefined,
+    truncated,
+    url,
+    urls: undefined,
+    xml: undefined
+  }
+}
+
+/**
+ * @param {Readonly<CacheEntry>} entry
+ * @param {number | undefined} [received]
+ * @returns {Document}
+ */
+function fromCacheEntry(entry, received) {
+  const document = createDocument(
+    new Response(undefined, {
+      headers: entry.headers,
+      status: entry.status,
+      statusText: entry.statusText
+    }),
+    entry.url,
+    entry.body,
+    false
+  )
+  if (received !== undefined) document.received = received
+  return document
+}
+
+/**
+ * @param {Response} response
+ * @param {string} url
+ * @param {string | undefined} body
+ * @returns {CacheEntry}
+ */
+function toCacheEntry(response, url, body) {
+  return {
+    body,
+    headers: Object.fromEntries(response.headers),
+    status: response.status,
+    statusText: response.statusText,
+    time: Date.now(),
+    url
+  }
+}
+
+/**
+ * Read a body as text,
+ * stopping at `maxBytes`.
+ *
+ * @param {Readonly<Body>} response
+ * @param {number} maxBytes
+ * @param {boolean | undefined} [binary=false]
+ *   Whether to read bytes as characters instead of decoding UTF-8
+ *   (default: `false`).
+ * @returns {Promise<{text: string, truncated: boolean}>}
+ */
+async function readText(response, maxBytes, binary) {
+  const decoder = new TextDecoder()
+  /** @type {Array<string>} */
+  const chunks = []
+  let size = 0
+  let truncated = false
+
+  try {
+    if (response.body) {
+      const reader = response.body.getReader()
+
+      while (!truncated) {
+        // eslint-disable-next-line no-await-in-loop
+        const result = await reader.read()
+        if (result.done) break
+        let value = result.value
+        size += value.byteLength
+
+        if (size > maxBytes) {
+          value = value.subarray(0, value.byteLength - (size - maxBytes))
+          truncated = true
+          // eslint-disable-next-line no-await-in-loop
+          await reader.cancel()
+        }
+
+        chunks.push(
+          binary ? toBinaryString(value) : decoder.decode(value, {stream: true})
+        )
+      }
+    }
+  } finally {
+    release(response)
+  }
+
+  chunks.push(decoder.decode())
+  return {text: chunks.join(''), truncated}
+}
+
+/**
+ * Stop downloading a body that is not needed,
+ * so that the connection is released.
+ *
+ * @param {Readonly<Body>} response
+ * @returns {Promise<undefined>}
+ */
+async function cancel(response) {
+  try {
+    if (response.body && !response.bodyUsed) await response.body.cancel()
+  } finally {
+    release(response)
+  }
+}
+
+/**
+ * Stop listening for the check to be cancelled,
+ * as the body of a response is read or cancelled.
+ *
+ * @param {Readonly<Body>} response
+ * @returns {undefined}
+ */
+function release(response) {
+  const done = releases.get(response)
+
+  if (done) {
+    releases.delete(response)
+    done()
+  }
+}
+
+/**
+ * Check whether `headers` or `auth` rules match a URL.
+ *
+ * @param {State} state
+ * @param {Readonly<URL>} url
+ * @returns {boolean}
+ */
+function hasRequestRule(state, url) {
+  const base = url.origin + url.pathname
+
+  for (const [urlRe] of [...state.headers, ...state.auth]) {
+    if (urlRe.test(base)) return true
+  }
+
+  return false
+}
+
+/**
+ * Fetch a URL,
+ * trying again on failures.
+ *
+ * @param {State} state
+ * @param {Readonly<URL>} url
+ * @param {Readonly<RequestOptions>} options
+ * @param {number} retries
+ * @returns {Promise<Response>}
+ */
+// eslint-disable-next-line complexity
+async function request(state, url, options, retries) {
+  const cached = options.cached
+  /** @type {Record<string, string>} */
+  const headers = {
+    userAgent: state.userAgent,
+    // <https://developer.mozilla.org/en-US/docs/Web/HTTP/Headers/Upgrade-Insecure-Requests>
+    'Upgrade-Insecure-Requests': '1',
+    accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+    'accept-encoding': 'gzip',
+    'accept-language': 'en-US,en;q=0.9'
+  }
+
+  if (options.headers) {
+    for (const [key, value] of Object.entries(options.headers)) {
+      headers[key.toLowerCase()] = value
+    }
+  }
+
+  // Match each URL on its own,
+  // so that headers are not sent along with redirects to other URLs.
+  if (options.credentials) {
+    const base = url.origin + url.pathname
+
+    for (const [urlRe, extra] of state.headers) {
+      if (urlRe.test(base)) {
+        for (const [key, value] of Object.entries(extra)) {
+          headers[key.toLowerCase()] = value
+        }
+      }
+    }
+
+    for (const [urlRe, username, password] of state.auth) {
+      if (urlRe.test(base)) {
+        const bytes = new TextEncoder().encode(username + ':' + password)
+        // eslint-disable-next-line no-restricted-globals
+        headers.authorization = 'Basic ' + btoa(String.fromCodePoint(...bytes))
+        break
+      }
+    }
+  }
+
+  if (cached) {
+    if (cached.headers.etag) {
+      headers['if-none-match'] = cached.headers.etag
+    }
+
+    if (cached.headers['last-modified']) {
+      headers['if-modified-since'] = cached.headers['last-modified']
+    }
+  }
+
+  /** @type {Awaited<ReturnType<typeof fetch>> | undefined} */
+  let response
+  /** @type {unknown} */
+  let exception
+  let timedOut = false
+  const signal = state.controller.signal
+
+  signal.throwIfAborted()
+
+  // Create a manually abortable fetch,
+  // instead of `AbortSignal.timeout(state.timeout)`.
+  // This way we only abort slow requests; not the other work.
+  const controller = new AbortController()
+  const id = setTimeout(function () {
+    timedOut = true
+    controller.abort()
+  }, state.timeout)
+
+  // Also abort the request (and reading its body) when the check is
+  // cancelled.
+  signal.addEventListener('abort', onabort)
+
+  try {
+    response = await fetch(url, {
+      headers,
+      method: options.method,
+      redirect: 'manual',
+      signal: controller.signal
+    })
+    responseTimes.set(response, Date.now())
+    // Stop listening once the body is read or cancelled.
+    releases.set(response, function () {
+      signal.removeEventListener('abort', onabort)
+    })
+  } catch (error) {
+    exception = error
+    signal.removeEventListener('abort', onabort)
+  } finally {
+    clearTimeout(id)
+  }
+
+  if (!response) {
+    if (signal.aborted) throw signal.reason
+
+    if (options.method === 'GET' && retries < state.maxRetries) {
+      await wait(state, state.sleep(retries + 1))
+      return request(state, url, options, retries + 1)
+    }
+
+    throw fetchMessage(state, url, /** @type {Error} */ (exception), timedOut)
+  }
+
+  if (
+    !response.ok &&
+    // `HEAD` is tried once, `GET` is used after it fails.
+    options.method === 'GET' &&
+    retries < state.maxRetries &&
+    // Redirects are fine.
+    !(
+      response.status >= 300 &&
+      response.status < 400 &&
+      response.headers.get('location')
+    ) &&
+    // Not modified is fine when revalidating.
+    !(cached && response.status === 304) &&
+    // When the server says the client is wrong, we don’t try again,
+    // unless it says we are too fast.
+    (response.status < 400 || response.status === 429 || response.status >= 500)
+  ) {
+    const retryAfter = parseRetryAfter(response.headers.get('retry-after'))
+
+    // When the server wants us to wait too long, we don’t try again.
+    if (retryAfter === undefined || retryAfter <= state.maxRetryAfter) {
+      await cancel(response)
+      await wait(
+        state,
+        retryAfter === undefined ? state.sleep(retries + 1) : retryAfter
+      )
+      return request(state, url, options, retries + 1)
+    }
+  }
+
+  return response
+
+  function onabort() {
+    controller.abort()
+  }
+}
+
+/**
+ * Turn a failed `fetch` into a message.
+ *
+ * @param {State} state
+ *   Info passed around.
+ * @param {Readonly<URL>} url
+ *   URL.
+ * @param {Error} cause
+ *   Error.
+ * @param {boolean} timedOut
+ *   Whether the request was aborted because it was too slow.
+ * @returns {VFileMessage}
+ *   Message.
+ */
+function fetchMessage(state, url, cause, timedOut) {
+  const code = errorCode(cause)
+  let reason = 'Unexpected error fetching `' + url.href + '`'
+  let ruleId = 'fetch'
+
+  if (timedOut || (code && timeoutCodes.has(code))) {
+    reason =
+      'Unexpected slow response fetching `' +
+      url.href +
+      '`, exceeding the timeout of `' +
+      state.timeout +
+      '`ms'
+    ruleId = 'timeout'
+  } else if (code && dnsCodes.has(code)) {
+    reason =
+      'Unexpected unresolvable host `' +
+      url.host +
+      '` fetching `' +
+      url.href +
+      '`'
+    ruleId = 'dns'
+  } else if (code && connectionCodes.has(code)) {
+    reason = 'Unexpected connection failure fetching `' + url.href + '`'
+    ruleId = 'connection'
+  } else if (code && tlsCode.test(code)) {
+    reason = 'Unexpected TLS failure fetching `' + url.href + '`'
+    ruleId = 'tls'
+  }
+
+  const message = new VFileMessage(reason, {
+    cause,
+    ruleId,
+    source: 'dead-or-alive'
+  })
+
+  message.url = documentation + '#' + message.ruleId
+  message.fatal = true
+  return message
+}
+
+/**
+ * Get the code of an error,
+ * or of its causes,
+ * as `fetch` wraps errors.
+ *
+ * @param {unknown} error
+ *   Error.
+ * @returns {string | undefined}
+ *   Code.
+ */
+function errorCode(error) {
+  let value = error
+
+  while (value && typeof value === 'object') {
+    if ('code' in value && typeof value.code === 'string') {
+      return value.code
+    }
+
+    value = 'cause' in value ? value.cause : undefined
+  }
+}
+
+/**
+ * @param {State} state
+ *   Info passed around.
+ * @param {number} ms
+ *   Miliseconds to sleep.
+ * @returns {Promise<undefined>}
+ *   Nothing.
+ */
+async function wait(state, ms) {
+  const signal = state.controller.signal
+  const start = Date.now()
+
+  signal.throwIfAborted()
+
+  await new Promise(function (resolve) {
+    const id = setTimeout(done, ms)
+
+    signal.addEventListener('abort', done)
+
+    function done() {
+      clearTimeout(id)
+      signal.removeEventListener('abort', done)
+      resolve(undefined)
+    }
+  })
+
+  state.slept += Date.now() - start
+  signal.throwIfAborted()
+}
+
+/**
+ * Parse a `Retry-After` header.
+ *
+ * @param {string | null} value
+ *   Delay in seconds or HTTP date.
+ * @returns {number | undefined}
+ *   Miliseconds to wait.
+ */
+function parseRetryAfter(value) {
+  if (!value) return
+
+  if (/^\s*\d+\s*$/.test(value)) {
+    return Number.parseInt(value, 10) * 1000
+  }
+
+  const date = Date.parse(value)
+
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now())
+  }
+}
+
+/**
+ * @param {Readonly<URL>} url
+ * @returns {string}
+ */
+function documentKey(url) {
+  return url.href.split('#', 1)[0]
+}
+
+/**
+ * Get the local folder for a URL,
+ * if it starts with one of the prefixes in `localFolders`.
+ *
+ * @param {State} state
+ * @param {Readonly<URL>} url
+ * @returns {Readonly<LocalFolder> | undefined}
+ */
+function getLocalFolder(state, url) {
+  const href = url.origin + url.pathname
+
+  for (const localFolder of state.localFolders) {
+    if (href.startsWith(localFolder[0])) return localFolder
+  }
+}
+
+/**
+ * @param {Readonly<URL>} url
+ * @returns {boolean}
+ */
+function isHttp(url) {
+  return url.protocol === 'http:' || url.protocol === 'https:'
+}
+
+/**
+ * Whether a response is ok HTML,
+ * so its body can be inspected.
+ *
+ * @param {Response} response
+ * @returns {boolean}
+ */
+function hasHtml(response) {
+  return response.ok && isHtml(response)
+}
+
+/**
+ * @param {Response} response
+ * @returns {boolean}
+ */
+function isHtml(response) {
+  const contentType = response.headers.get('content-type')
+  return contentType ? parse(contentType).type === 'text/html' : false
+}
+
+/**
+ * @param {Response} response
+ * @returns {boolean}
+ */
+function hasXml(response) {
+  return response.ok && isXml(response)
+}
+
+/**
+ * @param {Response} response
+ * @returns {boolean}
+ */
+function isXml(response) {
+  const contentType = response.headers.get('content-type')
+  const type = contentType ? parse(contentType).type : ''
+  return (
+    type === 'application/xml' || type === 'text/xml' || type.endsWith('+xml')
+  )
+}
+
+/**
+ * @param {Response} response
+ * @returns {boolean}
+ */
+function hasPdf(response) {
+  return response.ok && isPdf(response)
+}
+
+/**
+ * @param {Response} response
+ * @returns {boolean}
+ */
+function isPdf(response) {
+  const contentType = response.headers.get('content-type')
+  return contentType ? parse(contentType).type === 'application/pdf' : false
+}
+
+/**
+ * Whether we need the body of a response.
+ *
+ * @param {State} state
+ * @param {Readonly<URL>} url
+ * @param {Response} response
+ * @returns {boolean}
+ */
+function needsBody(state, url, response) {
+  return (
+    (hasHtml(response) && inspectHtml(state, url)) ||
+    (hasXml(response) && inspectXml(state, url)) ||
+    (hasPdf(response) && inspectPdf(state, url))
+  )
+}
+
+/**
+ * Whether we need to dig into HTML.
+ *
+ * @param {State} state
+ * @param {Readonly<URL>} url
+ * @returns {boolean}
+ */
+function inspectHtml(state, url) {
+  return Boolean(
+    (state.checkAnchor && url.hash) ||
+    state.findUrls ||
+    state.followMetaHttpEquiv ||
+    state.soft404
+  )
+}
+
+/**
+ * Whether we need to dig into XML.
+ *
+ * @param {State} state
+ * @param {Readonly<URL>} url
+ * @returns {boolean}
+ */
+function inspectXml(state, url) {
+  return Boolean((state.checkAnchor && url.hash) || state.findUrls)
+}
+
+/**
+ * Whether we need to dig into a PDF.
+ *
+ * @param {State} state
+ * @param {Readonly<URL>} url
+ * @returns {boolean}
+ */
+function inspectPdf(state, url) {
+  return Boolean(state.checkAnchor && url.hash)
+}
+
+/**
+ * @param {State} state
+ * @param {Readonly<URL>} url
+ * @param {Document} document
+ * @returns {Promise<URL>}
+ */
+// eslint-disable-next-line complexity
+async function handleTextHtml(state, url, document) {
+  // If we don’t need to dig into the HTML, we’re done.
+  if (!inspectHtml(state, url)) {
+    return new URL(document.url)
+  }
+
+  if (document.truncated) {
+    warnTruncated(state, document, 'HTML')
+  }
+
+  document.tree ||= fromHtmlIsomorphic(/** @type {string} */ (document.text))
+  const tree = document.tree
+
+  if (state.followMetaHttpEquiv) {
+    const meta = select('meta[http-equiv=refresh]', tree)
+    // Note: this also throws a proper `VFileMessage` when an invalid URL
+    // is defined in the HTML.
+    const redirect =
+      meta && meta.properties.content
+        ? sharedDeclarativeRefresh(
+            String(meta.properties.content),
+            new URL(document.url)
+          )
+        : undefined
+
+    if (redirect) {
+      if (state.checkAnchor && url.hash) {
+        const message = new VFileMessage(
+          'Unexpected hash in URL `' +
+            url.href +
+            '` that redirects with `meta[http-equiv=refresh]` to `' +
+            redirect.href +
+            '` losing the hash, remove the hash from the original URL',
+          {
+            ruleId: 'lost-hash-with-meta-http-equiv',
+            source: 'dead-or-alive'
+          }
+        )
+        message.url = documentation + '#' + message.ruleId
+        state.messages.push(message)
+      }
+
+      // Treat all HTML redirects as non-permanent.
+      state.permanent = false
+      state.redirects.push({
+        from: url.href,
+        permanent: false,
+        status: 'meta-refresh',
+        to: redirect.href
+      })
+      return deadOrAliveInternal(state, redirect)
+    }
+  }
+
+  if (state.soft404) {
+    await checkSoft404(state, document, tree)
+  }
+
+  if (state.findUrls) {
+    document.urls ||= findUrls(new URL(document.url), tree)
+
+    // Copy, so that results do not share a set.
+    state.urls = new Set(document.urls)
+  }
+
+  if (state.checkAnchor && url.hash) {
+    const hash = url.hash.slice(1)
+    const result = new URL(document.url)
+    result.hash = url.hash
+
+    if (isAllowedAnchor(state, document, hash)) {
+      return result
+    }
+
+    // A fragment directive (`:~:`) can follow the fragment.
+    const index = hash.indexOf(':~:')
+    const fragment = index === -1 ? hash : hash.slice(0, index)
+
+    if (index !== -1) {
+      checkTextDirectives(document, tree, hash.slice(index + 3))
+    }
+
+    if (!fragment) {
+      return result
+    }
+
+    document.anchors ||= getAnchors(tree, state)
+
+    const anchors = document.anchors
     const match = anchors.get(fragment) || {}
     const node =
       match.systemId || match.systemName || match.userId || match.userName
@@ -412,37 +1957,552 @@ async function handleTextHtml(state, url, response) {
       return result
     }
 
+    const fragments = await getFragments(state, document)
+
+    if (fragments) {
+      const lines = lineExpression.exec(fragment)
+
+      if (lines) {
+        if (typeof fragments.lines === 'number') {
+          checkLines(document, fragment, fragments.lines, lines)
+        }
+
+        return result
+      }
+
+      if (!fragments.anchors) {
+        return result
+      }
+
+      const value =
+        state.resolveClobberPrefix && fragment.startsWith(clobberPrefix)
+          ? fragment.slice(clobberPrefix.length)
+          : fragment
+
+      if (fragments.anchors.includes(value)) {
+        return result
+      }
+
+      throw missingAnchor(document.url, fragment, [
+        ...anchors.keys(),
+        ...fragments.anchors
+      ])
+    }
+
+    throw missingAnchor(document.url, fragment, [...anchors.keys()])
+  }
+
+  // Allow the hash to remain.
+  return new URL(document.url + url.hash)
+}
+
+/**
+ * @param {State} state
+ * @param {Readonly<URL>} url
+ * @param {Document} document
+ * @returns {URL}
+ */
+function handleXml(state, url, document) {
+  // If we don’t need to dig into the XML, we’re done.
+  if (!inspectXml(state, url)) {
+    return new URL(document.url)
+  }
+
+  if (document.truncated) {
+    warnTruncated(state, document, 'XML')
+  }
+
+  document.xml ||= parseXml(/** @type {string} */ (document.text))
+  const xml = document.xml
+
+  if (state.findUrls) {
+    document.urls ||= resolveUrls(new URL(document.url), xml.urls)
+
+    // Copy, so that results do not share a set.
+    state.urls = new Set(document.urls)
+  }
+
+  if (state.checkAnchor && url.hash) {
+    const hash = url.hash.slice(1)
+    const result = new URL(document.url)
+    result.hash = url.hash
+
+    if (isAllowedAnchor(state, document, hash)) {
+      return result
+    }
+
+    // Text fragments are not checked in XML.
+    const index = hash.indexOf(':~:')
+    const fragment = index === -1 ? hash : hash.slice(0, index)
+
+    if (!fragment || xml.ids.has(fragment)) {
+      return result
+    }
+
+    throw missingAnchor(document.url, fragment, [...xml.ids])
+  }
+
+  // Allow the hash to remain.
+  return new URL(document.url + url.hash)
+}
+
+/**
+ * @param {State} state
+ * @param {Readonly<URL>} url
+ * @param {Document} document
+ * @returns {Promise<URL>}
+ */
+async function handlePdf(state, url, document) {
+  // If we don’t need to dig into the PDF, we’re done.
+  if (!inspectPdf(state, url)) {
+    return new URL(document.url)
+  }
+
+  const hash = url.hash.slice(1)
+  const result = new URL(document.url)
+  result.hash = url.hash
+
+  // The catalog can be anywhere, so checking only the start is useless.
+  if (document.truncated) {
+    warnTruncated(state, document, 'PDF')
+    return result
+  }
+
+  if (isAllowedAnchor(state, document, hash)) {
+    return result
+  }
+
+  document.pdf ||= parsePdf(
+    /** @type {string} */ (document.text),
+    state.maxBytes
+  )
+  const pdf = await document.pdf
+
+  for (const fragment of parsePdfFragment(hash)) {
+    if (fragment.type === 'page') {
+      // Unknown when the page tree cannot be read.
+      if (pdf.pages === undefined) continue
+
+      const page = /^\d+$/.test(fragment.value)
+        ? Number.parseInt(fragment.value, 10)
+        : 0
+
+      if (page < 1 || page > pdf.pages) {
+        const message = new VFileMessage(
+          'Unexpected missing page `' +
+            fragment.value +
+            '` in PDF `' +
+            document.url +
+            '` with `' +
+            pdf.pages +
+            '` ' +
+            (pdf.pages === 1 ? 'page' : 'pages') +
+            ', remove if unneeded or refer to an existing page',
+          {ruleId: 'missing-pdf-page', source: 'dead-or-alive'}
+        )
+
+        message.url = documentation + '#' + message.ruleId
+        message.fatal = true
+        throw message
+      }
+    } else if (pdf.destinations && !pdf.destinations.has(fragment.value)) {
+      const proposals = listFormat.format(
+        propose(fragment.value, [...pdf.destinations]).map((d) => '`' + d + '`')
+      )
+
+      const message = new VFileMessage(
+        'Unexpected missing named destination `' +
+          fragment.value +
+          '` in PDF `' +
+          document.url +
+          '`, remove if unneeded or refer to an existing destination' +
+          (proposals ? ' such as ' + proposals : ''),
+        {ruleId: 'missing-pdf-destination', source: 'dead-or-alive'}
+      )
+
+      message.url = documentation + '#' + message.ruleId
+      message.fatal = true
+      throw message
+    }
+  }
+
+  return result
+}
+
+/**
+ * Get the adapter for the host of a URL.
+ *
+ * @param {State} state
+ * @param {Readonly<URL>} url
+ * @returns {Readonly<Adapter> | undefined}
+ */
+function getAdapter(state, url) {
+  for (const [hostnameRe, adapter] of state.adapters) {
+    if (hostnameRe.test(url.hostname)) {
+      return adapter
+    }
+  }
+}
+
+/**
+ * Get what to request instead of a page,
+ * from the adapter for its host.
+ *
+ * @param {State} state
+ * @param {Readonly<URL>} url
+ * @returns {Target | undefined}
+ */
+function rewriteRequest(state, url) {
+  const adapter = getAdapter(state, url)
+  const result =
+    adapter && adapter.request
+      ? adapter.request(new URL(documentKey(url)))
+      : undefined
+
+  if (result) {
+    return {
+      headers: result.headers || undefined,
+      url: result.url ? new URL(result.url) : new URL(documentKey(url))
+    }
+  }
+}
+
+/**
+ * Get fragments that exist on a page besides its elements,
+ * from the adapter for its host.
+ *
+ * @param {State} state
+ * @param {Document} document
+ * @returns {Promise<Fragments | undefined>}
+ */
+async function getFragments(state, document) {
+  const url = new URL(document.url)
+  const adapter = getAdapter(state, url)
+
+  if (!adapter || !adapter.fragments) return
+
+  /** @type {AdapterContext} */
+  const context = {
+    async fetchText(url, headers) {
+      return getShared(state, state.sources, url.href, async function () {
+        return loadSource(state, url, headers || undefined)
+      })
+    }
+  }
+
+  return (await adapter.fragments(url, context)) || undefined
+}
+
+/**
+ * Request a resource for an adapter.
+ *
+ * @param {State} state
+ * @param {Readonly<URL>} url
+ * @param {Readonly<Record<string, string>> | undefined} headers
+ * @returns {Promise<string | undefined>}
+ *   Body, if ok and not too large.
+ */
+async function loadSource(state, url, headers) {
+  if (state.robots) await crawlDelay(state, url)
+
+  /** @type {Response} */
+  let response
+
+  try {
+    response = await request(
+      state,
+      url,
+      {cached: undefined, credentials: true, headers, method: 'GET'},
+      0
+    )
+  } catch (error) {
+    if (state.controller.signal.aborted) throw error
+    return
+  }
+
+  if (!response.ok) {
+    await cancel(response)
+    return
+  }
+
+  const result = await readText(response, state.maxBytes)
+  return result.truncated ? undefined : result.text
+}
+
+/**
+ * Check that a line fragment (such as `L10-L20`) refers to existing lines.
+ *
+ * @param {Document} document
+ * @param {string} fragment
+ * @param {number} count
+ *   Number of lines.
+ * @param {RegExpExecArray} match
+ *   Match of `lineExpression`.
+ * @returns {undefined}
+ */
+function checkLines(document, fragment, count, match) {
+  for (const value of [match[1], match[2]]) {
+    if (value === undefined) continue
+
+    const line = Number.parseInt(value, 10)
+
+    if (line < 1 || line > count) {
+      const message = new VFileMessage(
+        'Unexpected missing line `' +
+          line +
+          '` on `' +
+          document.url +
+          '` for fragment `' +
+          fragment +
+          '` with `' +
+          count +
+          '` ' +
+          (count === 1 ? 'line' : 'lines') +
+          ', remove if unneeded or refer to an existing line',
+        {ruleId: 'missing-line', source: 'dead-or-alive'}
+      )
+
+      message.url = documentation + '#' + message.ruleId
+      message.fatal = true
+      throw message
+    }
+  }
+}
+
+/**
+ * Check whether a hash is allowed by `anchorAllowlist`.
+ *
+ * @param {State} state
+ * @param {Document} document
+ * @param {string} hash
+ *   Hash (without `#`).
+ * @returns {boolean}
+ */
+function isAllowedAnchor(state, document, hash) {
+  const responseUrl = new URL(document.url)
+  const baseUrl = responseUrl.origin + responseUrl.pathname
+
+  for (const [urlRe, fragmentRe] of state.anchorAllowlist) {
+    if (urlRe.test(baseUrl) && fragmentRe.test(hash)) {
+      return true
+    }
+  }
+
+  return false
+}
+
+/**
+ * Create a message for a missing anchor.
+ *
+ * @param {string} url
+ *   URL of the resource (without hash).
+ * @param {string} fragment
+ * @param {Array<string>} anchors
+ *   Existing anchors, to propose similar ones.
+ * @returns {VFileMessage}
+ */
+export function missingAnchor(url, fragment, anchors) {
+  const proposals = listFormat.format(
+    propose(fragment, anchors).map((d) => '`' + d + '`')
+  )
+
+  const message = new VFileMessage(
+    'Unexpected missing anchor element on `' +
+      url +
+      '` for fragment `' +
+      fragment +
+      '`, remove if unneeded or refer to an existing element' +
+      (proposals ? ' such as ' + proposals : ''),
+    {ruleId: 'missing-anchor', source: 'dead-or-alive'}
+  )
+
+  message.url = documentation + '#' + message.ruleId
+  message.fatal = true
+  return message
+}
+
+/**
+ * Warn that only the start of a body is checked.
+ *
+ * @param {State} state
+ * @param {Document} document
+ * @param {'HTML' | 'PDF' | 'XML'} kind
+ * @returns {undefined}
+ */
+function warnTruncated(state, document, kind) {
+  const message = new VFileMessage(
+    'Unexpected large ' +
+      kind +
+      ' at `' +
+      document.url +
+      '`, exceeding `maxBytes` of `' +
+      state.maxBytes +
+      '` bytes, checking only the start',
+    {ruleId: 'max-bytes', source: 'dead-or-alive'}
+  )
+  message.url = documentation + '#' + message.ruleId
+  state.messages.push(message)
+}
+
+/**
+ * Check that text directives (such as `text=a,b`) in a fragment directive
+ * match text in a page.
+ *
+ * See: <https://wicg.github.io/scroll-to-text-fragment/>.
+ *
+ * @param {Document} document
+ * @param {Root} tree
+ * @param {string} value
+ *   Fragment directive (without `:~:`).
+ * @returns {undefined}
+ */
+function checkTextDirectives(document, tree, value) {
+  for (const raw of value.split('&')) {
+    // Other directives are not checked.
+    if (!raw.startsWith('text=')) continue
+
+    const directive = parseTextDirective(raw.slice(5))
+    document.textContent ??= getText(tree)
+
+    if (directive && matchTextDirective(document.textContent, directive)) {
+      continue
+    }
+
     const proposals = listFormat.format(
-      propose(fragment, [...anchors.keys()]).map((d) => '`' + d + '`')
+      directive
+        ? propose(
+            directive.start,
+            textCandidates(document.textContent, directive.start)
+          ).map((d) => '`' + d + '`')
+        : []
     )
 
     const message = new VFileMessage(
-      'Unexpected missing anchor element on `' +
-        response.url +
-        '` for fragment `' +
-        fragment +
-        '`, remove if unneeded or refer to an existing element' +
+      'Unexpected missing text on `' +
+        document.url +
+        '` for text fragment `' +
+        raw +
+        '`, remove if unneeded or refer to existing text' +
         (proposals ? ' such as ' + proposals : ''),
-      {ruleId: 'missing-anchor', source: 'dead-or-alive'}
+      {ruleId: 'missing-text-fragment', source: 'dead-or-alive'}
     )
 
     message.url = documentation + '#' + message.ruleId
     message.fatal = true
     throw message
   }
+}
 
-  // Allow the hash to remain.
-  return new URL(response.url + url.hash)
+/**
+ * Check whether an HTML page is a missing page that responds with `200`,
+ * by comparing it with a random missing page in the same folder:
+ * either both have a title or heading that looks like an error,
+ * or they look the same.
+ *
+ * @param {State} state
+ * @param {Document} document
+ * @param {Root} tree
+ * @returns {Promise<undefined>}
+ */
+async function checkSoft404(state, document, tree) {
+  const url = new URL(document.url)
+  const probe = await getShared(
+    state,
+    state.probes,
+    new URL('.', url).href,
+    async function () {
+      return loadProbe(state, url)
+    }
+  )
+  // Pages about errors (such as on `404`) are fine when missing pages are not
+  // like that.
+  const title = probe && probe.title ? missingTitle(tree) : undefined
+  /** @type {string | undefined} */
+  let reason
+
+  if (probe && title) {
+    reason =
+      ', as its title or heading `' +
+      title +
+      '` looks like an error, like that of the missing page `' +
+      probe.url +
+      '`'
+  } else if (probe && probe.text === fingerprint(tree, url)) {
+    reason = ', as it looks the same as the missing page `' + probe.url + '`'
+  }
+
+  if (reason) {
+    const message = new VFileMessage(
+      'Unexpected missing page at `' +
+        document.url +
+        '` responding with `' +
+        document.response.status +
+        '`' +
+        reason,
+      {ruleId: 'soft-404', source: 'dead-or-alive'}
+    )
+
+    message.url = documentation + '#' + message.ruleId
+    message.fatal = true
+    throw message
+  }
 }
 
 /**
+ * Request a random page that does not exist in the folder of a URL.
+ *
  * @param {State} state
  * @param {Readonly<URL>} url
- * @param {Response} response
+ * @returns {Promise<Probe | undefined>}
+ *   Probe, if the server responds with HTML.
+ */
+async function loadProbe(state, url) {
+  const probe = new URL(
+    'dead-or-alive-' + Math.random().toString(36).slice(2),
+    url
+  )
+
+  if (state.robots) await crawlDelay(state, probe)
+
+  /** @type {Response} */
+  let response
+
+  try {
+    // Do not try again.
+    response = await request(
+      state,
+      probe,
+      {cached: undefined, credentials: true, method: 'GET'},
+      state.maxRetries
+    )
+  } catch (error) {
+    if (state.controller.signal.aborted) throw error
+    return
+  }
+
+  // Servers that respond with `404` are fine.
+  if (!response.ok || !hasHtml(response)) {
+    await cancel(response)
+    return
+  }
+
+  const result = await readText(response, state.maxBytes)
+  const tree = fromHtmlIsomorphic(result.text)
+  return {
+    text: fingerprint(tree, probe),
+    title: missingTitle(tree),
+    url: probe.href
+  }
+}
+
+/**
+ * @param {State} state
+ * @param {Readonly<URL>} url
+ * @param {Document} document
  * @param {string | undefined} contentType
  * @returns {URL}
  */
-function handleUnknown(state, url, response, contentType) {
+function handleUnknown(state, url, document, contentType) {
   if (state.checkAnchor && url.hash) {
     const message = new VFileMessage(
       'Unexpected hash in URL `' +
@@ -456,7 +2516,7 @@ function handleUnknown(state, url, response, contentType) {
     state.messages.push(message)
   }
 
-  return new URL(response.url)
+  return new URL(document.url)
 }
 
 /**
@@ -468,48 +2528,45 @@ function findUrls(url, tree) {
   /** @type {Set<string>} */
   const urls = new Set()
 
-  visit(tree, 'element', function (node) {
-    /** @type {string} */
-    let key
-
-    for (key in node.properties) {
-      if (
-        Object.hasOwn(node.properties, key) &&
-        Object.hasOwn(urlAttributes, key) &&
-        isElement(node, urlAttributes[key])
-      ) {
-        const value = node.properties[key]
-
-        if (Array.isArray(value)) {
-          for (const item of value) {
-            add(item)
-          }
-        } else if (typeof value === 'string') {
-          add(value)
-        }
-      }
-    }
+  visitUrls(tree, function (value) {
+    addUrl(urls, url, value)
   })
 
   return urls
+}
 
-  /**
-   * @param {boolean | number | string} value
-   * @returns {undefined}
-   */
-  function add(value) {
-    if (typeof value === 'string') {
-      /** @type {URL} */
-      let found
-
-      try {
-        found = new URL(value, url)
-      } catch {
-        // Note: we currently silently bail
-        return
-      }
+/**
+ * @param {Readonly<URL>} url
+ * @param {ReadonlyArray<string>} values
+ * @returns {Set<string>}
+ */
+function resolveUrls(url, values) {
+  /** @type {Set<string>} */
+  const urls = new Set()
 
-      urls.add(found.href)
-    }
+  for (const value of values) {
+    addUrl(urls, url, value)
+  }
+
+  return urls
+}
+
+/**
+ * @param {Set<string>} urls
+ * @param {Readonly<URL>} url
+ * @param {string} value
+ * @returns {undefined}
+ */
+function addUrl(urls, url, value) {
+  /** @type {URL} */
+  let found
+
+  try {
+    found = new URL(value, url)
+  } catch {
+    // Note: we currently silently bail
+    return
   }
+
+  urls.add(found.href)
 }
@@ -0,0 +1,18 @@
+/**
+ * @import {LocalFolder} from 'dead-or-alive'
+ */
+
+/**
+ * Respond to a URL from a local folder.
+ *
+ * @param {Readonly<URL>} url
+ *   URL (starting with the prefix).
+ * @param {Readonly<LocalFolder>} localFolder
+ *   Prefix and folder.
+ * @returns {Promise<Response>}
+ *   Response.
+ */
+// eslint-disable-next-line no-unused-vars
+export async function loadLocalFolder(url, localFolder) {
+  throw new Error('Cannot use the file system in this environment')
+}
@@ -0,0 +1,187 @@
+/**
+ * @import {LocalFolder} from 'dead-or-alive'
+ */
+
+/**
+ * @typedef Redirect
+ *   Rule in a `_redirects` file.
+ * @property {string} from
+ *   Path (relative to the prefix);
+ *   ends in `*` to match paths starting with it.
+ * @property {number} status
+ *   Status (`3xx`).
+ * @property {string} to
+ *   Path (relative to the prefix) or URL;
+ *   `:splat` is replaced by what `*` matched.
+ */
+
+import fs from 'node:fs/promises'
+import {STATUS_CODES} from 'node:http'
+import path from 'node:path'
+import {fileURLToPath} from 'node:url'
+
+/** @type {Map<string, string>} */
+const types = new Map([
+  ['.atom', 'application/atom+xml'],
+  ['.css', 'text/css'],
+  ['.gif', 'image/gif'],
+  ['.htm', 'text/html'],
+  ['.html', 'text/html'],
+  ['.jpeg', 'image/jpeg'],
+  ['.jpg', 'image/jpeg'],
+  ['.js', 'text/javascript'],
+  ['.json', 'application/json'],
+  ['.md', 'text/markdown'],
+  ['.mjs', 'text/javascript'],
+  ['.pdf', 'application/pdf'],
+  ['.png', 'image/png'],
+  ['.rss', 'application/rss+xml'],
+  ['.svg', 'image/svg+xml'],
+  ['.txt', 'text/plain'],
+  ['.webp', 'image/webp'],
+  ['.xhtml', 'application/xhtml+xml'],
+  ['.xml', 'application/xml']
+])
+
+/**
+ * Respond to a URL from a local folder,
+ * like a static host would:
+ * folders serve their `index.html`,
+ * folders without trailing slash redirect to it,
+ * pages can be without `.html`,
+ * and rules in a `_redirects` file in the folder are applied when there is no
+ * file.
+ *
+ * @param {Readonly<URL>} url
+ *   URL (starting with the prefix).
+ * @param {Readonly<LocalFolder>} localFolder
+ *   Prefix and folder.
+ * @returns {Promise<Response>}
+ *   Response.
+ */
+export async function loadLocalFolder(url, localFolder) {
+  const [prefix, folder] = localFolder
+  const base = typeof folder === 'string' ? folder : fileURLToPath(folder)
+  /** @type {string} */
+  let rest
+
+  try {
+    rest = decodeURIComponent((url.origin + url.pathname).slice(prefix.length))
+  } catch {
+    return respond(404)
+  }
+
+  const file = path.join(base, rest)
+
+  // Do not go outside the folder.
+  if (path.relative(base, file).startsWith('..')) {
+    return respond(404)
+  }
+
+  if (!rest || rest.endsWith('/')) {
+    const index = path.join(file, 'index.html')
+    if ((await kind(index)) === 'file') return respondFile(index)
+  } else {
+    const fileKind = await kind(file)
+
+    if (fileKind === 'file') {
+      return respondFile(file)
+    }
+
+    if (fileKind === 'directory') {
+      return respond(301, new URL(url.pathname + '/' + url.search, url).href)
+    }
+
+    if ((await kind(file + '.html')) === 'file') {
+      return respondFile(file + '.html')
+    }
+  }
+
+  const redirects = await readRedirects(path.join(base, '_redirects'))
+
+  for (const redirect of redirects) {
+    const splat = redirect.from.endsWith('*')
+    const from = splat ? redirect.from.slice(0, -1) : redirect.from
+
+    if (splat ? ('/' + rest).startsWith(from) : '/' + rest === from) {
+      const to = redirect.to.replace(':splat', ('/' + rest).slice(from.length))
+
+      return respond(
+        redirect.status,
+        new URL(to.startsWith('/') ? to.slice(1) : to, prefix).href
+      )
+    }
+  }
+
+  return respond(404)
+}
+
+/**
+ * @param {string} file
+ * @returns {Promise<Array<Redirect>>}
+ */
+async function readRedirects(file) {
+  /** @type {string} */
+  let value
+
+  try {
+    value = await fs.readFile(file, 'utf8')
+  } catch {
+    return []
+  }
+
+  /** @type {Array<Redirect>} */
+  const redirects = []
+
+  for (const line of value.split(/\r?\n/)) {
+    const [from, to, code] = line.replace(/#.*$/, '').trim().split(/\s+/)
+    const status = code ? Number.parseInt(code, 10) : 301
+
+    // Rewrites (`200`) and other statuses are not redirects.
+    if (from && to && status >= 300 && status < 400) {
+      redirects.push({from, status, to})
+    }
+  }
+
+  return redirects
+}
+
+/**
+ * @param {number} status
+ * @param {string | undefined} [location]
+ * @returns {Response}
+ */
+function respond(status, location) {
+  return new Response(undefined, {
+    headers: location ? {location} : {},
+    status,
+    statusText: STATUS_CODES[status] || ''
+  })
+}
+
+/**
+ * @param {string} file
+ * @returns {Promise<Response>}
+ */
+async function respondFile(file) {
+  return new Response(await fs.readFile(file), {
+    headers: {
+      'content-type':
+        types.get(path.extname(file).toLowerCase()) ||
+        'application/octet-stream'
+    },
+    status: 200,
+    statusText: 'OK'
+  })
+}
+
+/**
+ * @param {string} file
+ * @returns {Promise<'directory' | 'file' | undefined>}
+ */
+async function kind(file) {
+  try {
+    const stats = await fs.stat(file)
+    return stats.isDirectory() ? 'directory' : 'file'
+  } catch {}
+}
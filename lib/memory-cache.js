@@ -0,0 +1,61 @@
+/**
+ * @import {Cache, CacheEntry, MemoryCacheOptions} from 'dead-or-alive'
+ */
+
+/** @type {Readonly<MemoryCacheOptions>} */
+const emptyOptions = {}
+
+/**
+ * Create a cache that stores responses in memory.
+ *
+ * Pass the same cache to several checks to share responses between them.
+ * Whether stored responses are fresh is decided by `cacheTtl`;
+ * stale ones are kept so that they can be revalidated.
+ *
+ * @param {Readonly<MemoryCacheOptions> | null | undefined} [options]
+ *   Configuration (optional).
+ * @returns {Cache}
+ *   Cache.
+ */
+export function createMemoryCache(options) {
+  const settings = options || emptyOptions
+  const maxEntries =
+    typeof settings.maxEntries === 'number' ? settings.maxEntries : 1000
+  /** @type {Map<string, CacheEntry>} */
+  const map = new Map()
+
+  return {get, set}
+
+  /**
+   * @param {string} key
+   * @returns {CacheEntry | undefined}
+   */
+  function get(key) {
+    const entry = map.get(key)
+
+    // Mark as recently used.
+    if (entry) {
+      map.delete(key)
+      map.set(key, entry)
+    }
+
+    return entry
+  }
+
+  /**
+   * @param {string} key
+   * @param {CacheEntry} value
+   * @returns {undefined}
+   */
+  function set(key, value) {
+    // Keep entries in the order they were used,
+    // so that the least recently used entries are at the start.
+    map.delete(key)
+    map.set(key, value)
+
+    for (const other of map.keys()) {
+      if (map.size <= maxEntries) break
+      map.delete(other)
+    }
+  }
+}
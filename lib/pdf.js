@@ -0,0 +1,754 @@
+/**
+ * @typedef Pdf
+ *   Info on a PDF document.
+ * @property {Set<string> | undefined} destinations
+ *   Named destinations,
+ *   if they can be read (not when encrypted).
+ * @property {number | undefined} pages
+ *   Number of pages,
+ *   if it can be read.
+ *
+ * @typedef PdfFragment
+ *   Part of a PDF fragment that can be checked.
+ * @property {'destination' | 'page'} type
+ *   Kind.
+ * @property {string} value
+ *   Named destination or page number.
+ *
+ * @typedef PdfArray
+ *   Array.
+ * @property {'array'} type
+ *   Kind.
+ * @property {Array<Value>} value
+ *   Items.
+ *
+ * @typedef Dictionary
+ *   Dictionary.
+ * @property {'dictionary'} type
+ *   Kind.
+ * @property {Map<string, Value>} value
+ *   Entries (keys are names without `/`).
+ *
+ * @typedef Name
+ *   Name.
+ * @property {'name'} type
+ *   Kind.
+ * @property {string} value
+ *   Value (without `/`).
+ *
+ * @typedef Other
+ *   Keyword (such as `true` or `null`) or something unknown.
+ * @property {'other'} type
+ *   Kind.
+ * @property {string} value
+ *   Value.
+ *
+ * @typedef Reference
+ *   Reference to an indirect object.
+ * @property {'reference'} type
+ *   Kind.
+ * @property {string} value
+ *   Object number and generation number (such as `12 0`).
+ *
+ * @typedef PdfString
+ *   String.
+ * @property {'string'} type
+ *   Kind.
+ * @property {string} value
+ *   Value (bytes as characters).
+ *
+ * @typedef {Dictionary | Name | Other | PdfArray | PdfString | Reference | number} Value
+ *   Value.
+ */
+
+const delimiters = new Set(['%', '(', ')', '/', '<', '>', '[', ']', '{', '}'])
+const whitespace = new Set(['\0', '\t', '\n', '\f', '\r', ' '])
+
+const escapes = new Map([
+  ['b', '\b'],
+  ['f', '\f'],
+  ['n', '\n'],
+  ['r', '\r'],
+  ['t', '\t']
+])
+
+const numberExpression = /[+-]?(?:\d+\.?\d*|\.\d+)/y
+const referenceExpression = /\s+(\d+)\s+R(?![^\0\t\n\f\r %()/<>[\]{}])/y
+const objectExpression = /(\d+)\s+(\d+)\s+obj\b/g
+const trailerExpression = /trailer\s*<</g
+
+// Maximum bytes to inflate from object streams,
+// as compressed data can be very large.
+const maxInflate = 16 * 1024 * 1024
+
+/**
+ * Parse a PDF fragment (without `#`),
+ * such as `page=12` or `nameddest=intro&zoom=50`.
+ *
+ * See: <https://www.rfc-editor.org/rfc/rfc8118#section-3>.
+ *
+ * @param {string} value
+ *   Fragment.
+ * @returns {Array<PdfFragment>}
+ *   Checkable parts;
+ *   other parameters (such as `zoom`) are ignored.
+ */
+export function parsePdfFragment(value) {
+  /** @type {Array<PdfFragment>} */
+  const result = []
+
+  for (const parameter of value.split('&')) {
+    const index = parameter.indexOf('=')
+
+    if (index === -1) {
+      // A bare fragment is a named destination.
+      if (parameter) {
+        result.push({type: 'destination', value: decode(parameter)})
+      }
+    } else {
+      const key = parameter.slice(0, index).toLowerCase()
+      const field = decode(parameter.slice(index + 1))
+
+      if (key === 'nameddest') {
+        result.push({type: 'destination', value: field})
+      } else if (key === 'page') {
+        result.push({type: 'page', value: field})
+      }
+    }
+  }
+
+  return result
+}
+
+/**
+ * Find the number of pages and the named destinations in a PDF.
+ *
+ * This does not check whether the PDF is valid:
+ * it reads indirect objects (also in object streams) and trailers,
+ * and looks at the catalog.
+ * When object streams inflate to more than `maxBytes` (or 16 mebibytes) in
+ * total,
+ * nothing is known.
+ *
+ * @param {string} value
+ *   PDF (bytes as characters).
+ * @param {number | undefined} [maxBytes]
+ *   Maximum bytes to inflate (optional).
+ * @returns {Promise<Pdf>}
+ *   Info.
+ */
+// eslint-disable-next-line complexity
+export async function parsePdf(value, maxBytes) {
+  /** @type {Map<string, Value>} */
+  const objects = new Map()
+  /** @type {Array<Value>} */
+  const trailers = []
+  /** @type {Array<[number, string]>} */
+  const objectStreams = []
+  let end = 0
+
+  for (const match of value.matchAll(objectExpression)) {
+    // Skip objects in things parsed before, such as streams.
+    if (match.index < end) continue
+
+    const parser = createParser(value, match.index + match[0].length)
+    const object = parser.value()
+    if (object !== undefined) objects.set(match[1] + ' ' + match[2], object)
+
+    const data = parser.stream()
+
+    if (data !== undefined && isDictionary(object, 'ObjStm')) {
+      const first = object.value.get('First')
+      const count = object.value.get('N')
+      const filter = object.value.get('Filter')
+
+      if (
+        typeof first === 'number' &&
+        typeof count === 'number' &&
+        isName(filter, 'FlateDecode')
+      ) {
+        objectStreams.push([first, data])
+      }
+    }
+
+    end = parser.position
+  }
+
+  for (const match of value.matchAll(trailerExpression)) {
+    const trailer = createParser(value, match.index + 7).value()
+    if (trailer !== undefined) trailers.push(trailer)
+  }
+
+  let left = Math.min(maxBytes === undefined ? Infinity : maxBytes, maxInflate)
+
+  for (const [first, data] of objectStreams) {
+    /** @type {string | undefined} */
+    let source
+
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      source = await inflate(data, left)
+    } catch {
+      continue
+    }
+
+    if (source === undefined) return {destinations: undefined, pages: undefined}
+
+    left -= source.length
+    readObjectStream(objects, first, source)
+  }
+
+  /** @type {Dictionary | undefined} */
+  let catalog
+  let encrypted = false
+
+  for (const object of [...objects.values(), ...trailers]) {
+    if (isDictionary(object, 'Catalog')) {
+      catalog = object
+    }
+
+    if (
+      isDictionary(object) &&
+      object.value.has('Encrypt') &&
+      (isDictionary(object, 'XRef') || trailers.includes(object))
+    ) {
+      encrypted = true
+    }
+  }
+
+  if (!catalog) return {destinations: undefined, pages: undefined}
+
+  const pages = resolve(catalog.value.get('Pages'))
+  const count = isDictionary(pages)
+    ? resolve(pages.value.get('Count'))
+    : undefined
+  /** @type {Set<string>} */
+  const destinations = new Set()
+
+  // PDF 1.1: dictionary of names.
+  const dests = resolve(catalog.value.get('Dests'))
+
+  if (isDictionary(dests)) {
+    for (const key of dests.value.keys()) destinations.add(decodeText(key))
+  }
+
+  // PDF 1.2+: name tree of strings.
+  const names = resolve(catalog.value.get('Names'))
+  /** @type {Set<Dictionary>} */
+  const seen = new Set()
+
+  if (isDictionary(names)) walk(names.value.get('Dests'))
+
+  return {
+    destinations: encrypted ? undefined : destinations,
+    pages: typeof count === 'number' ? count : undefined
+  }
+
+  /**
+   * @param {Value | undefined} value
+   * @returns {Value | undefined}
+   */
+  function resolve(value) {
+    let depth = 0
+
+    while (isReference(value) && depth++ < 8) {
+      value = objects.get(value.value)
+    }
+
+    return value
+  }
+
+  /**
+   * @param {Value | undefined} value
+   * @returns {undefined}
+   */
+  function walk(value) {
+    const node = resolve(value)
+
+    if (!isDictionary(node) || seen.has(node)) return
+
+    seen.add(node)
+
+    const names = resolve(node.value.get('Names'))
+    const kids = resolve(node.value.get('Kids'))
+
+    if (isArray(names)) {
+      let index = 0
+
+      while (index < names.value.length) {
+        const key = resolve(names.value[index])
+        if (isString(key)) destinations.add(decodeText(key.value))
+        index += 2
+      }
+    }
+
+    if (isArray(kids)) {
+      for (const kid of kids.value) walk(kid)
+    }
+  }
+}
+
+/**
+ * Add objects from an object stream.
+ *
+ * @param {Map<string, Value>} objects
+ *   Objects.
+ * @param {number} first
+ *   Offset of the first object.
+ * @param {string} source
+ *   Inflated stream data.
+ * @returns {undefined}
+ *   Nothing.
+ */
+function readObjectStream(objects, first, source) {
+  const header = createParser(source, 0)
+  /** @type {Array<[string, number]>} */
+  const offsets = []
+
+  while (header.position < first) {
+    const number = header.value()
+    const offset = header.value()
+    if (typeof number !== 'number' || typeof offset !== 'number') break
+    offsets.push([number + ' 0', offset])
+  }
+
+  for (const [key, offset] of offsets) {
+    // Objects outside of object streams are newer.
+    const object = objects.has(key)
+      ? undefined
+      : createParser(source, first + offset).value()
+    if (object !== undefined) objects.set(key, object)
+  }
+}
+
+/**
+ * Turn bytes into characters,
+ * without decoding,
+ * so that they can be stored as a string.
+ *
+ * @param {Uint8Array} value
+ *   Bytes.
+ * @returns {string}
+ *   Bytes as characters.
+ */
+export function toBinaryString(value) {
+  /** @type {Array<string>} */
+  const chunks = []
+  let index = 0
+
+  while (index < value.length) {
+    chunks.push(String.fromCharCode(...value.subarray(index, index + 8192)))
+    index += 8192
+  }
+
+  return chunks.join('')
+}
+
+/**
+ * @param {string} value
+ * @param {number} position
+ */
+function createParser(value, position) {
+  const parser = {position, stream, value: parseValue}
+  return parser
+
+  /**
+   * Parse stream data,
+   * if the next thing is a stream.
+   *
+   * @returns {string | undefined}
+   */
+  function stream() {
+    skipSpace()
+
+    if (!value.startsWith('stream', parser.position)) return
+
+    let start = parser.position + 6
+    if (value.charAt(start) === '\r') start++
+    if (value.charAt(start) === '\n') start++
+
+    let end = value.indexOf('endstream', start)
+    if (end === -1) end = value.length
+    parser.position = end
+
+    return value.slice(start, end).replace(/\r?\n$|\r$/, '')
+  }
+
+  /**
+   * @returns {Value | undefined}
+   */
+  function parseValue() {
+    skipSpace()
+
+    const character = value.charAt(parser.position)
+
+    if (character === '/') {
+      parser.position++
+      return {type: 'name', value: decodeName(regular())}
+    }
+
+    if (character === '(') {
+      parser.position++
+      return {type: 'string', value: literal()}
+    }
+
+    if (character === '<') {
+      if (value.charAt(parser.position + 1) === '<') {
+        parser.position += 2
+        return dictionary()
+      }
+
+      parser.position++
+      return {type: 'string', value: hexadecimal()}
+    }
+
+    if (character === '[') {
+      parser.position++
+      return array()
+    }
+
+    numberExpression.lastIndex = parser.position
+    const number = numberExpression.exec(value)
+
+    if (number) {
+      parser.position = numberExpression.lastIndex
+      referenceExpression.lastIndex = parser.position
+      const reference = referenceExpression.exec(value)
+
+      if (reference && /^\d+$/.test(number[0])) {
+        parser.position = referenceExpression.lastIndex
+        return {type: 'reference', value: number[0] + ' ' + reference[1]}
+      }
+
+      return Number.parseFloat(number[0])
+    }
+
+    if (!character) return
+
+    const keyword = regular()
+
+    // Unexpected delimiter (such as `)` or `>`): skip it.
+    if (!keyword) parser.position++
+
+    return {type: 'other', value: keyword}
+  }
+
+  /**
+   * @returns {PdfArray}
+   */
+  function array() {
+    /** @type {PdfArray} */
+    const result = {type: 'array', value: []}
+
+    while (parser.position < value.length) {
+      skipSpace()
+
+      if (value.charAt(parser.position) === ']') {
+        parser.position++
+        break
+      }
+
+      const item = parseValue()
+      if (item !== undefined) result.value.push(item)
+    }
+
+    return result
+  }
+
+  /**
+   * @returns {Dictionary}
+   */
+  function dictionary() {
+    /** @type {Dictionary} */
+    const result = {type: 'dictionary', value: new Map()}
+
+    while (parser.position < value.length) {
+      skipSpace()
+
+      if (value.startsWith('>>', parser.position)) {
+        parser.position += 2
+        break
+      }
+
+      const key = parseValue()
+      const item = parseValue()
+
+      if (isName(key) && item !== undefined) {
+        result.value.set(key.value, item)
+      }
+    }
+
+    return result
+  }
+
+  /**
+   * @returns {string}
+   */
+  function hexadecimal() {
+    let end = value.indexOf('>', parser.position)
+    if (end === -1) end = value.length
+    let digits = value
+      .slice(parser.position, end)
+      .replaceAll(/[^\dA-Fa-f]/g, '')
+    parser.position = end + 1
+    if (digits.length % 2) digits += '0'
+    let result = ''
+    let index = 0
+
+    while (index < digits.length) {
+      result += String.fromCharCode(
+        Number.parseInt(digits.slice(index, index + 2), 16)
+      )
+      index += 2
+    }
+
+    return result
+  }
+
+  /**
+   * @returns {string}
+   */
+  function literal() {
+    let depth = 0
+    let result = ''
+
+    while (parser.position < value.length) {
+      const character = value.charAt(parser.position++)
+
+      switch (character) {
+        case '\\': {
+          result += escape()
+          break
+        }
+
+        case '(': {
+          depth++
+          result += character
+          break
+        }
+
+        case ')': {
+          if (depth === 0) return result
+          depth--
+          result += character
+          break
+        }
+
+        default: {
+          result += character
+        }
+      }
+    }
+
+    return result
+  }
+
+  /**
+   * @returns {string}
+   */
+  function escape() {
+    const octal = /^[0-7]{1,3}/.exec(
+      value.slice(parser.position, parser.position + 3)
+    )
+
+    if (octal) {
+      parser.position += octal[0].length
+      return String.fromCharCode(Number.parseInt(octal[0], 8) % 256)
+    }
+
+    const next = value.charAt(parser.position++)
+
+    // Line continuation.
+    if (next === '\r' || next === '\n') {
+      if (next === '\r' && value.charAt(parser.position) === '\n') {
+        parser.position++
+      }
+
+      return ''
+    }
+
+    return escapes.get(next) || next
+  }
+
+  /**
+   * @returns {string}
+   */
+  function regular() {
+    const start = parser.position
+
+    while (parser.position < value.length) {
+      const character = value.charAt(parser.position)
+      if (delimiters.has(character) || whitespace.has(character)) break
+      parser.position++
+    }
+
+    return value.slice(start, parser.position)
+  }
+
+  /**
+   * @returns {undefined}
+   */
+  function skipSpace() {
+    while (parser.position < value.length) {
+      const character = value.charAt(parser.position)
+
+      if (character === '%') {
+        while (
+          parser.position < value.length &&
+          value.charAt(parser.position) !== '\n' &&
+          value.charAt(parser.position) !== '\r'
+        ) {
+          parser.position++
+        }
+      } else if (whitespace.has(character)) {
+        parser.position++
+      } else {
+        break
+      }
+    }
+  }
+}
+
+/**
+ * @param {string} value
+ *   Percent-encoded value.
+ * @returns {string}
+ *   Decoded value.
+ */
+function decode(value) {
+  try {
+    return decodeURIComponent(value)
+  } catch {
+    return value
+  }
+}
+
+/**
+ * @param {string} value
+ *   Name, with `#xx` escapes.
+ * @returns {string}
+ *   Name.
+ */
+function decodeName(value) {
+  return value.replaceAll(/#([\dA-Fa-f]{2})/g, replaceEscape)
+}
+
+/**
+ * @param {string} _
+ * @param {string} hexadecimal
+ * @returns {string}
+ */
+function replaceEscape(_, hexadecimal) {
+  return String.fromCharCode(Number.parseInt(hexadecimal, 16))
+}
+
+/**
+ * @param {string} value
+ *   Bytes as characters.
+ * @returns {string}
+ *   Text.
+ */
+function decodeText(value) {
+  const bytes = Uint8Array.from(value, function (d) {
+    return d.charCodeAt(0)
+  })
+
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+    return new TextDecoder('utf-16be').decode(bytes.subarray(2))
+  }
+
+  try {
+    return new TextDecoder('utf8', {fatal: true}).decode(bytes)
+  } catch {
+    // Probably `PDFDocEncoding`, which is mostly Latin 1.
+    return value
+  }
+}
+
+/**
+ * @param {string} value
+ *   Bytes as characters.
+ * @param {number} maxBytes
+ *   Maximum bytes to inflate.
+ * @returns {Promise<string | undefined>}
+ *   Inflated bytes as characters,
+ *   or `undefined` when larger than `maxBytes`.
+ */
+async function inflate(value, maxBytes) {
+  const bytes = Uint8Array.from(value, function (d) {
+    return d.charCodeAt(0)
+  })
+  /** @type {ReadableStreamDefaultReader<Uint8Array>} */
+  const reader = new Blob([bytes])
+    .stream()
+    .pipeThrough(new DecompressionStream('deflate'))
+    .getReader()
+  /** @type {Array<string>} */
+  const chunks = []
+  let size = 0
+
+  while (size <= maxBytes) {
+    // eslint-disable-next-line no-await-in-loop
+    const result = await reader.read()
+    if (result.done) return chunks.join('')
+    size += result.value.byteLength
+    chunks.push(toBinaryString(result.value))
+  }
+
+  await reader.cancel()
+}
+
+/**
+ * @param {Value | undefined} value
+ * @returns {value is PdfArray}
+ */
+function isArray(value) {
+  return Boolean(value && typeof value === 'object' && value.type === 'array')
+}
+
+/**
+ * @param {Value | undefined} value
+ * @param {string | undefined} [type]
+ *   Value of `/Type` (optional).
+ * @returns {value is Dictionary}
+ */
+function isDictionary(value, type) {
+  return Boolean(
+    value &&
+    typeof value === 'object' &&
+    value.type === 'dictionary' &&
+    (type === undefined || isName(value.value.get('Type'), type))
+  )
+}
+
+/**
+ * @param {Value | undefined} value
+ * @param {string | undefined} [name]
+ * @returns {value is Name}
+ */
+function isName(value, name) {
+  return Boolean(
+    value &&
+    typeof value === 'object' &&
+    value.type === 'name' &&
+    (name === undefined || value.value === name)
+  )
+}
+
+/**
+ * @param {Value | undefined} value
+ * @returns {value is Reference}
+ */
+function isReference(value) {
+  return Boolean(
+    value && typeof value === 'object' && value.type === 'reference'
+  )
+}
+
+/**
+ * @param {Value | undefined} value
+ * @returns {value is PdfString}
+ */
+function isString(value) {
+  return Boolean(value && typeof value === 'object' && value.type === 'string')
+}
@@ -0,0 +1,461 @@
+/**
+ * @import {Result} from 'dead-or-alive'
+ * @import {VFile} from 'vfile'
+ * @import {VFileMessage} from 'vfile-message'
+ */
+
+/**
+ * @typedef Entry
+ *   Checked URL or file.
+ * @property {ReadonlyArray<VFileMessage>} messages
+ *   Messages.
+ * @property {string} name
+ *   Checked URL or path of file.
+ * @property {Readonly<Result> | undefined} result
+ *   Result, for a checked URL.
+ * @property {Result['status']} status
+ *   Status;
+ *   files with fatal messages are dead.
+ *
+ * @typedef Region
+ *   Place of a message in its file (as in SARIF).
+ * @property {number | undefined} [endColumn]
+ *   Column of end (optional).
+ * @property {number | undefined} [endLine]
+ *   Line of end (optional).
+ * @property {number | undefined} [startColumn]
+ *   Column of start (optional).
+ * @property {number | undefined} [startLine]
+ *   Line of start (optional).
+ */
+
+const documentation = 'https://github.com/wooorm/dead-or-alive'
+
+/**
+ * Report results as GitHub Actions workflow commands,
+ * so that messages show up as annotations.
+ *
+ * See: <https://docs.github.com/en/actions/reference/workflow-commands-for-github-actions>.
+ *
+ * @param {ReadonlyArray<VFile> | ReadonlyMap<string, Readonly<Result>>} results
+ *   Results, keyed by the checked URLs (such as from `deadOrAliveMany`),
+ *   or files with messages at links (such as from `checkFiles`).
+ * @returns {string}
+ *   Commands (one per line).
+ */
+export function reportGitHub(results) {
+  /** @type {Array<string>} */
+  const lines = []
+
+  for (const entry of toEntries(results)) {
+    for (const message of entry.messages) {
+      /** @type {Array<string>} */
+      const properties = []
+
+      if (!entry.result) {
+        const place = region(message)
+        properties.push('file=' + escapeProperty(entry.name))
+        if (place.startLine) properties.push('line=' + place.startLine)
+        if (place.startColumn) properties.push('col=' + place.startColumn)
+        if (place.endLine) properties.push('endLine=' + place.endLine)
+        if (place.endColumn) properties.push('endColumn=' + place.endColumn)
+      }
+
+      properties.push(
+        'title=' +
+          escapeProperty(
+            (message.ruleId || 'message') +
+              ' (' +
+              (message.source || 'dead-or-alive') +
+              ')'
+          )
+      )
+
+      lines.push(
+        '::' +
+          level(entry, message) +
+          ' ' +
+          properties.join(',') +
+          '::' +
+          escapeData(
+            (entry.result ? entry.name + ': ' : '') +
+              message.reason +
+              (message.url ? '\n\nSee: ' + message.url : '')
+          ) +
+          '\n'
+      )
+    }
+  }
+
+  return lines.join('')
+}
+
+/**
+ * Report results as JSON Lines,
+ * with a line for each checked URL or file.
+ *
+ * See: <https://jsonlines.org>.
+ *
+ * @param {ReadonlyArray<VFile> | ReadonlyMap<string, Readonly<Result>>} results
+ *   Results, keyed by the checked URLs (such as from `deadOrAliveMany`),
+ *   or files with messages at links (such as from `checkFiles`).
+ * @returns {string}
+ *   JSON Lines.
+ */
+export function reportJsonLines(results) {
+  /** @type {Array<string>} */
+  const lines = []
+
+  for (const entry of toEntries(results)) {
+    const messages = entry.messages.map(function (message) {
+      return {
+        fatal: message.fatal,
+        ...(entry.result ? {} : region(message)),
+        reason: message.reason,
+        ruleId: message.ruleId,
+        source: message.source,
+        url: message.url
+      }
+    })
+
+    lines.push(
+      JSON.stringify(
+        entry.result
+          ? {
+              href: entry.name,
+              status: entry.status,
+              statusCode: entry.result.statusCode,
+              url: entry.result.url,
+              messages
+            }
+          : {path: entry.name, status: entry.status, messages}
+      ) + '\n'
+    )
+  }
+
+  return lines.join('')
+}
+
+/**
+ * Report results as JUnit XML,
+ * with a test case for each checked URL or file:
+ * dead URLs and files with errors fail and unknown URLs are skipped.
+ *
+ * @param {ReadonlyArray<VFile> | ReadonlyMap<string, Readonly<Result>>} results
+ *   Results, keyed by the checked URLs (such as from `deadOrAliveMany`),
+ *   or files with messages at links (such as from `checkFiles`).
+ * @returns {string}
+ *   XML.
+ */
+export function reportJunit(results) {
+  const entries = toEntries(results)
+  /** @type {Array<string>} */
+  const cases = []
+  let failures = 0
+  let skipped = 0
+  let time = 0
+
+  for (const entry of entries) {
+    const result = entry.result
+    // Errors first.
+    const messages = result
+      ? entry.messages
+      : [...entry.messages].sort(function (a, b) {
+          return Number(Boolean(b.fatal)) - Number(Boolean(a.fatal))
+        })
+    const [first, ...rest] = messages
+    /** @type {ReadonlyArray<VFileMessage>} */
+    let warnings = messages
+    let body = ''
+
+    if (result) time += result.timings.total
+
+    if (entry.status === 'dead') {
+      failures++
+      body =
+        '      <failure message="' +
+        escapeAttribute(first.reason) +
+        '"' +
+        (first.ruleId ? ' type="' + escapeAttribute(first.ruleId) + '"' : '') +
+        '>' +
+        escapeXml(describe(entry, first)) +
+        '</failure>\n'
+      warnings = rest
+    } else if (entry.status === 'unknown') {
+      skipped++
+      body =
+        '      <skipped message="' + escapeAttribute(first.reason) + '"/>\n'
+      warnings = rest
+    }
+
+    if (warnings.length > 0) {
+      body +=
+        '      <system-out>' +
+        escapeXml(
+          warnings
+            .map(function (message) {
+              return describe(entry, message)
+            })
+            .join('\n')
+        ) +
+        '</system-out>\n'
+    }
+
+    cases.push(
+      '    <testcase classname="dead-or-alive" name="' +
+        escapeAttribute(entry.name) +
+        '"' +
+        (result ? ' time="' + seconds(result.timings.total) + '"' : '') +
+        (body ? '>\n' + body + '    </testcase>\n' : '/>\n')
+    )
+  }
+
+  const counts =
+    ' tests="' +
+    entries.length +
+    '" failures="' +
+    failures +
+    '" errors="0" skipped="' +
+    skipped +
+    '" time="' +
+    seconds(time) +
+    '"'
+
+  return (
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<testsuites name="dead-or-alive"' +
+    counts +
+    '>\n' +
+    '  <testsuite name="dead-or-alive"' +
+    counts +
+    '>\n' +
+    cases.join('') +
+    '  </testsuite>\n' +
+    '</testsuites>\n'
+  )
+}
+
+/**
+ * Report results as SARIF 2.1.0,
+ * such as for GitHub code scanning;
+ * each message is a result at its place in its file,
+ * or at its checked URL as a logical location (with a `url` property).
+ *
+ * See: <https://docs.oasis-open.org/sarif/sarif/v2.1.0/sarif-v2.1.0.html>.
+ *
+ * @param {ReadonlyArray<VFile> | ReadonlyMap<string, Readonly<Result>>} results
+ *   Results, keyed by the checked URLs (such as from `deadOrAliveMany`),
+ *   or files with messages at links (such as from `checkFiles`).
+ * @returns {string}
+ *   JSON.
+ */
+export function reportSarif(results) {
+  /** @type {Map<string, number>} */
+  const ruleIndices = new Map()
+  /** @type {Array<{helpUri?: string, id: string}>} */
+  const rules = []
+  /** @type {Array<Record<string, unknown>>} */
+  const sarifResults = []
+
+  for (const entry of toEntries(results)) {
+    for (const message of entry.messages) {
+      /** @type {Record<string, unknown>} */
+      const sarifResult = {}
+
+      if (message.ruleId) {
+        let ruleIndex = ruleIndices.get(message.ruleId)
+
+        if (ruleIndex === undefined) {
+          ruleIndex = rules.length
+          ruleIndices.set(message.ruleId, ruleIndex)
+          rules.push(
+            message.url
+              ? {helpUri: message.url, id: message.ruleId}
+              : {id: message.ruleId}
+          )
+        }
+
+        sarifResult.ruleId = message.ruleId
+        sarifResult.ruleIndex = ruleIndex
+      }
+
+      sarifResult.level = level(entry, message)
+      sarifResult.message = {text: message.reason}
+
+      // URLs are not files in a repository,
+      // so they are logical locations.
+      if (entry.result) {
+        sarifResult.locations = [
+          {
+            logicalLocations: [
+              {fullyQualifiedName: entry.name, kind: 'resource'}
+            ]
+          }
+        ]
+        sarifResult.properties = {url: entry.name}
+      } else {
+        const place = region(message)
+        sarifResult.locations = [
+          {
+            physicalLocation: {
+              artifactLocation: {uri: entry.name},
+              ...(place.startLine ? {region: place} : {})
+            }
+          }
+        ]
+      }
+
+      sarifResults.push(sarifResult)
+    }
+  }
+
+  return (
+    JSON.stringify(
+      {
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [
+          {
+            tool: {
+              driver: {
+                informationUri: documentation,
+                name: 'dead-or-alive',
+                rules
+              }
+            },
+            results: sarifResults
+          }
+        ]
+      },
+      undefined,
+      2
+    ) + '\n'
+  )
+}
+
+/**
+ * @param {ReadonlyArray<VFile> | ReadonlyMap<string, Readonly<Result>>} results
+ * @returns {Array<Entry>}
+ */
+function toEntries(results) {
+  /** @type {Array<Entry>} */
+  const entries = []
+
+  if ('size' in results) {
+    for (const [href, result] of results) {
+      entries.push({
+        messages: result.messages,
+        name: href,
+        result,
+        status: result.status
+      })
+    }
+  } else {
+    for (const file of results) {
+      entries.push({
+        messages: file.messages,
+        name: file.path,
+        result: undefined,
+        status: file.messages.some(function (message) {
+          return message.fatal
+        })
+          ? 'dead'
+          : 'alive'
+      })
+    }
+  }
+
+  return entries
+}
+
+/**
+ * Get the severity of a message:
+ * the fatal error of a dead entry is an error,
+ * other messages (including the fatal error of an unknown result) are
+ * warnings.
+ *
+ * @param {Readonly<Entry>} entry
+ * @param {Readonly<VFileMessage>} message
+ * @returns {'error' | 'warning'}
+ */
+function level(entry, message) {
+  return message.fatal && entry.status === 'dead' ? 'error' : 'warning'
+}
+
+/**
+ * @param {Readonly<VFileMessage>} message
+ * @returns {Region}
+ */
+function region(message) {
+  const place = message.place
+  const start = place && 'start' in place ? place.start : place
+  const end = place && 'end' in place ? place.end : undefined
+  return {
+    ...(start ? {startLine: start.line, startColumn: start.column} : {}),
+    ...(end ? {endLine: end.line, endColumn: end.column} : {})
+  }
+}
+
+/**
+ * @param {Readonly<Entry>} entry
+ * @param {Readonly<VFileMessage>} message
+ * @returns {string}
+ */
+function describe(entry, message) {
+  return (
+    (entry.result || message.line === undefined
+      ? ''
+      : message.line + ':' + message.column + ': ') +
+    message.reason +
+    (message.ruleId ? ' [' + message.ruleId + ']' : '') +
+    (message.url ? ' (' + message.url + ')' : '')
+  )
+}
+
+/**
+ * @param {number} value
+ * @returns {string}
+ */
+function seconds(value) {
+  return (value / 1000).toFixed(3)
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeAttribute(value) {
+  // Line endings in attributes would otherwise be normalized to spaces.
+  return escapeXml(value).replaceAll('\r', '&#13;').replaceAll('\n', '&#10;')
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeData(value) {
+  return value
+    .replaceAll('%', '%25')
+    .replaceAll('\r', '%0D')
+    .replaceAll('\n', '%0A')
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeProperty(value) {
+  return escapeData(value).replaceAll(':', '%3A').replaceAll(',', '%2C')
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return value
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+}
@@ -0,0 +1,163 @@
+/**
+ * @typedef Group
+ *   Group of rules for some user agents.
+ * @property {Array<string>} agents
+ *   Lowercase user agent tokens.
+ * @property {number | undefined} crawlDelay
+ *   Seconds to wait between requests.
+ * @property {Array<Rule>} rules
+ *   Rules.
+ *
+ * @typedef Robots
+ *   Rules for a user agent.
+ * @property {number | undefined} crawlDelay
+ *   Seconds to wait between requests.
+ * @property {Array<Rule>} rules
+ *   Rules.
+ *
+ * @typedef Rule
+ *   Rule.
+ * @property {boolean} allow
+ *   Whether matching paths are allowed.
+ * @property {string} path
+ *   Path pattern, with `*` and `$` support.
+ */
+
+/**
+ * Parse `robots.txt` and pick the rules for a user agent.
+ *
+ * See: <https://www.rfc-editor.org/rfc/rfc9309>.
+ *
+ * @param {string} value
+ *   Contents of `robots.txt`.
+ * @param {string} userAgent
+ *   User agent.
+ * @returns {Robots}
+ *   Rules for `userAgent`.
+ */
+export function parseRobots(value, userAgent) {
+  const groups = parse(value)
+  const name = userAgent.toLowerCase()
+  /** @type {string | undefined} */
+  let token
+
+  // The most specific user agent token that matches is used.
+  for (const group of groups) {
+    for (const agent of group.agents) {
+      if (
+        agent !== '*' &&
+        name.includes(agent) &&
+        (!token || agent.length > token.length)
+      ) {
+        token = agent
+      }
+    }
+  }
+
+  token ||= '*'
+
+  /** @type {Robots} */
+  const result = {crawlDelay: undefined, rules: []}
+
+  // Groups for the same user agent are combined.
+  for (const group of groups) {
+    if (group.agents.includes(token)) {
+      result.rules.push(...group.rules)
+      if (group.crawlDelay !== undefined) result.crawlDelay = group.crawlDelay
+    }
+  }
+
+  return result
+}
+
+/**
+ * Check whether a path is allowed.
+ *
+ * @param {Readonly<Robots>} robots
+ *   Rules.
+ * @param {string} path
+ *   Path (and search) of a URL.
+ * @returns {boolean}
+ *   Whether `path` is allowed.
+ */
+export function isAllowed(robots, path) {
+  /** @type {Rule | undefined} */
+  let match
+
+  // The most specific rule that matches is used;
+  // when equally specific, allowing wins.
+  for (const rule of robots.rules) {
+    if (
+      toRegex(rule.path).test(path) &&
+      (!match ||
+        rule.path.length > match.path.length ||
+        (rule.path.length === match.path.length && rule.allow))
+    ) {
+      match = rule
+    }
+  }
+
+  return match ? match.allow : true
+}
+
+/**
+ * @param {string} value
+ * @returns {Array<Group>}
+ */
+function parse(value) {
+  /** @type {Array<Group>} */
+  const groups = []
+  /** @type {Group | undefined} */
+  let group
+  // Whether the previous line was a user agent line,
+  // in which case a next user agent line belongs to the same group.
+  let agentLine = false
+
+  for (const line of value.split(/\r?\n|\r/)) {
+    const content = line.split('#', 1)[0]
+    const index = content.indexOf(':')
+    if (index === -1) continue
+    const key = content.slice(0, index).trim().toLowerCase()
+    const field = content.slice(index + 1).trim()
+
+    if (key === 'user-agent') {
+      if (!group || !agentLine) {
+        group = {agents: [], crawlDelay: undefined, rules: []}
+        groups.push(group)
+      }
+
+      group.agents.push(field.toLowerCase())
+      agentLine = true
+      continue
+    }
+
+    agentLine = false
+
+    if (!group) continue
+
+    if ((key === 'allow' || key === 'disallow') && field) {
+      group.rules.push({allow: key === 'allow', path: field})
+    } else if (key === 'crawl-delay') {
+      const seconds = Number.parseFloat(field)
+      if (seconds >= 0) group.crawlDelay = seconds
+    }
+  }
+
+  return groups
+}
+
+/**
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function toRegex(pattern) {
+  const end = pattern.endsWith('$')
+  const source = (end ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(function (d) {
+      return d.replaceAll(/[$()*+.?[\\\]^{|}]/g, '\\$&')
+    })
+    .join('.*')
+
+  return new RegExp('^' + source + (end ? '$' : ''))
+}
@@ -0,0 +1,181 @@
+/**
+ * @import {
+ *   Result,
+ *   SerializedError,
+ *   SerializedMessage,
+ *   SerializedResult
+ * } from 'dead-or-alive'
+ */
+
+import {VFileMessage} from 'vfile-message'
+
+/**
+ * Turn a result into a plain object,
+ * which can be turned into JSON,
+ * sent to workers,
+ * or compared between runs.
+ *
+ * Missing values are `null`,
+ * so that each object has the same fields.
+ *
+ * @param {Readonly<Result>} result
+ *   Result.
+ * @returns {SerializedResult}
+ *   Plain object.
+ */
+export function serializeResult(result) {
+  return {
+    headers: result.headers ? {...result.headers} : null,
+    messages: result.messages.map(function (message) {
+      return serializeMessage(message)
+    }),
+    permanent: result.permanent === undefined ? null : result.permanent,
+    redirects: result.redirects.map(function (redirect) {
+      return {
+        from: redirect.from,
+        permanent: redirect.permanent,
+        status: redirect.status,
+        to: redirect.to
+      }
+    }),
+    status: result.status,
+    statusCode: result.statusCode === undefined ? null : result.statusCode,
+    statusText: result.statusText === undefined ? null : result.statusText,
+    timings: {
+      firstByte:
+        result.timings.firstByte === undefined
+          ? null
+          : result.timings.firstByte,
+      sleep: result.timings.sleep,
+      total: result.timings.total
+    },
+    url: result.url === undefined ? null : result.url,
+    urls: result.urls ? [...result.urls] : null
+  }
+}
+
+/**
+ * Turn a plain object from `serializeResult` back into a result.
+ *
+ * @param {Readonly<SerializedResult>} value
+ *   Plain object.
+ * @returns {Result}
+ *   Result.
+ */
+export function deserializeResult(value) {
+  const messages = value.messages.map(function (message) {
+    return deserializeMessage(message)
+  })
+  const base = {
+    headers: value.headers ? {...value.headers} : undefined,
+    permanent: value.permanent === null ? undefined : value.permanent,
+    redirects: value.redirects.map(function (redirect) {
+      return {...redirect}
+    }),
+    statusCode: value.statusCode === null ? undefined : value.statusCode,
+    statusText: value.statusText === null ? undefined : value.statusText,
+    timings: {
+      firstByte:
+        value.timings.firstByte === null ? undefined : value.timings.firstByte,
+      sleep: value.timings.sleep,
+      total: value.timings.total
+    },
+    urls: value.urls ? new Set(value.urls) : undefined
+  }
+
+  if (value.status === 'alive') {
+    if (value.url === null) {
+      throw new Error(
+        'Unexpected result with status `alive` without `url`, expected a final URL'
+      )
+    }
+
+    return {...base, messages, status: value.status, url: value.url}
+  }
+
+  const [first, ...rest] = messages
+
+  if (!first) {
+    throw new Error(
+      'Unexpected result with status `' +
+        value.status +
+        '` without messages, expected a fatal message'
+    )
+  }
+
+  return {
+    ...base,
+    messages: [first, ...rest],
+    status: value.status,
+    url: undefined
+  }
+}
+
+/**
+ * @param {Readonly<VFileMessage>} message
+ * @returns {SerializedMessage}
+ */
+function serializeMessage(message) {
+  return {
+    cause: message.cause ? serializeError(message.cause) : null,
+    fatal: typeof message.fatal === 'boolean' ? message.fatal : null,
+    reason: message.reason,
+    ruleId: message.ruleId || null,
+    source: message.source || null,
+    url: message.url || null
+  }
+}
+
+/**
+ * @param {Readonly<SerializedMessage>} value
+ * @returns {VFileMessage}
+ */
+function deserializeMessage(value) {
+  const message = new VFileMessage(value.reason, {
+    cause: value.cause ? deserializeError(value.cause) : undefined,
+    ruleId: value.ruleId,
+    source: value.source
+  })
+
+  if (value.fatal !== null) message.fatal = value.fatal
+  if (value.url !== null) message.url = value.url
+  return message
+}
+
+/**
+ * @param {unknown} error
+ * @returns {SerializedError}
+ */
+function serializeError(error) {
+  if (error && typeof error === 'object') {
+    return {
+      cause:
+        'cause' in error && error.cause ? serializeError(error.cause) : null,
+      code:
+        'code' in error && typeof error.code === 'string' ? error.code : null,
+      message:
+        'message' in error && typeof error.message === 'string'
+          ? error.message
+          : String(error),
+      name:
+        'name' in error && typeof error.name === 'string' ? error.name : 'Error'
+    }
+  }
+
+  return {cause: null, code: null, message: String(error), name: 'Error'}
+}
+
+/**
+ * @param {Readonly<SerializedError>} value
+ * @returns {Error}
+ */
+function deserializeError(value) {
+  /** @type {Error & {code?: string}} */
+  const error = value.cause
+    ? new Error(value.message, {cause: deserializeError(value.cause)})
+    : new Error(value.message)
+
+  error.name = value.name
+  if (value.code !== null) error.code = value.code
+  return error
+}
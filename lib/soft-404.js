@@ -0,0 +1,81 @@
+/**
+ * @import {Nodes, Root} from 'hast'
+ */
+
+import {select} from 'hast-util-select'
+import {SKIP, visit} from 'unist-util-visit'
+
+// Titles and headings of error pages,
+// such as `404`, `Error 404 - Example`, or `Page not found`.
+const missing =
+  /^\W*(?:error\W*)?404\b|\b404\b.*\bnot found\b|\b(?:page|file) not found\b|^\W*not found\b|\bpage (?:does not|doesn['’]t) exist\b/i
+
+/**
+ * Get the title or main heading of a page,
+ * if it looks like that of an error page.
+ *
+ * @param {Root} tree
+ *   Tree.
+ * @returns {string | undefined}
+ *   Title or heading, if it looks like an error.
+ */
+export function missingTitle(tree) {
+  for (const selector of ['title', 'h1']) {
+    const node = select(selector, tree)
+    const value = node ? collapse(toText(node)) : ''
+    if (missing.test(value)) return value
+  }
+}
+
+/**
+ * Get the text of a page without its URL,
+ * to compare it with other pages.
+ *
+ * @param {Root} tree
+ *   Tree.
+ * @param {Readonly<URL>} url
+ *   URL of the page.
+ * @returns {string}
+ *   Text.
+ */
+export function fingerprint(tree, url) {
+  const name = url.pathname.slice(url.pathname.lastIndexOf('/') + 1)
+  let value = toText(tree)
+
+  // Error pages often mention what was not found.
+  for (const part of [url.href, url.pathname, name]) {
+    if (part.length > 1) value = value.replaceAll(part, '')
+  }
+
+  return collapse(value)
+}
+
+/**
+ * @param {Nodes} tree
+ * @returns {string}
+ */
+function toText(tree) {
+  /** @type {Array<string>} */
+  const values = []
+
+  visit(tree, function (node) {
+    if (
+      node.type === 'element' &&
+      (node.tagName === 'script' || node.tagName === 'style')
+    ) {
+      return SKIP
+    }
+
+    if (node.type === 'text') values.push(node.value)
+  })
+
+  return values.join('')
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function collapse(value) {
+  return value.replaceAll(/\s+/g, ' ').trim()
+}
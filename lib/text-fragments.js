@@ -0,0 +1,196 @@
+/**
+ * @import {Nodes} from 'hast'
+ */
+
+/**
+ * @typedef TextDirective
+ *   Text directive.
+ * @property {string | undefined} end
+ *   End of the text.
+ * @property {string | undefined} prefix
+ *   Text before.
+ * @property {string} start
+ *   Start of the text, or the whole text if there is no `end`.
+ * @property {string | undefined} suffix
+ *   Text after.
+ */
+
+import {SKIP, visit} from 'unist-util-visit'
+
+// Elements that do not start a new block of text.
+const phrasing = new Set([
+  'a',
+  'abbr',
+  'b',
+  'bdi',
+  'bdo',
+  'cite',
+  'code',
+  'data',
+  'del',
+  'dfn',
+  'em',
+  'i',
+  'ins',
+  'kbd',
+  'mark',
+  'q',
+  's',
+  'samp',
+  'small',
+  'span',
+  'strong',
+  'sub',
+  'sup',
+  'time',
+  'u',
+  'var'
+])
+
+const hidden = new Set(['head', 'noscript', 'script', 'style', 'template'])
+
+/**
+ * Parse the value of a text directive (what comes after `text=`).
+ *
+ * See: <https://wicg.github.io/scroll-to-text-fragment/#syntax>.
+ *
+ * @param {string} value
+ *   Value, such as `prefix-,start,end,-suffix`.
+ * @returns {TextDirective | undefined}
+ *   Directive, if valid.
+ */
+export function parseTextDirective(value) {
+  const parts = value.split(',')
+  /** @type {string | undefined} */
+  let prefix
+  /** @type {string | undefined} */
+  let suffix
+
+  if (parts.length > 1 && parts[0].endsWith('-')) {
+    prefix = parts.shift()?.slice(0, -1)
+  }
+
+  if (parts.length > 1 && parts.at(-1)?.startsWith('-')) {
+    suffix = parts.pop()?.slice(1)
+  }
+
+  if (parts.length === 0 || parts.length > 2) return
+
+  try {
+    const result = {
+      end: parts[1] === undefined ? undefined : decode(parts[1]),
+      prefix: prefix === undefined ? undefined : decode(prefix),
+      start: decode(parts[0]),
+      suffix: suffix === undefined ? undefined : decode(suffix)
+    }
+
+    if (
+      result.start &&
+      result.end !== '' &&
+      result.prefix !== '' &&
+      result.suffix !== ''
+    ) {
+      return result
+    }
+  } catch {
+    // Invalid percent encoding.
+  }
+}
+
+/**
+ * Get the visible text of a tree,
+ * with blocks separated by spaces and whitespace collapsed.
+ *
+ * @param {Nodes} tree
+ *   Tree.
+ * @returns {string}
+ *   Text.
+ */
+export function getText(tree) {
+  /** @type {Array<string>} */
+  const values = []
+
+  visit(tree, function (node) {
+    if (node.type === 'element') {
+      if (hidden.has(node.tagName)) return SKIP
+      if (!phrasing.has(node.tagName)) values.push(' ')
+    } else if (node.type === 'text') {
+      values.push(node.value)
+    }
+  })
+
+  return values.join('').replaceAll(/\s+/g, ' ').trim()
+}
+
+/**
+ * Check whether a text directive matches text.
+ *
+ * Matching ignores case and whitespace,
+ * and terms must start and end at word boundaries.
+ *
+ * @param {string} text
+ *   Text, from `getText`.
+ * @param {Readonly<TextDirective>} directive
+ *   Directive.
+ * @returns {boolean}
+ *   Whether `directive` matches.
+ */
+export function matchTextDirective(text, directive) {
+  const source =
+    (directive.prefix ? toSource(directive.prefix) + '\\s*' : '') +
+    toSource(directive.start) +
+    (directive.end ? '[\\s\\S]*?' + toSource(directive.end) : '') +
+    (directive.suffix ? '\\s*' + toSource(directive.suffix) : '')
+
+  return new RegExp(
+    '(?<![\\p{L}\\p{N}])' + source + '(?![\\p{L}\\p{N}])',
+    'iu'
+  ).test(text)
+}
+
+/**
+ * Get passages of text that are as long (in words) as a value,
+ * to propose similar text.
+ *
+ * @param {string} text
+ *   Text, from `getText`.
+ * @param {string} value
+ *   Value.
+ * @returns {Array<string>}
+ *   Passages.
+ */
+export function textCandidates(text, value) {
+  const words = text.split(' ')
+  const size = value.trim().split(/\s+/).length
+  /** @type {Set<string>} */
+  const candidates = new Set()
+  let index = 0
+
+  while (index + size <= words.length) {
+    candidates.add(words.slice(index, index + size).join(' '))
+    index++
+  }
+
+  return [...candidates]
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function decode(value) {
+  return decodeURIComponent(value).replaceAll(/\s+/g, ' ').trim()
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function toSource(value) {
+  return value
+    .split(' ')
+    .map(function (d) {
+      return d.replaceAll(/[$()*+.?[\\\]^{|}]/g, '\\$&')
+    })
+    .join('\\s+')
+}
@@ -0,0 +1,53 @@
+/**
+ * @import {Element, Nodes} from 'hast'
+ */
+
+/**
+ * @callback Visitor
+ *   Handle a URL.
+ * @param {string} value
+ *   Value of a URL attribute.
+ * @param {Element} node
+ *   Element that has the attribute.
+ * @returns {undefined}
+ *   Nothing.
+ */
+
+import {isElement} from 'hast-util-is-element'
+import {urlAttributes} from 'html-url-attributes'
+import {visit} from 'unist-util-visit'
+
+/**
+ * Visit values of URL attributes (such as `a[href]` and `img[src]`).
+ *
+ * @param {Nodes} tree
+ *   Tree.
+ * @param {Visitor} visitor
+ *   Handle a URL.
+ * @returns {undefined}
+ *   Nothing.
+ */
+export function visitUrls(tree, visitor) {
+  visit(tree, 'element', function (node) {
+    /** @type {string} */
+    let key
+
+    for (key in node.properties) {
+      if (
+        Object.hasOwn(node.properties, key) &&
+        Object.hasOwn(urlAttributes, key) &&
+        isElement(node, urlAttributes[key])
+      ) {
+        const value = node.properties[key]
+
+        if (Array.isArray(value)) {
+          for (const item of value) {
+            if (typeof item === 'string') visitor(item, node)
+          }
+        } else if (typeof value === 'string') {
+          visitor(value, node)
+        }
+      }
+    }
+  })
+}
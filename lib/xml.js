@@ -0,0 +1,133 @@
+/**
+ * @typedef Xml
+ *   Info on an XML document.
+ * @property {Set<string>} ids
+ *   Values of `id`, `xml:id`, and `name` on `a` elements.
+ * @property {Array<string>} urls
+ *   Values of `href`, `src`, and `xlink:href`.
+ */
+
+// Attributes that refer to other resources,
+// such as `href` in Atom and XHTML and `xlink:href` in SVG.
+const urlAttributes = new Set(['href', 'src', 'xlink:href'])
+
+const attributeExpression = /\s*([^\s/=>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/y
+const nameExpression = /[^\s/>]+/y
+const referenceExpression =
+  /&(?:#x([\dA-Fa-f]+)|#(\d+)|(amp|apos|gt|lt|quot));/g
+
+/** @type {Record<string, string>} */
+const entities = {amp: '&', apos: "'", gt: '>', lt: '<', quot: '"'}
+
+/**
+ * Find targets of fragments and further URLs in XML,
+ * such as XHTML, SVG, or Atom.
+ *
+ * This does not check whether the XML is well-formed:
+ * it looks at start tags,
+ * skipping comments, CDATA sections, doctypes, and processing instructions.
+ *
+ * @param {string} value
+ *   XML.
+ * @returns {Xml}
+ *   Info.
+ */
+export function parseXml(value) {
+  /** @type {Xml} */
+  const result = {ids: new Set(), urls: []}
+  let index = value.indexOf('<')
+
+  while (index !== -1) {
+    if (value.startsWith('<!--', index)) {
+      index = skip('-->', index + 4)
+    } else if (value.startsWith('<![CDATA[', index)) {
+      index = skip(']]>', index + 9)
+    } else if (value.startsWith('<!', index)) {
+      const bracket = value.indexOf('[', index)
+      const end = value.indexOf('>', index)
+      // Skip the internal subset of a doctype.
+      if (bracket !== -1 && bracket < end) index = skip(']', bracket)
+      index = index === -1 ? -1 : skip('>', index)
+    } else if (value.startsWith('<?', index)) {
+      index = skip('?>', index + 2)
+    } else if (value.startsWith('</', index)) {
+      index = skip('>', index + 2)
+    } else {
+      index = element(index + 1)
+    }
+
+    index = index === -1 ? -1 : value.indexOf('<', index)
+  }
+
+  return result
+
+  /**
+   * @param {string} search
+   * @param {number} from
+   * @returns {number}
+   */
+  function skip(search, from) {
+    const end = value.indexOf(search, from)
+    return end === -1 ? -1 : end + search.length
+  }
+
+  /**
+   * @param {number} from
+   * @returns {number}
+   */
+  function element(from) {
+    nameExpression.lastIndex = from
+    const nameMatch = nameExpression.exec(value)
+    if (!nameMatch) return from
+    const name = nameMatch[0]
+    const localName = name.slice(name.indexOf(':') + 1)
+    attributeExpression.lastIndex = from + name.length
+
+    /** @type {RegExpExecArray | null} */
+    let match
+
+    while ((match = attributeExpression.exec(value))) {
+      const key = match[1]
+      const attribute = decode(match[2] === undefined ? match[3] : match[2])
+
+      if (
+        key === 'id' ||
+        key === 'xml:id' ||
+        (key === 'name' && localName === 'a')
+      ) {
+        result.ids.add(attribute)
+      } else if (urlAttributes.has(key)) {
+        result.urls.push(attribute.trim())
+      }
+
+      from = attributeExpression.lastIndex
+    }
+
+    return from
+  }
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function decode(value) {
+  return value.replaceAll(referenceExpression, replace)
+}
+
+/**
+ * @param {string} $0
+ * @param {string | undefined} hexadecimal
+ * @param {string | undefined} decimal
+ * @param {string | undefined} name
+ * @returns {string}
+ */
+function replace($0, hexadecimal, decimal, name) {
+  if (name) return entities[name]
+
+  const code = hexadecimal
+    ? Number.parseInt(hexadecimal, 16)
+    : Number.parseInt(String(decimal), 10)
+
+  return code <= 0x10_ff_ff ? String.fromCodePoint(code) : $0
+}
@@ -1,20 +1,84 @@
 /**
- * @import {VFileMessage} from 'vfile-message'
+ * @import {Cache, CacheEntry, Result, SerializedResult} from 'dead-or-alive'
+ * @import {Pdf, PdfFragment} from './lib/pdf.js'
+ */
+
+/**
+ * @typedef SarifLocation
+ *   Location in a SARIF report (partial).
+ * @property {{artifactLocation: {uri: string}, region?: unknown}} physicalLocation
+ *   Physical location.
+ *
+ * @typedef SarifReport
+ *   SARIF report (partial).
+ * @property {Array<{results: Array<{locations: Array<SarifLocation>}>}>} runs
+ *   Runs.
  */
 
 import assert from 'node:assert/strict'
+import {spawn} from 'node:child_process'
+import fs from 'node:fs/promises'
+import http from 'node:http'
+import os from 'node:os'
+import path from 'node:path'
+import process from 'node:process'
 import test from 'node:test'
-import {deadOrAlive} from 'dead-or-alive'
+import {fileURLToPath, pathToFileURL} from 'node:url'
+import zlib from 'node:zlib'
+import {
+  checkFiles,
+  crawl,
+  createFileSystemCache,
+  createGitHubAdapter,
+  createMemoryCache,
+  deadOrAlive,
+  deadOrAliveMany,
+  deserializeResult,
+  reportGitHub,
+  reportJsonLines,
+  reportJunit,
+  reportSarif,
+  serializeResult
+} from 'dead-or-alive'
+import {fromHtmlIsomorphic} from 'hast-util-from-html-isomorphic'
 import {MockAgent, getGlobalDispatcher, setGlobalDispatcher} from 'undici'
+import {VFile} from 'vfile'
+import {VFileMessage} from 'vfile-message'
 import {sharedDeclarativeRefresh} from './lib/shared-declarative-refresh.js'
+import {countLines, markdownAnchors} from './lib/github.js'
 import {propose} from './lib/propose.js'
+import {isAllowed, parseRobots} from './lib/robots.js'
+import {fingerprint, missingTitle} from './lib/soft-404.js'
+import {
+  getText,
+  matchTextDirective,
+  parseTextDirective,
+  textCandidates
+} from './lib/text-fragments.js'
+import {parsePdf, parsePdfFragment, toBinaryString} from './lib/pdf.js'
+import {parseXml} from './lib/xml.js'
+
+const cli = fileURLToPath(new URL('cli.js', import.meta.url))
 
 test('core', async function (t) {
   await t.test('should expose the public api', async function () {
     assert.deepEqual(Object.keys(await import('dead-or-alive')).sort(), [
+      'checkFiles',
+      'crawl',
+      'createFileSystemCache',
+      'createGitHubAdapter',
+      'createMemoryCache',
       'deadOrAlive',
+      'deadOrAliveMany',
+      'defaultAdapters',
       'defaultAnchorAllowlist',
-      'defaultSleep'
+      'defaultSleep',
+      'deserializeResult',
+      'reportGitHub',
+      'reportJsonLines',
+      'reportJunit',
+      'reportSarif',
+      'serializeResult'
     ])
   })
 })
@@ -120,24 +184,99 @@ test('deadOrAlive (mocked)', async function (t) {
     mockAgent.enableNetConnect(/(?=a)b/)
     setGlobalDispatcher(mockAgent)
     const interceptable = mockAgent.get('https://example.com')
-    interceptable.intercept({path: '/'}).reply(200).delay(100)
+    interceptable.intercept({path: '/'}).reply(200).delay(100).persist()
 
     const result = await deadOrAlive('https://example.com', {timeout: 50})
 
     await mockAgent.close()
     await setGlobalDispatcher(globalDispatcher)
 
-    assert.equal(result.status, 'dead')
+    assert.equal(result.status, 'unknown')
     assert.equal(result.messages.length, 1)
     const message = result.messages[0]
     assert.equal(
       message.reason,
-      'Unexpected error fetching `https://example.com/`'
+      'Unexpected slow response fetching `https://example.com/`, exceeding the timeout of `50`ms'
     )
-    assert.equal(message.ruleId, 'fetch')
+    assert.equal(message.ruleId, 'timeout')
     assert.equal(message.source, 'dead-or-alive')
   })
 
+  await t.test('should classify network errors', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('https://example.com')
+    /** @type {Array<[code: string, reason: string, ruleId: string, status: string]>} */
+    const cases = [
+      [
+        'ENOTFOUND',
+        'Unexpected unresolvable host `example.com` fetching `https://example.com/`',
+        'dns',
+        'dead'
+      ],
+      [
+        'ECONNREFUSED',
+        'Unexpected connection failure fetching `https://example.com/`',
+        'connection',
+        'unknown'
+      ],
+      [
+        'ECONNRESET',
+        'Unexpected connection failure fetching `https://example.com/`',
+        'connection',
+        'unknown'
+      ],
+      [
+        'CERT_HAS_EXPIRED',
+        'Unexpected TLS failure fetching `https://example.com/`',
+        'tls',
+        'dead'
+      ],
+      [
+        'ERR_TLS_CERT_ALTNAME_INVALID',
+        'Unexpected TLS failure fetching `https://example.com/`',
+        'tls',
+        'dead'
+      ],
+      [
+        'UND_ERR_CONNECT_TIMEOUT',
+        'Unexpected slow response fetching `https://example.com/`, exceeding the timeout of `3000`ms',
+        'timeout',
+        'unknown'
+      ],
+      [
+        'EWHATEVER',
+        'Unexpected error fetching `https://example.com/`',
+        'fetch',
+        'dead'
+      ]
+    ]
+
+    for (const [code, reason, ruleId, status] of cases) {
+      interceptable
+        .intercept({path: '/'})
+        .replyWithError(Object.assign(new Error('Oops'), {code}))
+
+      // eslint-disable-next-line no-await-in-loop
+      const result = await deadOrAlive('https://example.com', {maxRetries: 0})
+      const message = result.messages[0]
+
+      assert.equal(result.status, status)
+      assert.equal(message.reason, reason)
+      assert.equal(message.ruleId, ruleId)
+      assert.equal(
+        message.url,
+        'https://github.com/wooorm/dead-or-alive#' + ruleId
+      )
+      assert.equal(message.fatal, true)
+    }
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+  })
+
   await t.test('should work w/ retries', async function () {
     const globalDispatcher = getGlobalDispatcher()
     const mockAgent = new MockAgent()
@@ -224,221 +363,122 @@ test('deadOrAlive (mocked)', async function (t) {
     assert.equal(message.source, 'dead-or-alive')
   })
 
-  await t.test('should work w/ a 301', async function () {
+  await t.test('should be `unknown` w/ a lasting 5xx', async function () {
     const globalDispatcher = getGlobalDispatcher()
     const mockAgent = new MockAgent()
     mockAgent.enableNetConnect(/(?=a)b/)
     setGlobalDispatcher(mockAgent)
     const interceptable = mockAgent.get('https://example.com')
-    interceptable
-      .intercept({path: '/'})
-      .reply(301, '', {headers: {Location: '/to'}})
-    interceptable
-      .intercept({path: '/to'})
-      .reply(200, 'ok', {headers: {'Content-type': 'text/html'}})
+    interceptable.intercept({path: '/'}).reply(503).persist()
 
-    const result = await deadOrAlive('https://example.com')
+    const result = await deadOrAlive('https://example.com', {sleep: shortSleep})
 
     await mockAgent.close()
     await setGlobalDispatcher(globalDispatcher)
 
-    assert.equal(result.status, 'alive')
-    assert.equal(result.url, 'https://example.com/to')
-    assert.equal(result.messages.length, 0)
-    assert.equal(result.permanent, true)
+    assert.equal(result.status, 'unknown')
+    assert.equal(result.statusCode, 503)
+    assert.equal(result.messages.length, 1)
+    const message = result.messages[0]
+    assert.equal(
+      message.reason,
+      'Unexpected not ok response `503` (`Service Unavailable`) on `https://example.com/`'
+    )
+    assert.equal(message.ruleId, 'dead')
   })
 
-  await t.test('should work w/ a 302', async function () {
+  await t.test('should retry w/ a 429', async function () {
     const globalDispatcher = getGlobalDispatcher()
     const mockAgent = new MockAgent()
     mockAgent.enableNetConnect(/(?=a)b/)
     setGlobalDispatcher(mockAgent)
     const interceptable = mockAgent.get('https://example.com')
-    interceptable
-      .intercept({path: '/'})
-      .reply(302, '', {headers: {Location: '/to'}})
-    interceptable
-      .intercept({path: '/to'})
-      .reply(200, 'ok', {headers: {'Content-type': 'text/html'}})
+    interceptable.intercept({path: '/'}).reply(429)
+    interceptable.intercept({path: '/'}).reply(200, 'ok')
 
-    const result = await deadOrAlive('https://example.com')
+    const result = await deadOrAlive('https://example.com', {sleep: shortSleep})
 
     await mockAgent.close()
     await setGlobalDispatcher(globalDispatcher)
 
     assert.equal(result.status, 'alive')
-    assert.equal(result.url, 'https://example.com/to')
     assert.equal(result.messages.length, 0)
-    assert.equal(result.permanent, false)
   })
 
-  await t.test('should work w/ 5 redirects (default)', async function () {
+  await t.test('should honor `Retry-After` w/ seconds', async function () {
     const globalDispatcher = getGlobalDispatcher()
     const mockAgent = new MockAgent()
     mockAgent.enableNetConnect(/(?=a)b/)
     setGlobalDispatcher(mockAgent)
     const interceptable = mockAgent.get('https://example.com')
-    const max = 5
-
-    let index = 0
-    while (index < max) {
-      interceptable
-        .intercept({path: '/' + index})
-        .reply(301, '', {headers: {Location: '/' + (index + 1)}})
-      index++
-    }
-
     interceptable
-      .intercept({path: '/' + max})
-      .reply(200, 'ok', {headers: {'Content-type': 'text/html'}})
+      .intercept({path: '/'})
+      .reply(429, '', {headers: {'Retry-After': '0'}})
+    interceptable.intercept({path: '/'}).reply(200, 'ok')
 
-    const result = await deadOrAlive('https://example.com/0')
+    const result = await deadOrAlive('https://example.com', {
+      sleep() {
+        assert.fail()
+      }
+    })
 
     await mockAgent.close()
     await setGlobalDispatcher(globalDispatcher)
 
     assert.equal(result.status, 'alive')
-    assert.equal(result.url, 'https://example.com/' + max)
-    assert.equal(result.messages.length, 0)
-    assert.equal(result.permanent, true)
-  })
-
-  await t.test('should fail w/ 6 redirects (default)', async function () {
-    const globalDispatcher = getGlobalDispatcher()
-    const mockAgent = new MockAgent()
-    mockAgent.enableNetConnect(/(?=a)b/)
-    setGlobalDispatcher(mockAgent)
-    const interceptable = mockAgent.get('https://example.com')
-    const max = 6
-
-    let index = 0
-    while (index < max) {
-      interceptable
-        .intercept({path: '/' + index})
-        .reply(301, '', {headers: {Location: '/' + (index + 1)}})
-      index++
-    }
-
-    interceptable
-      .intercept({path: '/' + max})
-      .reply(200, 'ok', {headers: {'Content-type': 'text/html'}})
-
-    const result = await deadOrAlive('https://example.com/0')
-
-    await mockAgent.close()
-    await setGlobalDispatcher(globalDispatcher)
-
-    assert.equal(result.status, 'dead')
-    assert.equal(result.messages.length, 1)
-    assert.equal(result.permanent, true)
-    const message = result.messages[0]
-    assert.equal(
-      message.reason,
-      'Unexpected redirect to `https://example.com/6`, too many redirects'
-    )
-    assert.equal(message.ruleId, 'max-redirect')
-    assert.equal(message.source, 'dead-or-alive')
   })
 
-  await t.test('should support `maxRedirects`', async function () {
+  await t.test('should honor `Retry-After` w/ a date', async function () {
     const globalDispatcher = getGlobalDispatcher()
     const mockAgent = new MockAgent()
     mockAgent.enableNetConnect(/(?=a)b/)
     setGlobalDispatcher(mockAgent)
     const interceptable = mockAgent.get('https://example.com')
-    const max = 10
-
-    let index = 0
-    while (index < max) {
-      interceptable
-        .intercept({path: '/' + index})
-        .reply(301, '', {headers: {Location: '/' + (index + 1)}})
-      index++
-    }
-
-    interceptable
-      .intercept({path: '/' + max})
-      .reply(200, 'ok', {headers: {'Content-type': 'text/html'}})
-
-    const result = await deadOrAlive('https://example.com/0', {
-      maxRedirects: 7
+    interceptable.intercept({path: '/'}).reply(503, '', {
+      headers: {'Retry-After': new Date(Date.now() - 1000).toUTCString()}
     })
+    interceptable.intercept({path: '/'}).reply(200, 'ok')
 
-    await mockAgent.close()
-    await setGlobalDispatcher(globalDispatcher)
-
-    assert.equal(result.status, 'dead')
-    assert.equal(result.messages.length, 1)
-    assert.equal(result.permanent, true)
-    const message = result.messages[0]
-    assert.equal(
-      message.reason,
-      'Unexpected redirect to `https://example.com/8`, too many redirects'
-    )
-    assert.equal(message.ruleId, 'max-redirect')
-    assert.equal(message.source, 'dead-or-alive')
-  })
-
-  await t.test('should warn w/ a redirect w/ hash', async function () {
-    const globalDispatcher = getGlobalDispatcher()
-    const mockAgent = new MockAgent()
-    mockAgent.enableNetConnect(/(?=a)b/)
-    setGlobalDispatcher(mockAgent)
-    const interceptable = mockAgent.get('https://example.com')
-    interceptable
-      .intercept({path: '/'})
-      .reply(301, '', {headers: {Location: '/to'}})
-    interceptable
-      .intercept({path: '/to'})
-      .reply(200, 'ok', {headers: {'Content-type': 'text/html'}})
-
-    const result = await deadOrAlive('https://example.com#hi')
+    const result = await deadOrAlive('https://example.com', {
+      sleep() {
+        assert.fail()
+      }
+    })
 
     await mockAgent.close()
     await setGlobalDispatcher(globalDispatcher)
 
     assert.equal(result.status, 'alive')
-    assert.equal(result.url, 'https://example.com/to')
-    assert.equal(result.permanent, true)
-    assert.equal(result.messages.length, 1)
-    const message = result.messages[0]
-    assert.equal(
-      message.reason,
-      'Unexpected hash in URL `https://example.com/#hi` that redirects to `https://example.com/to` losing the hash, remove the hash from the original URL'
-    )
-    assert.equal(message.ruleId, 'lost-hash-with-redirect')
-    assert.equal(message.source, 'dead-or-alive')
   })
 
-  await t.test('should work with an HTML redirect', async function () {
+  await t.test('should ignore an invalid `Retry-After`', async function () {
     const globalDispatcher = getGlobalDispatcher()
     const mockAgent = new MockAgent()
     mockAgent.enableNetConnect(/(?=a)b/)
     setGlobalDispatcher(mockAgent)
     const interceptable = mockAgent.get('https://example.com')
+    let slept = false
     interceptable
       .intercept({path: '/'})
-      .reply(
-        200,
-        '<!doctypehtml><title>Redirecting…</title><meta http-equiv=refresh content="0;url=https://example.com/i/was/redirected/">',
-        {headers: {'Content-type': 'text/html'}}
-      )
-    interceptable
-      .intercept({path: '/i/was/redirected/'})
-      .reply(200, 'ok', {headers: {'Content-type': 'text/html'}})
+      .reply(429, '', {headers: {'Retry-After': 'soon'}})
+    interceptable.intercept({path: '/'}).reply(200, 'ok')
 
-    const result = await deadOrAlive('https://example.com')
+    const result = await deadOrAlive('https://example.com', {
+      sleep() {
+        slept = true
+        return 0
+      }
+    })
 
     await mockAgent.close()
     await setGlobalDispatcher(globalDispatcher)
 
     assert.equal(result.status, 'alive')
-    assert.equal(result.url, 'https://example.com/i/was/redirected/')
-    assert.equal(result.messages.length, 0)
+    assert.equal(slept, true)
   })
 
   await t.test(
-    'should not follow HTML redirects w/ `followMetaHttpEquiv: false`',
+    'should not retry w/ a `Retry-After` above `maxRetryAfter`',
     async function () {
       const globalDispatcher = getGlobalDispatcher()
       const mockAgent = new MockAgent()
@@ -447,185 +487,154 @@ test('deadOrAlive (mocked)', async function (t) {
       const interceptable = mockAgent.get('https://example.com')
       interceptable
         .intercept({path: '/'})
-        .reply(
-          200,
-          '<!doctypehtml><title>Redirecting…</title><meta http-equiv=refresh content="0;url=https://example.com/i/was/redirected/">',
-          {headers: {'Content-type': 'text/html'}}
-        )
+        .reply(429, '', {headers: {'Retry-After': '3600'}})
 
       const result = await deadOrAlive('https://example.com', {
-        followMetaHttpEquiv: false
+        maxRetryAfter: 1000
       })
 
       await mockAgent.close()
       await setGlobalDispatcher(globalDispatcher)
 
-      assert.equal(result.status, 'alive')
-      assert.equal(result.url, 'https://example.com/')
-      assert.equal(result.messages.length, 0)
+      assert.equal(result.status, 'unknown')
+      assert.equal(result.messages.length, 1)
+      const message = result.messages[0]
+      assert.equal(
+        message.reason,
+        'Unexpected rate limit response `429` (`Too Many Requests`) on `https://example.com/`, try again later'
+      )
+      assert.equal(message.ruleId, 'rate-limited')
+      assert.equal(message.source, 'dead-or-alive')
     }
   )
 
   await t.test(
-    'should ignore an HTML redirect w/o `content`',
+    'should fail w/ `rate-limited` after retries',
     async function () {
       const globalDispatcher = getGlobalDispatcher()
       const mockAgent = new MockAgent()
       mockAgent.enableNetConnect(/(?=a)b/)
       setGlobalDispatcher(mockAgent)
       const interceptable = mockAgent.get('https://example.com')
-      interceptable
-        .intercept({path: '/'})
-        .reply(
-          200,
-          '<!doctypehtml><title>Redirecting…</title><meta http-equiv=refresh>',
-          {headers: {'Content-type': 'text/html'}}
-        )
+      interceptable.intercept({path: '/'}).reply(429).times(2)
 
-      const result = await deadOrAlive('https://example.com')
+      const result = await deadOrAlive('https://example.com', {
+        sleep: shortSleep
+      })
 
       await mockAgent.close()
       await setGlobalDispatcher(globalDispatcher)
 
-      assert.equal(result.status, 'alive')
-      assert.equal(result.url, 'https://example.com/')
-      assert.equal(result.messages.length, 0)
+      assert.equal(result.status, 'unknown')
+      assert.equal(result.messages[0].ruleId, 'rate-limited')
     }
   )
 
-  await t.test('should warn w/ HTML redirect losing hash', async function () {
+  await t.test('should support `signal`', async function () {
     const globalDispatcher = getGlobalDispatcher()
     const mockAgent = new MockAgent()
     mockAgent.enableNetConnect(/(?=a)b/)
     setGlobalDispatcher(mockAgent)
     const interceptable = mockAgent.get('https://example.com')
-    interceptable
-      .intercept({path: '/'})
-      .reply(
-        200,
-        '<!doctypehtml><title>Redirecting…</title><meta http-equiv=refresh content="0;/to/">',
-        {headers: {'Content-type': 'text/html'}}
-      )
-    interceptable
-      .intercept({path: '/to/'})
-      .reply(200, 'ok', {headers: {'Content-type': 'text/html'}})
+    interceptable.intercept({path: '/'}).reply(200, 'ok').delay(1000)
+    const controller = new AbortController()
 
-    const result = await deadOrAlive('https://example.com#hi')
+    setTimeout(function () {
+      controller.abort()
+    }, 20)
+
+    const result = await deadOrAlive('https://example.com', {
+      signal: controller.signal
+    })
 
     await mockAgent.close()
     await setGlobalDispatcher(globalDispatcher)
 
-    assert.equal(result.status, 'alive')
-    assert.equal(result.url, 'https://example.com/to/')
+    assert.equal(result.status, 'unknown')
     assert.equal(result.messages.length, 1)
     const message = result.messages[0]
     assert.equal(
       message.reason,
-      'Unexpected hash in URL `https://example.com/#hi` that redirects with `meta[http-equiv=refresh]` to `https://example.com/to/` losing the hash, remove the hash from the original URL'
+      'Unexpected abort while checking `https://example.com/`'
     )
-    assert.equal(message.ruleId, 'lost-hash-with-meta-http-equiv')
+    assert.equal(message.ruleId, 'aborted')
     assert.equal(message.source, 'dead-or-alive')
+    assert.equal(message.fatal, true)
   })
 
-  await t.test('should find an anchor by `id`', async function () {
+  await t.test('should support an aborted `signal`', async function () {
     const globalDispatcher = getGlobalDispatcher()
     const mockAgent = new MockAgent()
     mockAgent.enableNetConnect(/(?=a)b/)
     setGlobalDispatcher(mockAgent)
     const interceptable = mockAgent.get('https://example.com')
-    interceptable
-      .intercept({path: '/'})
-      .reply(200, '<!doctypehtml><title></title><h1 id=hi>hi</h1>', {
-        headers: {'Content-type': 'text/html'}
-      })
-
-    const result = await deadOrAlive('https://example.com#hi')
+    interceptable.intercept({path: '/'}).reply(200, 'ok')
+    const result = await deadOrAlive('https://example.com', {
+      signal: AbortSignal.abort()
+    })
 
     await mockAgent.close()
     await setGlobalDispatcher(globalDispatcher)
 
-    assert.equal(result.status, 'alive')
-    assert.equal(result.url, 'https://example.com/#hi')
-    assert.equal(result.messages.length, 0)
+    assert.equal(result.status, 'unknown')
+    assert.equal(result.messages[0].ruleId, 'aborted')
   })
 
-  await t.test(
-    'should find an anchor by `id` (clobber prefix)',
-    async function () {
-      const globalDispatcher = getGlobalDispatcher()
-      const mockAgent = new MockAgent()
-      mockAgent.enableNetConnect(/(?=a)b/)
-      setGlobalDispatcher(mockAgent)
-      const interceptable = mockAgent.get('https://example.com')
-      interceptable
-        .intercept({path: '/'})
-        .reply(
-          200,
-          '<!doctypehtml><title></title><h1 id=user-content-hi>hi</h1>',
-          {headers: {'Content-type': 'text/html'}}
-        )
-
-      const result = await deadOrAlive('https://example.com#hi')
-
-      await mockAgent.close()
-      await setGlobalDispatcher(globalDispatcher)
-
-      assert.equal(result.status, 'alive')
-      assert.equal(result.url, 'https://example.com/#hi')
-      assert.equal(result.messages.length, 0)
-    }
-  )
-
-  await t.test('should find an anchor by `a[name]`', async function () {
+  await t.test('should stop sleeping when aborted', async function () {
     const globalDispatcher = getGlobalDispatcher()
     const mockAgent = new MockAgent()
     mockAgent.enableNetConnect(/(?=a)b/)
     setGlobalDispatcher(mockAgent)
     const interceptable = mockAgent.get('https://example.com')
-    interceptable
-      .intercept({path: '/'})
-      .reply(200, '<!doctypehtml><title></title><a name=hi>hi</a>', {
-        headers: {'Content-type': 'text/html'}
-      })
+    interceptable.intercept({path: '/'}).reply(500)
+    const controller = new AbortController()
 
-    const result = await deadOrAlive('https://example.com#hi')
+    const result = await deadOrAlive('https://example.com', {
+      signal: controller.signal,
+      sleep() {
+        controller.abort()
+        return 60_000
+      }
+    })
 
     await mockAgent.close()
     await setGlobalDispatcher(globalDispatcher)
 
-    assert.equal(result.status, 'alive')
-    assert.equal(result.url, 'https://example.com/#hi')
-    assert.equal(result.messages.length, 0)
+    assert.equal(result.status, 'unknown')
+    assert.equal(result.messages[0].ruleId, 'aborted')
   })
 
-  await t.test(
-    'should find an anchor by `a[name]` (clobber prefix)',
-    async function () {
-      const globalDispatcher = getGlobalDispatcher()
-      const mockAgent = new MockAgent()
-      mockAgent.enableNetConnect(/(?=a)b/)
-      setGlobalDispatcher(mockAgent)
-      const interceptable = mockAgent.get('https://example.com')
-      interceptable
-        .intercept({path: '/'})
-        .reply(
-          200,
-          '<!doctypehtml><title></title><a name=user-content-hi>hi</a>',
-          {headers: {'Content-type': 'text/html'}}
-        )
+  await t.test('should support `deadline`', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('https://example.com')
+    interceptable.intercept({path: '/'}).reply(500)
 
-      const result = await deadOrAlive('https://example.com#hi')
+    const result = await deadOrAlive('https://example.com', {
+      deadline: 50,
+      sleep() {
+        return 60_000
+      }
+    })
 
-      await mockAgent.close()
-      await setGlobalDispatcher(globalDispatcher)
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
 
-      assert.equal(result.status, 'alive')
-      assert.equal(result.url, 'https://example.com/#hi')
-      assert.equal(result.messages.length, 0)
-    }
-  )
+    assert.equal(result.status, 'unknown')
+    assert.equal(result.messages.length, 1)
+    const message = result.messages[0]
+    assert.equal(
+      message.reason,
+      'Unexpected slow check of `https://example.com/`, exceeding the deadline of `50`ms'
+    )
+    assert.equal(message.ruleId, 'deadline')
+    assert.equal(message.source, 'dead-or-alive')
+    assert.equal(message.fatal, true)
+  })
 
-  await t.test('should find similar anchors', async function () {
+  await t.test('should support `maxBytes`', async function () {
     const globalDispatcher = getGlobalDispatcher()
     const mockAgent = new MockAgent()
     mockAgent.enableNetConnect(/(?=a)b/)
@@ -633,29 +642,36 @@ test('deadOrAlive (mocked)', async function (t) {
     const interceptable = mockAgent.get('https://example.com')
     interceptable
       .intercept({path: '/'})
-      .reply(
-        200,
-        '<!doctypehtml><title></title><h1 id=aaab>hi</h1><h1 id=user-content-aaac>hi</h1><a name=aaad>hi</a><a name=user-content-aaae>hi</a>',
-        {headers: {'Content-type': 'text/html'}}
-      )
+      .reply(200, '<h1 id=a>a</h1>' + 'x'.repeat(64) + '<h1 id=b>b</h1>', {
+        headers: {'Content-Type': 'text/html'}
+      })
+      .times(2)
 
-    const result = await deadOrAlive('https://example.com#aaaa')
+    const start = await deadOrAlive('https://example.com/#a', {maxBytes: 32})
+    const end = await deadOrAlive('https://example.com/#b', {maxBytes: 32})
 
     await mockAgent.close()
     await setGlobalDispatcher(globalDispatcher)
 
-    assert.equal(result.status, 'dead')
-    assert.equal(result.messages.length, 1)
-    const message = result.messages[0]
+    assert.equal(start.status, 'alive')
+    assert.equal(start.messages.length, 1)
+    const message = start.messages[0]
     assert.equal(
       message.reason,
-      'Unexpected missing anchor element on `https://example.com/` for fragment `aaaa`, remove if unneeded or refer to an existing element such as `aaab`, `aaac`, `aaad`, or `aaae`'
+      'Unexpected large HTML at `https://example.com/`, exceeding `maxBytes` of `32` bytes, checking only the start'
     )
-    assert.equal(message.ruleId, 'missing-anchor')
+    assert.equal(message.ruleId, 'max-bytes')
     assert.equal(message.source, 'dead-or-alive')
+    assert.equal(message.fatal, undefined)
+
+    assert.equal(end.status, 'dead')
+    assert.deepEqual(
+      end.messages.map((d) => d.ruleId),
+      ['missing-anchor', 'max-bytes']
+    )
   })
 
-  await t.test('should allow text fragments by default', async function () {
+  await t.test('should support HTML w/o body', async function () {
     const globalDispatcher = getGlobalDispatcher()
     const mockAgent = new MockAgent()
     mockAgent.enableNetConnect(/(?=a)b/)
@@ -663,19 +679,115 @@ test('deadOrAlive (mocked)', async function (t) {
     const interceptable = mockAgent.get('https://example.com')
     interceptable
       .intercept({path: '/'})
-      .reply(200, 'ok', {headers: {'Content-type': 'text/html'}})
+      .reply(204, '', {headers: {'Content-Type': 'text/html'}})
 
-    const result = await deadOrAlive('https://example.com#:~:text=hi')
+    const result = await deadOrAlive('https://example.com')
 
     await mockAgent.close()
     await setGlobalDispatcher(globalDispatcher)
 
     assert.equal(result.status, 'alive')
-    assert.equal(result.url, 'https://example.com/#:~:text=hi')
-    assert.equal(result.messages.length, 0)
+    assert.deepEqual(result.urls, new Set())
   })
 
-  await t.test('should find similar anchors (none)', async function () {
+  await t.test('should expose the response', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('https://example.com')
+    interceptable.intercept({path: '/'}).reply(500).times(1)
+    interceptable.intercept({path: '/'}).reply(200, 'ok', {
+      headers: {
+        'Content-Length': '2',
+        'Content-Type': 'text/plain',
+        ETag: '"x"',
+        'Last-Modified': 'Wed, 21 Oct 2015 07:28:00 GMT',
+        Server: 'example'
+      }
+    })
+
+    const result = await deadOrAlive('https://example.com', {
+      sleep: shortSleep
+    })
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(result.status, 'alive')
+    assert.equal(result.statusCode, 200)
+    assert.equal(result.statusText, 'OK')
+    assert.deepEqual(result.headers, {
+      'content-length': '2',
+      'content-type': 'text/plain',
+      etag: '"x"',
+      'last-modified': 'Wed, 21 Oct 2015 07:28:00 GMT'
+    })
+    assert.equal(typeof result.timings.firstByte, 'number')
+    assert.ok(result.timings.sleep > 0)
+    assert.ok(result.timings.total >= result.timings.sleep)
+  })
+
+  await t.test(
+    'should time the first byte before reading the body',
+    async function () {
+      const server = http.createServer(function (request, response) {
+        response.writeHead(200, {'Content-Type': 'text/html'})
+        response.flushHeaders()
+        setTimeout(function () {
+          response.end('<h1 id=a>a</h1>')
+        }, 500)
+      })
+
+      await new Promise(function (resolve) {
+        server.listen(0, '127.0.0.1', function () {
+          resolve(undefined)
+        })
+      })
+
+      const address = /** @type {import('node:net').AddressInfo} */ (
+        server.address()
+      )
+      const href = 'http://127.0.0.1:' + address.port + '/'
+      const results = await deadOrAliveMany([href + '#a', href], {
+        maxRetries: 0
+      })
+
+      server.close()
+
+      for (const result of results.values()) {
+        assert.equal(result.status, 'alive')
+        assert.ok(result.timings.total >= 450)
+        assert.ok(
+          result.timings.firstByte !== undefined &&
+            result.timings.firstByte < 250,
+          String(result.timings.firstByte)
+        )
+      }
+    }
+  )
+
+  await t.test('should expose the response when dead', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('https://example.com')
+    interceptable.intercept({path: '/'}).reply(404)
+
+    const result = await deadOrAlive('https://example.com')
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(result.status, 'dead')
+    assert.equal(result.statusCode, 404)
+    assert.equal(result.statusText, 'Not Found')
+    assert.deepEqual(result.headers, {})
+    assert.equal(result.timings.sleep, 0)
+  })
+
+  await t.test('should not expose a missing response', async function () {
     const globalDispatcher = getGlobalDispatcher()
     const mockAgent = new MockAgent()
     mockAgent.enableNetConnect(/(?=a)b/)
@@ -683,33 +795,32 @@ test('deadOrAlive (mocked)', async function (t) {
     const interceptable = mockAgent.get('https://example.com')
     interceptable
       .intercept({path: '/'})
-      .reply(200, '<!doctypehtml><title></title><h1 id=xxxx>hi</h1>', {
-        headers: {'Content-type': 'text/html'}
-      })
+      .replyWithError(new Error('Connection reset'))
 
-    const result = await deadOrAlive('https://example.com#aaaa')
+    const result = await deadOrAlive('https://example.com', {maxRetries: 0})
 
     await mockAgent.close()
     await setGlobalDispatcher(globalDispatcher)
 
     assert.equal(result.status, 'dead')
-    assert.equal(result.messages.length, 1)
-    const message = result.messages[0]
-    assert.equal(
-      message.reason,
-      'Unexpected missing anchor element on `https://example.com/` for fragment `aaaa`, remove if unneeded or refer to an existing element'
-    )
-    assert.equal(message.ruleId, 'missing-anchor')
-    assert.equal(message.source, 'dead-or-alive')
+    assert.equal(result.statusCode, undefined)
+    assert.equal(result.statusText, undefined)
+    assert.equal(result.headers, undefined)
+    assert.equal(result.timings.firstByte, undefined)
   })
 
-  await t.test('should work w/o `Content-type`', async function () {
+  await t.test('should work w/ a 301', async function () {
     const globalDispatcher = getGlobalDispatcher()
     const mockAgent = new MockAgent()
     mockAgent.enableNetConnect(/(?=a)b/)
     setGlobalDispatcher(mockAgent)
     const interceptable = mockAgent.get('https://example.com')
-    interceptable.intercept({path: '/'}).reply(200, 'hi')
+    interceptable
+      .intercept({path: '/'})
+      .reply(301, '', {headers: {Location: '/to'}})
+    interceptable
+      .intercept({path: '/to'})
+      .reply(200, 'ok', {headers: {'Content-type': 'text/html'}})
 
     const result = await deadOrAlive('https://example.com')
 
@@ -717,19 +828,31 @@ test('deadOrAlive (mocked)', async function (t) {
     await setGlobalDispatcher(globalDispatcher)
 
     assert.equal(result.status, 'alive')
-    assert.equal(result.url, 'https://example.com/')
+    assert.equal(result.url, 'https://example.com/to')
     assert.equal(result.messages.length, 0)
+    assert.equal(result.permanent, true)
+    assert.deepEqual(result.redirects, [
+      {
+        from: 'https://example.com/',
+        permanent: true,
+        status: 301,
+        to: 'https://example.com/to'
+      }
+    ])
   })
 
-  await t.test('should work with non-html', async function () {
+  await t.test('should work w/ a 302', async function () {
     const globalDispatcher = getGlobalDispatcher()
     const mockAgent = new MockAgent()
     mockAgent.enableNetConnect(/(?=a)b/)
     setGlobalDispatcher(mockAgent)
     const interceptable = mockAgent.get('https://example.com')
-    interceptable.intercept({path: '/'}).reply(200, '*{color:red}', {
-      headers: {'Content-type': 'text/css'}
-    })
+    interceptable
+      .intercept({path: '/'})
+      .reply(302, '', {headers: {Location: '/to'}})
+    interceptable
+      .intercept({path: '/to'})
+      .reply(200, 'ok', {headers: {'Content-type': 'text/html'}})
 
     const result = await deadOrAlive('https://example.com')
 
@@ -737,187 +860,5083 @@ test('deadOrAlive (mocked)', async function (t) {
     await setGlobalDispatcher(globalDispatcher)
 
     assert.equal(result.status, 'alive')
-    assert.equal(result.url, 'https://example.com/')
+    assert.equal(result.url, 'https://example.com/to')
     assert.equal(result.messages.length, 0)
+    assert.equal(result.permanent, false)
+    assert.deepEqual(result.redirects, [
+      {
+        from: 'https://example.com/',
+        permanent: false,
+        status: 302,
+        to: 'https://example.com/to'
+      }
+    ])
   })
 
-  await t.test('should warn about anchors into non-html', async function () {
+  await t.test('should list redirects when dead', async function () {
     const globalDispatcher = getGlobalDispatcher()
     const mockAgent = new MockAgent()
     mockAgent.enableNetConnect(/(?=a)b/)
     setGlobalDispatcher(mockAgent)
     const interceptable = mockAgent.get('https://example.com')
-    interceptable.intercept({path: '/'}).reply(200, '*{color:red}', {
-      headers: {'Content-type': 'text/css'}
-    })
+    interceptable
+      .intercept({path: '/'})
+      .reply(308, '', {headers: {Location: 'https://example.org/'}})
+    mockAgent
+      .get('https://example.org')
+      .intercept({path: '/'})
+      .reply(307, '', {headers: {Location: '/to'}})
+    mockAgent.get('https://example.org').intercept({path: '/to'}).reply(404)
 
-    const result = await deadOrAlive('https://example.com#hi')
+    const result = await deadOrAlive('https://example.com')
 
     await mockAgent.close()
     await setGlobalDispatcher(globalDispatcher)
 
-    assert.equal(result.status, 'alive')
-    assert.equal(result.url, 'https://example.com/')
-    assert.equal(result.messages.length, 1)
-    const message = result.messages[0]
-    assert.equal(
-      message.reason,
-      'Unexpected hash in URL `https://example.com/#hi` to non-html (`text/css`) losing the hash, remove the hash from the original URL'
-    )
-    assert.equal(message.ruleId, 'lost-hash-with-non-html')
-    assert.equal(message.source, 'dead-or-alive')
+    assert.equal(result.status, 'dead')
+    assert.deepEqual(result.redirects, [
+      {
+        from: 'https://example.com/',
+        permanent: true,
+        status: 308,
+        to: 'https://example.org/'
+      },
+      {
+        from: 'https://example.org/',
+        permanent: false,
+        status: 307,
+        to: 'https://example.org/to'
+      }
+    ])
   })
 
-  await t.test('should find further URLs', async function () {
+  await t.test('should work w/ 5 redirects (default)', async function () {
     const globalDispatcher = getGlobalDispatcher()
     const mockAgent = new MockAgent()
     mockAgent.enableNetConnect(/(?=a)b/)
     setGlobalDispatcher(mockAgent)
     const interceptable = mockAgent.get('https://example.com')
+    const max = 5
+
+    let index = 0
+    while (index < max) {
+      interceptable
+        .intercept({path: '/' + index})
+        .reply(301, '', {headers: {Location: '/' + (index + 1)}})
+      index++
+    }
+
     interceptable
-      .intercept({path: '/'})
-      .reply(200, '<a href=/>a</a><q cite=#a>b</q><a ping="b c">c</a>', {
-        headers: {'Content-type': 'text/html'}
-      })
+      .intercept({path: '/' + max})
+      .reply(200, 'ok', {headers: {'Content-type': 'text/html'}})
 
-    const result = await deadOrAlive('https://example.com')
+    const result = await deadOrAlive('https://example.com/0')
 
     await mockAgent.close()
     await setGlobalDispatcher(globalDispatcher)
 
     assert.equal(result.status, 'alive')
-    assert.equal(result.url, 'https://example.com/')
+    assert.equal(result.url, 'https://example.com/' + max)
     assert.equal(result.messages.length, 0)
-    assert.deepEqual(result.urls ? [...result.urls] : [], [
-      'https://example.com/',
-      'https://example.com/#a',
-      'https://example.com/b',
-      'https://example.com/c'
-    ])
+    assert.equal(result.permanent, true)
   })
 
-  await t.test('should ignore broken further URLs', async function () {
+  await t.test('should fail w/ 6 redirects (default)', async function () {
     const globalDispatcher = getGlobalDispatcher()
     const mockAgent = new MockAgent()
     mockAgent.enableNetConnect(/(?=a)b/)
     setGlobalDispatcher(mockAgent)
     const interceptable = mockAgent.get('https://example.com')
-    interceptable
-      .intercept({path: '/'})
-      .reply(200, '<a href=https://exa[mple.org>a</a>', {
-        headers: {'Content-type': 'text/html'}
-      })
+    const max = 6
 
-    const result = await deadOrAlive('https://example.com')
+    let index = 0
+    while (index < max) {
+      interceptable
+        .intercept({path: '/' + index})
+        .reply(301, '', {headers: {Location: '/' + (index + 1)}})
+      index++
+    }
+
+    interceptable
+      .intercept({path: '/' + max})
+      .reply(200, 'ok', {headers: {'Content-type': 'text/html'}})
+
+    const result = await deadOrAlive('https://example.com/0')
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(result.status, 'dead')
+    assert.equal(result.messages.length, 1)
+    assert.equal(result.permanent, true)
+    const message = result.messages[0]
+    assert.equal(
+      message.reason,
+      'Unexpected redirect to `https://example.com/6`, too many redirects'
+    )
+    assert.equal(message.ruleId, 'max-redirect')
+    assert.equal(message.source, 'dead-or-alive')
+  })
+
+  await t.test(
+    'should not keep listening to the signal after requests',
+    async function () {
+      const globalDispatcher = getGlobalDispatcher()
+      const mockAgent = new MockAgent()
+      mockAgent.enableNetConnect(/(?=a)b/)
+      setGlobalDispatcher(mockAgent)
+      const interceptable = mockAgent.get('https://example.com')
+      const max = 12
+      /** @type {Array<Error>} */
+      const warnings = []
+
+      let index = 0
+      while (index < max) {
+        interceptable
+          .intercept({path: '/' + index})
+          .reply(301, '', {headers: {Location: '/' + (index + 1)}})
+        index++
+      }
+
+      interceptable
+        .intercept({path: '/' + max})
+        .reply(200, 'ok', {headers: {'Content-type': 'text/html'}})
+
+      process.on('warning', onwarning)
+
+      const result = await deadOrAlive('https://example.com/0', {
+        maxRedirects: max,
+        robots: false
+      })
+
+      // Warnings are emitted on the next tick.
+      await new Promise(function (resolve) {
+        setTimeout(resolve, 0)
+      })
+      process.off('warning', onwarning)
+      await mockAgent.close()
+      await setGlobalDispatcher(globalDispatcher)
+
+      assert.equal(result.status, 'alive')
+      assert.deepEqual(warnings, [])
+
+      /**
+       * @param {Error} warning
+       * @returns {undefined}
+       */
+      function onwarning(warning) {
+        warnings.push(warning)
+      }
+    }
+  )
+
+  await t.test('should support `maxRedirects`', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('https://example.com')
+    const max = 10
+
+    let index = 0
+    while (index < max) {
+      interceptable
+        .intercept({path: '/' + index})
+        .reply(301, '', {headers: {Location: '/' + (index + 1)}})
+      index++
+    }
+
+    interceptable
+      .intercept({path: '/' + max})
+      .reply(200, 'ok', {headers: {'Content-type': 'text/html'}})
+
+    const result = await deadOrAlive('https://example.com/0', {
+      maxRedirects: 7
+    })
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(result.status, 'dead')
+    assert.equal(result.messages.length, 1)
+    assert.equal(result.permanent, true)
+    const message = result.messages[0]
+    assert.equal(
+      message.reason,
+      'Unexpected redirect to `https://example.com/8`, too many redirects'
+    )
+    assert.equal(message.ruleId, 'max-redirect')
+    assert.equal(message.source, 'dead-or-alive')
+  })
+
+  await t.test('should warn w/ a redirect w/ hash', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('https://example.com')
+    interceptable
+      .intercept({path: '/'})
+      .reply(301, '', {headers: {Location: '/to'}})
+    interceptable
+      .intercept({path: '/to'})
+      .reply(200, 'ok', {headers: {'Content-type': 'text/html'}})
+
+    const result = await deadOrAlive('https://example.com#hi')
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(result.status, 'alive')
+    assert.equal(result.url, 'https://example.com/to')
+    assert.equal(result.permanent, true)
+    assert.equal(result.messages.length, 1)
+    const message = result.messages[0]
+    assert.equal(
+      message.reason,
+      'Unexpected hash in URL `https://example.com/#hi` that redirects to `https://example.com/to` losing the hash, remove the hash from the original URL'
+    )
+    assert.equal(message.ruleId, 'lost-hash-with-redirect')
+    assert.equal(message.source, 'dead-or-alive')
+  })
+
+  await t.test('should work with an HTML redirect', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('https://example.com')
+    interceptable
+      .intercept({path: '/'})
+      .reply(
+        200,
+        '<!doctypehtml><title>Redirecting…</title><meta http-equiv=refresh content="0;url=https://example.com/i/was/redirected/">',
+        {headers: {'Content-type': 'text/html'}}
+      )
+    interceptable
+      .intercept({path: '/i/was/redirected/'})
+      .reply(200, 'ok', {headers: {'Content-type': 'text/html'}})
+
+    const result = await deadOrAlive('https://example.com')
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(result.status, 'alive')
+    assert.equal(result.url, 'https://example.com/i/was/redirected/')
+    assert.equal(result.messages.length, 0)
+    assert.deepEqual(result.redirects, [
+      {
+        from: 'https://example.com/',
+        permanent: false,
+        status: 'meta-refresh',
+        to: 'https://example.com/i/was/redirected/'
+      }
+    ])
+  })
+
+  await t.test(
+    'should not follow HTML redirects w/ `followMetaHttpEquiv: false`',
+    async function () {
+      const globalDispatcher = getGlobalDispatcher()
+      const mockAgent = new MockAgent()
+      mockAgent.enableNetConnect(/(?=a)b/)
+      setGlobalDispatcher(mockAgent)
+      const interceptable = mockAgent.get('https://example.com')
+      interceptable
+        .intercept({path: '/'})
+        .reply(
+          200,
+          '<!doctypehtml><title>Redirecting…</title><meta http-equiv=refresh content="0;url=https://example.com/i/was/redirected/">',
+          {headers: {'Content-type': 'text/html'}}
+        )
+
+      const result = await deadOrAlive('https://example.com', {
+        followMetaHttpEquiv: false
+      })
+
+      await mockAgent.close()
+      await setGlobalDispatcher(globalDispatcher)
+
+      assert.equal(result.status, 'alive')
+      assert.equal(result.url, 'https://example.com/')
+      assert.equal(result.messages.length, 0)
+    }
+  )
+
+  await t.test(
+    'should ignore an HTML redirect w/o `content`',
+    async function () {
+      const globalDispatcher = getGlobalDispatcher()
+      const mockAgent = new MockAgent()
+      mockAgent.enableNetConnect(/(?=a)b/)
+      setGlobalDispatcher(mockAgent)
+      const interceptable = mockAgent.get('https://example.com')
+      interceptable
+        .intercept({path: '/'})
+        .reply(
+          200,
+          '<!doctypehtml><title>Redirecting…</title><meta http-equiv=refresh>',
+          {headers: {'Content-type': 'text/html'}}
+        )
+
+      const result = await deadOrAlive('https://example.com')
+
+      await mockAgent.close()
+      await setGlobalDispatcher(globalDispatcher)
+
+      assert.equal(result.status, 'alive')
+      assert.equal(result.url, 'https://example.com/')
+      assert.equal(result.messages.length, 0)
+    }
+  )
+
+  await t.test('should warn w/ HTML redirect losing hash', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('https://example.com')
+    interceptable
+      .intercept({path: '/'})
+      .reply(
+        200,
+        '<!doctypehtml><title>Redirecting…</title><meta http-equiv=refresh content="0;/to/">',
+        {headers: {'Content-type': 'text/html'}}
+      )
+    interceptable
+      .intercept({path: '/to/'})
+      .reply(200, 'ok', {headers: {'Content-type': 'text/html'}})
+
+    const result = await deadOrAlive('https://example.com#hi')
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(result.status, 'alive')
+    assert.equal(result.url, 'https://example.com/to/')
+    assert.equal(result.messages.length, 1)
+    const message = result.messages[0]
+    assert.equal(
+      message.reason,
+      'Unexpected hash in URL `https://example.com/#hi` that redirects with `meta[http-equiv=refresh]` to `https://example.com/to/` losing the hash, remove the hash from the original URL'
+    )
+    assert.equal(message.ruleId, 'lost-hash-with-meta-http-equiv')
+    assert.equal(message.source, 'dead-or-alive')
+  })
+
+  await t.test('should find an anchor by `id`', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('https://example.com')
+    interceptable
+      .intercept({path: '/'})
+      .reply(200, '<!doctypehtml><title></title><h1 id=hi>hi</h1>', {
+        headers: {'Content-type': 'text/html'}
+      })
+
+    const result = await deadOrAlive('https://example.com#hi')
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(result.status, 'alive')
+    assert.equal(result.url, 'https://example.com/#hi')
+    assert.equal(result.messages.length, 0)
+  })
+
+  await t.test(
+    'should find an anchor by `id` (clobber prefix)',
+    async function () {
+      const globalDispatcher = getGlobalDispatcher()
+      const mockAgent = new MockAgent()
+      mockAgent.enableNetConnect(/(?=a)b/)
+      setGlobalDispatcher(mockAgent)
+      const interceptable = mockAgent.get('https://example.com')
+      interceptable
+        .intercept({path: '/'})
+        .reply(
+          200,
+          '<!doctypehtml><title></title><h1 id=user-content-hi>hi</h1>',
+          {headers: {'Content-type': 'text/html'}}
+        )
+
+      const result = await deadOrAlive('https://example.com#hi')
+
+      await mockAgent.close()
+      await setGlobalDispatcher(globalDispatcher)
+
+      assert.equal(result.status, 'alive')
+      assert.equal(result.url, 'https://example.com/#hi')
+      assert.equal(result.messages.length, 0)
+    }
+  )
+
+  await t.test('should find an anchor by `a[name]`', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('https://example.com')
+    interceptable
+      .intercept({path: '/'})
+      .reply(200, '<!doctypehtml><title></title><a name=hi>hi</a>', {
+        headers: {'Content-type': 'text/html'}
+      })
+
+    const result = await deadOrAlive('https://example.com#hi')
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(result.status, 'alive')
+    assert.equal(result.url, 'https://example.com/#hi')
+    assert.equal(result.messages.length, 0)
+  })
+
+  await t.test(
+    'should find an anchor by `a[name]` (clobber prefix)',
+    async function () {
+      const globalDispatcher = getGlobalDispatcher()
+      const mockAgent = new MockAgent()
+      mockAgent.enableNetConnect(/(?=a)b/)
+      setGlobalDispatcher(mockAgent)
+      const interceptable = mockAgent.get('https://example.com')
+      interceptable
+        .intercept({path: '/'})
+        .reply(
+          200,
+          '<!doctypehtml><title></title><a name=user-content-hi>hi</a>',
+          {headers: {'Content-type': 'text/html'}}
+        )
+
+      const result = await deadOrAlive('https://example.com#hi')
+
+      await mockAgent.close()
+      await setGlobalDispatcher(globalDispatcher)
+
+      assert.equal(result.status, 'alive')
+      assert.equal(result.url, 'https://example.com/#hi')
+      assert.equal(result.messages.length, 0)
+    }
+  )
+
+  await t.test('should find similar anchors', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('https://example.com')
+    interceptable
+      .intercept({path: '/'})
+      .reply(
+        200,
+        '<!doctypehtml><title></title><h1 id=aaab>hi</h1><h1 id=user-content-aaac>hi</h1><a name=aaad>hi</a><a name=user-content-aaae>hi</a>',
+        {headers: {'Content-type': 'text/html'}}
+      )
+
+    const result = await deadOrAlive('https://example.com#aaaa')
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(result.status, 'dead')
+    assert.equal(result.messages.length, 1)
+    const message = result.messages[0]
+    assert.equal(
+      message.reason,
+      'Unexpected missing anchor element on `https://example.com/` for fragment `aaaa`, remove if unneeded or refer to an existing element such as `aaab`, `aaac`, `aaad`, or `aaae`'
+    )
+    assert.equal(message.ruleId, 'missing-anchor')
+    assert.equal(message.source, 'dead-or-alive')
+  })
+
+  await t.test('should check text fragments', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('https://example.com')
+    interceptable
+      .intercept({path: '/'})
+      .reply(
+        200,
+        '<title>Ignored</title><h1 id=mercury>Mercury</h1><p>The <em>smallest</em> planet, closest to the Sun.</p><p>It has no moons, unlike Earth.</p>',
+        {headers: {'Content-type': 'text/html'}}
+      )
+
+    const results = await deadOrAliveMany(
+      [
+        'https://example.com#:~:text=smallest%20planet',
+        'https://example.com#:~:text=the%20smallest,sun',
+        'https://example.com#:~:text=mercury-,the,-smallest',
+        'https://example.com#:~:text=no%20moons&text=Earth',
+        'https://example.com#:~:note=x',
+        'https://example.com#mercury:~:text=Sun'
+      ],
+      {maxRetries: 0}
+    )
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    for (const [href, result] of results) {
+      assert.equal(result.status, 'alive', href)
+      assert.equal(result.url, new URL(href).href)
+      assert.equal(result.messages.length, 0)
+    }
+  })
+
+  await t.test('should fail for missing text fragments', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('https://example.com')
+    interceptable
+      .intercept({path: '/'})
+      .reply(
+        200,
+        '<p>The smallest planet, closest to the Sun.</p><script>var hidden = "largest planet"</script>',
+        {headers: {'Content-type': 'text/html'}}
+      )
+
+    const results = await deadOrAliveMany(
+      [
+        'https://example.com#:~:text=largest%20planet',
+        'https://example.com#:~:text=small',
+        'https://example.com#:~:text=planet&text=moons',
+        'https://example.com#:~:text=%E0%A4%A',
+        'https://example.com#missing:~:text=Sun'
+      ],
+      {maxRetries: 0}
+    )
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.deepEqual(
+      [...results.values()].map(function (result) {
+        return [result.status, result.messages[0].ruleId]
+      }),
+      [
+        ['dead', 'missing-text-fragment'],
+        ['dead', 'missing-text-fragment'],
+        ['dead', 'missing-text-fragment'],
+        ['dead', 'missing-text-fragment'],
+        ['dead', 'missing-anchor']
+      ]
+    )
+    const message = results.get('https://example.com/#:~:text=largest%20planet')
+      ?.messages[0]
+    assert.equal(
+      message?.reason,
+      'Unexpected missing text on `https://example.com/` for text fragment `text=largest%20planet`, remove if unneeded or refer to existing text such as `smallest planet,`'
+    )
+    assert.equal(
+      message?.url,
+      'https://github.com/wooorm/dead-or-alive#missing-text-fragment'
+    )
+    assert.equal(message?.fatal, true)
+    assert.equal(
+      results.get('https://example.com/#:~:text=%E0%A4%A')?.messages[0].reason,
+      'Unexpected missing text on `https://example.com/` for text fragment `text=%E0%A4%A`, remove if unneeded or refer to existing text'
+    )
+  })
+
+  await t.test(
+    'should allow text fragments w/ `anchorAllowlist`',
+    async function () {
+      const globalDispatcher = getGlobalDispatcher()
+      const mockAgent = new MockAgent()
+      mockAgent.enableNetConnect(/(?=a)b/)
+      setGlobalDispatcher(mockAgent)
+      const interceptable = mockAgent.get('https://example.com')
+      interceptable
+        .intercept({path: '/'})
+        .reply(200, 'ok', {headers: {'Content-type': 'text/html'}})
+
+      const result = await deadOrAlive('https://example.com#:~:text=hi', {
+        anchorAllowlist: [[/./, /^:~:/]]
+      })
+
+      await mockAgent.close()
+      await setGlobalDispatcher(globalDispatcher)
+
+      assert.equal(result.status, 'alive')
+      assert.equal(result.url, 'https://example.com/#:~:text=hi')
+      assert.equal(result.messages.length, 0)
+    }
+  )
+
+  await t.test('should find similar anchors (none)', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('https://example.com')
+    interceptable
+      .intercept({path: '/'})
+      .reply(200, '<!doctypehtml><title></title><h1 id=xxxx>hi</h1>', {
+        headers: {'Content-type': 'text/html'}
+      })
+
+    const result = await deadOrAlive('https://example.com#aaaa')
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(result.status, 'dead')
+    assert.equal(result.messages.length, 1)
+    const message = result.messages[0]
+    assert.equal(
+      message.reason,
+      'Unexpected missing anchor element on `https://example.com/` for fragment `aaaa`, remove if unneeded or refer to an existing element'
+    )
+    assert.equal(message.ruleId, 'missing-anchor')
+    assert.equal(message.source, 'dead-or-alive')
+  })
+
+  await t.test('should work w/o `Content-type`', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('https://example.com')
+    interceptable.intercept({path: '/'}).reply(200, 'hi')
+
+    const result = await deadOrAlive('https://example.com')
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(result.status, 'alive')
+    assert.equal(result.url, 'https://example.com/')
+    assert.equal(result.messages.length, 0)
+  })
+
+  await t.test('should work with non-html', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('https://example.com')
+    interceptable.intercept({path: '/'}).reply(200, '*{color:red}', {
+      headers: {'Content-type': 'text/css'}
+    })
+
+    const result = await deadOrAlive('https://example.com')
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(result.status, 'alive')
+    assert.equal(result.url, 'https://example.com/')
+    assert.equal(result.messages.length, 0)
+  })
+
+  await t.test('should warn about anchors into non-html', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('https://example.com')
+    interceptable.intercept({path: '/'}).reply(200, '*{color:red}', {
+      headers: {'Content-type': 'text/css'}
+    })
+
+    const result = await deadOrAlive('https://example.com#hi')
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(result.status, 'alive')
+    assert.equal(result.url, 'https://example.com/')
+    assert.equal(result.messages.length, 1)
+    const message = result.messages[0]
+    assert.equal(
+      message.reason,
+      'Unexpected hash in URL `https://example.com/#hi` to non-html (`text/css`) losing the hash, remove the hash from the original URL'
+    )
+    assert.equal(message.ruleId, 'lost-hash-with-non-html')
+    assert.equal(message.source, 'dead-or-alive')
+  })
+
+  await t.test('should find further URLs', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('https://example.com')
+    interceptable
+      .intercept({path: '/'})
+      .reply(200, '<a href=/>a</a><q cite=#a>b</q><a ping="b c">c</a>', {
+        headers: {'Content-type': 'text/html'}
+      })
+
+    const result = await deadOrAlive('https://example.com')
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(result.status, 'alive')
+    assert.equal(result.url, 'https://example.com/')
+    assert.equal(result.messages.length, 0)
+    assert.deepEqual(result.urls ? [...result.urls] : [], [
+      'https://example.com/',
+      'https://example.com/#a',
+      'https://example.com/b',
+      'https://example.com/c'
+    ])
+  })
+
+  await t.test(
+    'should find further URLs relative to the final URL',
+    async function () {
+      const globalDispatcher = getGlobalDispatcher()
+      const mockAgent = new MockAgent()
+      mockAgent.enableNetConnect(/(?=a)b/)
+      setGlobalDispatcher(mockAgent)
+      const interceptable = mockAgent.get('https://example.com')
+      interceptable
+        .intercept({path: '/docs'})
+        .reply(301, '', {headers: {Location: '/docs/'}})
+      interceptable
+        .intercept({path: '/docs/'})
+        .reply(200, '<a href=intro>a</a>', {
+          headers: {'Content-type': 'text/html'}
+        })
+
+      const result = await deadOrAlive('https://example.com/docs')
+
+      await mockAgent.close()
+      await setGlobalDispatcher(globalDispatcher)
+
+      assert.equal(result.status, 'alive')
+      assert.deepEqual(result.urls ? [...result.urls] : [], [
+        'https://example.com/docs/intro'
+      ])
+    }
+  )
+
+  await t.test('should ignore broken further URLs', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('https://example.com')
+    interceptable
+      .intercept({path: '/'})
+      .reply(200, '<a href=https://exa[mple.org>a</a>', {
+        headers: {'Content-type': 'text/html'}
+      })
+
+    const result = await deadOrAlive('https://example.com')
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(result.status, 'alive')
+    assert.equal(result.url, 'https://example.com/')
+    assert.equal(result.messages.length, 0)
+    assert.deepEqual(result.urls ? [...result.urls] : [], [])
+  })
+
+  await t.test(
+    'should not find further urls w/ `findUrls: false`',
+    async function () {
+      const globalDispatcher = getGlobalDispatcher()
+      const mockAgent = new MockAgent()
+      mockAgent.enableNetConnect(/(?=a)b/)
+      setGlobalDispatcher(mockAgent)
+      const interceptable = mockAgent.get('https://example.com')
+      interceptable.intercept({path: '/'}).reply(200, '<a href=a>b</a>', {
+        headers: {'Content-type': 'text/html'}
+      })
+
+      const result = await deadOrAlive('https://example.com', {findUrls: false})
+
+      await mockAgent.close()
+      await setGlobalDispatcher(globalDispatcher)
+
+      assert.equal(result.status, 'alive')
+      assert.equal(result.url, 'https://example.com/')
+      assert.equal(result.messages.length, 0)
+      assert.equal(result.urls, undefined)
+    }
+  )
+
+  await t.test('should be fast if html is not needed', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('https://example.com')
+    interceptable
+      .intercept({path: '/'})
+      .reply(200, 'ok', {headers: {'Content-type': 'text/html'}})
+
+    const result = await deadOrAlive('https://example.com', {
+      checkAnchor: false,
+      findUrls: false,
+      followMetaHttpEquiv: false
+    })
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(result.status, 'alive')
+    assert.equal(result.url, 'https://example.com/')
+    assert.equal(result.messages.length, 0)
+    assert.equal(result.urls, undefined)
+  })
+
+  await t.test('should be fast if retries are not needed', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+
+    const result = await deadOrAlive('https://example.com', {
+      maxRetries: 0
+    })
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(result.status, 'dead')
+    assert.equal(result.url, undefined)
+    assert.equal(result.urls, undefined)
+    const message = result.messages[0]
+    assert.equal(
+      message.reason,
+      'Unexpected error fetching `https://example.com/`'
+    )
+    assert.equal(message.ruleId, 'fetch')
+    assert.equal(message.source, 'dead-or-alive')
+  })
+
+  await t.test('should be fast if sleep is fast', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+
+    const result = await deadOrAlive('https://example.com', {
+      sleep() {
+        return 40
+      }
+    })
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(result.status, 'dead')
+    assert.equal(result.url, undefined)
+    assert.equal(result.urls, undefined)
+    const message = result.messages[0]
+    assert.equal(
+      message.reason,
+      'Unexpected error fetching `https://example.com/`'
+    )
+    assert.equal(message.ruleId, 'fetch')
+    assert.equal(message.source, 'dead-or-alive')
+  })
+})
+
+test('deadOrAliveMany', async function (t) {
+  await t.test('should work', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('https://example.com')
+    interceptable.intercept({path: '/a'}).reply(200, 'ok')
+    interceptable.intercept({path: '/b'}).reply(404)
+
+    const results = await deadOrAliveMany(
+      ['https://example.com/a', new URL('https://example.com/b')],
+      {maxRetries: 0}
+    )
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.deepEqual(
+      [...results].map(function ([key, result]) {
+        return [key, result.status]
+      }),
+      [
+        ['https://example.com/a', 'alive'],
+        ['https://example.com/b', 'dead']
+      ]
+    )
+  })
+
+  await t.test('should work w/o urls', async function () {
+    const results = await deadOrAliveMany([])
+    assert.equal(results.size, 0)
+  })
+
+  await t.test('should check duplicate urls once', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('https://example.com')
+    // Only one reply: a second request would fail.
+    interceptable.intercept({path: '/'}).reply(200, 'ok')
+
+    const results = await deadOrAliveMany(
+      ['https://example.com', 'https://example.com/'],
+      {maxRetries: 0}
+    )
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.deepEqual([...results.keys()], ['https://example.com/'])
+    assert.equal(results.get('https://example.com/')?.status, 'alive')
+  })
+
+  await t.test(
+    'should fetch a resource once for several hashes',
+    async function () {
+      const globalDispatcher = getGlobalDispatcher()
+      const mockAgent = new MockAgent()
+      mockAgent.enableNetConnect(/(?=a)b/)
+      setGlobalDispatcher(mockAgent)
+      const interceptable = mockAgent.get('https://example.com')
+      // Only one reply each: a second request would fail.
+      interceptable
+        .intercept({path: '/'})
+        .reply(301, '', {headers: {Location: '/page'}})
+      interceptable
+        .intercept({path: '/page'})
+        .reply(
+          200,
+          '<!doctypehtml><title></title><h1 id=a>a</h1><h2 id=b>b</h2><a href=/c>c</a>',
+          {headers: {'Content-type': 'text/html'}}
+        )
+      interceptable.intercept({path: '/other'}).reply(200, 'ok')
+
+      const results = await deadOrAliveMany(
+        [
+          'https://example.com/#a',
+          'https://example.com/page#a',
+          'https://example.com/page#b',
+          'https://example.com/page#c',
+          'https://example.com/other'
+        ],
+        {maxConcurrencyPerOrigin: 1, maxRetries: 0}
+      )
+
+      await mockAgent.close()
+      await setGlobalDispatcher(globalDispatcher)
+
+      assert.deepEqual(
+        [...results.values()].map(function (result) {
+          return [
+            result.status,
+            result.url,
+            result.messages.map(function (d) {
+              return d.ruleId
+            })
+          ]
+        }),
+        [
+          ['alive', 'https://example.com/page', ['lost-hash-with-redirect']],
+          ['alive', 'https://example.com/page#a', []],
+          ['alive', 'https://example.com/page#b', []],
+          ['dead', undefined, ['missing-anchor']],
+          ['alive', 'https://example.com/other', []]
+        ]
+      )
+
+      const a = results.get('https://example.com/page#a')
+      const b = results.get('https://example.com/page#b')
+      assert.deepEqual(a?.urls, new Set(['https://example.com/c']))
+      assert.notEqual(a?.urls, b?.urls)
+    }
+  )
+
+  await t.test(
+    'should share a resource between hashes checked at the same time',
+    async function () {
+      const globalDispatcher = getGlobalDispatcher()
+      const mockAgent = new MockAgent()
+      mockAgent.enableNetConnect(/(?=a)b/)
+      setGlobalDispatcher(mockAgent)
+      const interceptable = mockAgent.get('https://example.com')
+      // Only one reply: a second request would fail.
+      interceptable
+        .intercept({path: '/'})
+        .reply(200, '<h1 id=a>a</h1><h2 id=b>b</h2>', {
+          headers: {'Content-type': 'text/html'}
+        })
+        .delay(20)
+
+      const results = await deadOrAliveMany(
+        ['https://example.com/#a', 'https://example.com/#b'],
+        {maxRetries: 0}
+      )
+
+      await mockAgent.close()
+      await setGlobalDispatcher(globalDispatcher)
+
+      assert.deepEqual(
+        [...results.values()].map(function (result) {
+          return result.status
+        }),
+        ['alive', 'alive']
+      )
+    }
+  )
+
+  await t.test('should support `maxConcurrencyPerOrigin`', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const a = mockAgent.get('https://a.com')
+    const b = mockAgent.get('https://b.com')
+    /** @type {Array<string>} */
+    const calls = []
+
+    for (const path of ['/1', '/2', '/3']) {
+      a.intercept({path})
+        .reply(function () {
+          calls.push('a' + path)
+          return {statusCode: 200, data: 'ok'}
+        })
+        .delay(20)
+      b.intercept({path})
+        .reply(function () {
+          calls.push('b' + path)
+          return {statusCode: 200, data: 'ok'}
+        })
+        .delay(20)
+    }
+
+    const results = await deadOrAliveMany(
+      [
+        'https://a.com/1',
+        'https://a.com/2',
+        'https://a.com/3',
+        'https://b.com/1',
+        'https://b.com/2',
+        'https://b.com/3'
+      ],
+      {maxConcurrencyPerOrigin: 1, maxRetries: 0}
+    )
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    // The first check to `b.com` starts before the second to `a.com`.
+    assert.deepEqual(calls.slice(0, 2), ['a/1', 'b/1'])
+    assert.equal(results.size, 6)
+
+    for (const result of results.values()) {
+      assert.equal(result.status, 'alive')
+    }
+  })
+
+  await t.test('should support `maxConcurrency`', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    let active = 0
+    let max = 0
+
+    for (const origin of ['https://a.com', 'https://b.com', 'https://c.com']) {
+      mockAgent
+        .get(origin)
+        .intercept({path: '/'})
+        .reply(function () {
+          active++
+          max = Math.max(max, active)
+          setTimeout(function () {
+            active--
+          }, 10)
+          return {statusCode: 200, data: 'ok'}
+        })
+        .delay(20)
+    }
+
+    const results = await deadOrAliveMany(
+      ['https://a.com', 'https://b.com', 'https://c.com'],
+      {maxConcurrency: 1, maxRetries: 0}
+    )
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(max, 1)
+    assert.equal(results.size, 3)
+  })
+
+  await t.test(
+    'should load a resource again if another check was cancelled',
+    async function () {
+      const globalDispatcher = getGlobalDispatcher()
+      const mockAgent = new MockAgent()
+      mockAgent.enableNetConnect(/(?=a)b/)
+      setGlobalDispatcher(mockAgent)
+      const a = mockAgent.get('https://a.com')
+      a.intercept({path: '/'})
+        .reply(200, '<h1 id=a>a</h1><h1 id=b>b</h1>', {
+          headers: {'Content-Type': 'text/html'}
+        })
+        .delay(500)
+      a.intercept({path: '/'}).reply(200, '<h1 id=a>a</h1><h1 id=b>b</h1>', {
+        headers: {'Content-Type': 'text/html'}
+      })
+      mockAgent
+        .get('https://b.com')
+        .intercept({path: '/'})
+        .reply(200, 'ok')
+        .delay(20)
+
+      const results = await deadOrAliveMany(
+        ['https://a.com/#a', 'https://b.com/', 'https://a.com/#b'],
+        {
+          deadline: 200,
+          maxConcurrency: 2,
+          maxRetries: 0,
+          signal: new AbortController().signal
+        }
+      )
+
+      await mockAgent.close()
+      await setGlobalDispatcher(globalDispatcher)
+
+      const first = results.get('https://a.com/#a')
+      const second = results.get('https://a.com/#b')
+      assert.equal(first?.status, 'unknown')
+      assert.equal(first?.messages[0].ruleId, 'deadline')
+      assert.equal(results.get('https://b.com/')?.status, 'alive')
+      assert.equal(second?.status, 'alive')
+    }
+  )
+})
+
+test('crawl', async function (t) {
+  await t.test('should work', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    mockSite(mockAgent)
+
+    const result = await crawl(new URL('https://example.com/docs/'))
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.deepEqual(
+      [...result.pages],
+      [
+        'https://example.com/docs/',
+        'https://example.com/docs/a',
+        'https://example.com/docs/b'
+      ]
+    )
+    assert.deepEqual(
+      [...result.links].map(function ([href, link]) {
+        return [href, link.result.status, [...link.referrers]]
+      }),
+      [
+        ['https://example.com/docs/', 'alive', []],
+        [
+          'https://example.com/docs/a',
+          'alive',
+          ['https://example.com/docs/', 'https://example.com/docs/b']
+        ],
+        [
+          'https://example.com/docs/b#x',
+          'alive',
+          ['https://example.com/docs/']
+        ],
+        [
+          'https://example.com/docs/missing',
+          'dead',
+          ['https://example.com/docs/a']
+        ],
+        ['https://example.com/', 'alive', ['https://example.com/docs/']],
+        ['https://example.org/', 'alive', ['https://example.com/docs/']],
+        ['https://example.com/docs/b#y', 'dead', ['https://example.com/docs/a']]
+      ]
+    )
+    assert.deepEqual(
+      [...result.dead.keys()],
+      ['https://example.com/docs/missing', 'https://example.com/docs/b#y']
+    )
+    assert.equal(
+      result.dead.get('https://example.com/docs/b#y')?.result.messages[0]
+        .ruleId,
+      'missing-anchor'
+    )
+    assert.equal(result.unknown.size, 0)
+  })
+
+  await t.test('should report `unknown` links', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('https://example.com')
+    interceptable
+      .intercept({path: '/'})
+      .reply(200, '<a href=a>a</a><a href=b>b</a>', {
+        headers: {'Content-type': 'text/html'}
+      })
+    interceptable.intercept({path: '/a'}).reply(503)
+    interceptable.intercept({path: '/b'}).reply(404)
+
+    const result = await crawl('https://example.com/', {maxRetries: 0})
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.deepEqual([...result.dead.keys()], ['https://example.com/b'])
+    assert.deepEqual([...result.unknown.keys()], ['https://example.com/a'])
+  })
+
+  await t.test('should support `maxDepth`', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    mockSite(mockAgent)
+
+    const result = await crawl('https://example.com/docs/', {
+      maxDepth: 0,
+      maxRetries: 0
+    })
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.deepEqual([...result.pages], ['https://example.com/docs/'])
+    assert.deepEqual(
+      [...result.links.keys()],
+      [
+        'https://example.com/docs/',
+        'https://example.com/docs/a',
+        'https://example.com/docs/b#x',
+        'https://example.com/',
+        'https://example.org/'
+      ]
+    )
+    assert.equal(result.dead.size, 0)
+  })
+
+  await t.test('should support `maxPages`', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    mockSite(mockAgent)
+
+    const result = await crawl('https://example.com/docs/', {
+      maxPages: 2,
+      maxRetries: 0
+    })
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.deepEqual(
+      [...result.pages],
+      ['https://example.com/docs/', 'https://example.com/docs/a']
+    )
+    assert.deepEqual(
+      [...result.dead.keys()],
+      ['https://example.com/docs/missing', 'https://example.com/docs/b#y']
+    )
+  })
+
+  await t.test('should support `scope`', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    mockSite(mockAgent)
+
+    const result = await crawl('https://example.com/docs/', {
+      maxRetries: 0,
+      scope: /\/docs\/(b)?$/
+    })
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.deepEqual([...result.pages], ['https://example.com/docs/'])
+    assert.equal(result.dead.size, 0)
+  })
+
+  await t.test(
+    'should not crawl pages redirecting out of scope',
+    async function () {
+      const globalDispatcher = getGlobalDispatcher()
+      const mockAgent = new MockAgent()
+      mockAgent.enableNetConnect(/(?=a)b/)
+      setGlobalDispatcher(mockAgent)
+      const interceptable = mockAgent.get('https://example.com')
+      interceptable
+        .intercept({path: '/docs/'})
+        .reply(301, '', {headers: {Location: '/elsewhere/'}})
+      interceptable
+        .intercept({path: '/elsewhere/'})
+        .reply(200, '<a href=/missing>a</a>', {
+          headers: {'Content-type': 'text/html'}
+        })
+
+      const result = await crawl('https://example.com/docs/', {maxRetries: 0})
+
+      await mockAgent.close()
+      await setGlobalDispatcher(globalDispatcher)
+
+      assert.deepEqual([...result.pages], [])
+      assert.deepEqual([...result.links.keys()], ['https://example.com/docs/'])
+    }
+  )
+})
+
+test('cache', async function (t) {
+  await t.test('should use fresh stored responses', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('https://example.com')
+    // Only one reply each: a second request would fail.
+    interceptable
+      .intercept({path: '/'})
+      .reply(301, '', {headers: {Location: '/to'}})
+    interceptable
+      .intercept({path: '/to'})
+      .reply(200, '<h1 id=a>a</h1><a href=b>b</a>', {
+        headers: {'Content-type': 'text/html', etag: '"x"'}
+      })
+    const cache = createCache()
+
+    const first = await deadOrAlive('https://example.com', {
+      cache,
+      maxRetries: 0
+    })
+    const second = await deadOrAlive('https://example.com', {
+      cache,
+      maxRetries: 0
+    })
+    const third = await deadOrAlive('https://example.com/to#a', {
+      cache,
+      maxRetries: 0
+    })
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(first.status, 'alive')
+    assert.equal(first.url, 'https://example.com/to')
+    assert.equal(second.status, 'alive')
+    assert.equal(second.url, 'https://example.com/to')
+    assert.equal(second.permanent, true)
+    assert.equal(third.status, 'alive')
+    assert.equal(third.url, 'https://example.com/to#a')
+    assert.deepEqual(third.urls, new Set(['https://example.com/b']))
+    assert.deepEqual(
+      [...cache.map.keys()],
+      ['https://example.com/', 'https://example.com/to']
+    )
+    const entry = cache.map.get('https://example.com/to')
+    assert.equal(entry?.body, '<h1 id=a>a</h1><a href=b>b</a>')
+    assert.equal(entry?.headers.etag, '"x"')
+    assert.equal(entry?.status, 200)
+    assert.equal(entry?.url, 'https://example.com/to')
+  })
+
+  await t.test(
+    'should revalidate stale responses w/ `If-None-Match`',
+    async function () {
+      const globalDispatcher = getGlobalDispatcher()
+      const mockAgent = new MockAgent()
+      mockAgent.enableNetConnect(/(?=a)b/)
+      setGlobalDispatcher(mockAgent)
+      const interceptable = mockAgent.get('https://example.com')
+      interceptable.intercept({path: '/'}).reply(200, '<h1 id=a>a</h1>', {
+        headers: {'Content-type': 'text/html', etag: '"x"'}
+      })
+      interceptable
+        .intercept({headers: {'if-none-match': '"x"'}, path: '/'})
+        .reply(304)
+      const cache = createCache()
+
+      await deadOrAlive('https://example.com', {cache, maxRetries: 0})
+      const time = cache.map.get('https://example.com/')?.time
+      await new Promise(function (resolve) {
+        setTimeout(resolve, 2)
+      })
+      const result = await deadOrAlive('https://example.com/#a', {
+        cache,
+        cacheTtl: 0,
+        maxRetries: 0
+      })
+
+      await mockAgent.close()
+      await setGlobalDispatcher(globalDispatcher)
+
+      assert.equal(result.status, 'alive')
+      assert.equal(result.url, 'https://example.com/#a')
+      const entry = cache.map.get('https://example.com/')
+      assert.ok(entry)
+      assert.ok(time)
+      assert.ok(entry.time > time)
+      assert.equal(entry.body, '<h1 id=a>a</h1>')
+    }
+  )
+
+  await t.test(
+    'should revalidate stale responses w/ `If-Modified-Since`',
+    async function () {
+      const globalDispatcher = getGlobalDispatcher()
+      const mockAgent = new MockAgent()
+      mockAgent.enableNetConnect(/(?=a)b/)
+      setGlobalDispatcher(mockAgent)
+      const interceptable = mockAgent.get('https://example.com')
+      const date = 'Wed, 21 Oct 2015 07:28:00 GMT'
+      interceptable
+        .intercept({path: '/'})
+        .reply(200, 'ok', {headers: {'last-modified': date}})
+      interceptable
+        .intercept({headers: {'if-modified-since': date}, path: '/'})
+        .reply(200, 'changed', {headers: {'Content-type': 'text/plain'}})
+      const cache = createCache()
+
+      await deadOrAlive('https://example.com', {cache, maxRetries: 0})
+      const result = await deadOrAlive('https://example.com', {
+        cache,
+        cacheTtl: 0,
+        maxRetries: 0
+      })
+
+      await mockAgent.close()
+      await setGlobalDispatcher(globalDispatcher)
+
+      assert.equal(result.status, 'alive')
+      const entry = cache.map.get('https://example.com/')
+      assert.equal(entry?.headers['content-type'], 'text/plain')
+      assert.equal(entry?.body, undefined)
+    }
+  )
+
+  await t.test(
+    'should replace stale responses that changed',
+    async function () {
+      const globalDispatcher = getGlobalDispatcher()
+      const mockAgent = new MockAgent()
+      mockAgent.enableNetConnect(/(?=a)b/)
+      setGlobalDispatcher(mockAgent)
+      const interceptable = mockAgent.get('https://example.com')
+      interceptable
+        .intercept({path: '/'})
+        .reply(200, 'ok', {headers: {etag: '"x"'}})
+      interceptable
+        .intercept({headers: {'if-none-match': '"x"'}, path: '/'})
+        .reply(404)
+      const cache = createCache()
+
+      const first = await deadOrAlive('https://example.com', {
+        cache,
+        maxRetries: 0
+      })
+      const second = await deadOrAlive('https://example.com', {
+        cache,
+        cacheTtl: 0,
+        maxRetries: 1,
+        sleep: shortSleep
+      })
+
+      await mockAgent.close()
+      await setGlobalDispatcher(globalDispatcher)
+
+      assert.equal(first.status, 'alive')
+      assert.equal(second.status, 'dead')
+      assert.equal(cache.map.get('https://example.com/')?.status, 404)
+    }
+  )
+
+  await t.test('should not store server errors', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('https://example.com')
+    interceptable.intercept({path: '/a'}).reply(503)
+    interceptable.intercept({path: '/b'}).reply(404)
+    const cache = createCache()
+
+    const a = await deadOrAlive('https://example.com/a', {
+      cache,
+      maxRetries: 0
+    })
+    const b = await deadOrAlive('https://example.com/b', {
+      cache,
+      maxRetries: 0
+    })
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(a.status, 'unknown')
+    assert.equal(b.status, 'dead')
+    assert.deepEqual([...cache.map.keys()], ['https://example.com/b'])
+  })
+
+  await t.test('should support `cache: true`', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('https://memory.example.com')
+    // Only one reply each: a second request would fail.
+    interceptable
+      .intercept({path: '/a'})
+      .reply(301, '', {headers: {location: '/b'}})
+    interceptable.intercept({path: '/b'}).reply(200, 'b')
+
+    // `/b` is requested once for both URLs in this call.
+    const results = await deadOrAliveMany(
+      ['https://memory.example.com/b', 'https://memory.example.com/a'],
+      {cache: true, maxConcurrency: 1, maxRetries: 0}
+    )
+    // Also stored for other calls.
+    const result = await deadOrAlive('https://memory.example.com/b', {
+      cache: true,
+      maxRetries: 0
+    })
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    for (const result of results.values()) {
+      assert.equal(result.status, 'alive')
+    }
+
+    assert.equal(result.status, 'alive')
+  })
+
+  await t.test(
+    'should not store responses to `auth` or `headers`',
+    async function () {
+      const globalDispatcher = getGlobalDispatcher()
+      const mockAgent = new MockAgent()
+      mockAgent.enableNetConnect(/(?=a)b/)
+      setGlobalDispatcher(mockAgent)
+      const interceptable = mockAgent.get('https://example.com')
+      interceptable
+        .intercept({
+          headers: {authorization: 'Basic dTpw'},
+          path: '/private'
+        })
+        .reply(200, 'ok')
+      interceptable.intercept({path: '/private'}).reply(401, 'no')
+      interceptable
+        .intercept({headers: {'x-token': 'a'}, path: '/token'})
+        .reply(200, 'ok')
+      const cache = createCache()
+
+      const authenticated = await deadOrAlive('https://example.com/private', {
+        auth: [[/^https:\/\/example\.com\/private$/, 'u', 'p']],
+        cache,
+        maxRetries: 0
+      })
+      const withHeaders = await deadOrAlive('https://example.com/token', {
+        cache,
+        headers: [[/^https:\/\/example\.com\/token$/, {'x-token': 'a'}]],
+        maxRetries: 0
+      })
+      const anonymous = await deadOrAlive('https://example.com/private', {
+        cache,
+        maxRetries: 0
+      })
+
+      await mockAgent.close()
+      await setGlobalDispatcher(globalDispatcher)
+
+      assert.equal(authenticated.status, 'alive')
+      assert.equal(withHeaders.status, 'alive')
+      assert.equal(anonymous.status, 'dead')
+      assert.equal(anonymous.statusCode, 401)
+      assert.deepEqual([...cache.map.keys()], ['https://example.com/private'])
+      assert.equal(cache.map.get('https://example.com/private')?.status, 401)
+    }
+  )
+
+  await t.test('should not store truncated HTML', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('https://example.com')
+    interceptable
+      .intercept({path: '/'})
+      .reply(200, '<h1 id=a>a</h1>' + 'x'.repeat(64), {
+        headers: {'Content-Type': 'text/html'}
+      })
+    const cache = createCache()
+
+    const result = await deadOrAlive('https://example.com/#a', {
+      cache,
+      maxBytes: 32
+    })
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(result.status, 'alive')
+    assert.equal(cache.map.size, 0)
+  })
+})
+
+test('method', async function (t) {
+  await t.test('should use `HEAD` for non-HTML', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('https://example.com')
+    // Only `HEAD`: a `GET` would fail.
+    interceptable
+      .intercept({method: 'HEAD', path: '/a.zip'})
+      .reply(200, '', {headers: {'Content-Type': 'application/zip'}})
+
+    const result = await deadOrAlive('https://example.com/a.zip', {
+      maxRetries: 0,
+      method: 'auto'
+    })
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(result.status, 'alive')
+    assert.deepEqual(result.messages, [])
+  })
+
+  await t.test('should follow redirects with `HEAD`', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('https://example.com')
+    interceptable
+      .intercept({method: 'HEAD', path: '/latest.zip'})
+      .reply(302, '', {headers: {Location: '/a.zip'}})
+    interceptable
+      .intercept({method: 'HEAD', path: '/a.zip'})
+      .reply(200, '', {headers: {'Content-Type': 'application/zip'}})
+
+    const result = await deadOrAlive('https://example.com/latest.zip', {
+      maxRetries: 0,
+      method: 'auto'
+    })
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(result.status, 'alive')
+    assert.equal(result.url, 'https://example.com/a.zip')
+  })
+
+  await t.test('should use `GET` for inspected HTML', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('https://example.com')
+    interceptable
+      .intercept({method: 'HEAD', path: '/'})
+      .reply(200, '', {headers: {'Content-Type': 'text/html'}})
+    interceptable
+      .intercept({method: 'GET', path: '/'})
+      .reply(200, '<a href=b>b</a>', {headers: {'Content-Type': 'text/html'}})
+
+    const result = await deadOrAlive('https://example.com', {
+      maxRetries: 0,
+      method: 'auto'
+    })
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(result.status, 'alive')
+    assert.deepEqual([...(result.urls || [])], ['https://example.com/b'])
+  })
+
+  await t.test('should use `HEAD` for not inspected HTML', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('https://example.com')
+    interceptable
+      .intercept({method: 'HEAD', path: '/'})
+      .reply(200, '', {headers: {'Content-Type': 'text/html'}})
+
+    const result = await deadOrAlive('https://example.com', {
+      findUrls: false,
+      followMetaHttpEquiv: false,
+      maxRetries: 0,
+      method: 'auto'
+    })
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(result.status, 'alive')
+    assert.equal(result.urls, undefined)
+  })
+
+  await t.test('should use `GET` after `405` on `HEAD`', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('https://example.com')
+    interceptable.intercept({method: 'HEAD', path: '/a.zip'}).reply(405)
+    interceptable
+      .intercept({method: 'GET', path: '/a.zip'})
+      .reply(200, 'zip', {headers: {'Content-Type': 'application/zip'}})
+
+    const result = await deadOrAlive('https://example.com/a.zip', {
+      method: 'auto',
+      sleep: shortSleep
+    })
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(result.status, 'alive')
+  })
+
+  await t.test('should use `GET` after `501` on `HEAD`', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('https://example.com')
+    // Only one `HEAD`: it is not tried again.
+    interceptable.intercept({method: 'HEAD', path: '/a.zip'}).reply(501)
+    interceptable
+      .intercept({method: 'GET', path: '/a.zip'})
+      .reply(200, 'zip', {headers: {'Content-Type': 'application/zip'}})
+
+    const result = await deadOrAlive('https://example.com/a.zip', {
+      method: 'auto',
+      sleep: shortSleep
+    })
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(result.status, 'alive')
+  })
+
+  await t.test('should use `GET` after an error on `HEAD`', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('https://example.com')
+    interceptable
+      .intercept({method: 'HEAD', path: '/a.zip'})
+      .replyWithError(new Error('Connection reset'))
+    interceptable
+      .intercept({method: 'GET', path: '/a.zip'})
+      .reply(200, 'zip', {headers: {'Content-Type': 'application/zip'}})
+
+    const result = await deadOrAlive('https://example.com/a.zip', {
+      method: 'auto',
+      sleep: shortSleep
+    })
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(result.status, 'alive')
+  })
+
+  await t.test(
+    'should use `GET` for HTML requested with `HEAD` by another check',
+    async function () {
+      const globalDispatcher = getGlobalDispatcher()
+      const mockAgent = new MockAgent()
+      mockAgent.enableNetConnect(/(?=a)b/)
+      setGlobalDispatcher(mockAgent)
+      const interceptable = mockAgent.get('https://example.com')
+      interceptable
+        .intercept({method: 'HEAD', path: '/'})
+        .reply(200, '', {headers: {'Content-Type': 'text/html'}})
+        .times(2)
+      interceptable
+        .intercept({method: 'GET', path: '/'})
+        .reply(200, '<h1 id=a>a</h1>', {headers: {'Content-Type': 'text/html'}})
+
+      const results = await deadOrAliveMany(
+        ['https://example.com/', 'https://example.com/#a'],
+        {
+          findUrls: false,
+          followMetaHttpEquiv: false,
+          maxConcurrency: 1,
+          maxRetries: 0,
+          method: 'auto'
+        }
+      )
+
+      await mockAgent.close()
+      await setGlobalDispatcher(globalDispatcher)
+
+      assert.equal(results.get('https://example.com/')?.status, 'alive')
+      const result = results.get('https://example.com/#a')
+      assert.equal(result?.status, 'alive')
+      assert.deepEqual(result?.messages, [])
+    }
+  )
+
+  await t.test('should store responses to `HEAD`', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('https://example.com')
+    interceptable.intercept({method: 'HEAD', path: '/a.zip'}).reply(200, '', {
+      headers: {'Content-Type': 'application/zip', etag: '"x"'}
+    })
+    interceptable
+      .intercept({
+        headers: {'if-none-match': '"x"'},
+        method: 'HEAD',
+        path: '/a.zip'
+      })
+      .reply(304)
+    interceptable
+      .intercept({method: 'HEAD', path: '/'})
+      .reply(200, '', {headers: {'Content-Type': 'text/html'}})
+    const cache = createCache()
+    const options = {
+      cache,
+      cacheTtl: 0,
+      findUrls: false,
+      followMetaHttpEquiv: false,
+      maxRetries: 0,
+      method: /** @type {const} */ ('auto')
+    }
+
+    const first = await deadOrAlive('https://example.com/a.zip', options)
+    const second = await deadOrAlive('https://example.com/a.zip', options)
+    const third = await deadOrAlive('https://example.com/', options)
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(first.status, 'alive')
+    assert.equal(second.status, 'alive')
+    assert.equal(third.status, 'alive')
+    // HTML without body is not stored.
+    assert.deepEqual([...cache.map.keys()], ['https://example.com/a.zip'])
+  })
+})
+
+test('robots', async function (t) {
+  await t.test('should not request disallowed URLs', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('https://example.com')
+    // Only one reply each: `robots.txt` is requested once.
+    interceptable
+      .intercept({path: '/robots.txt'})
+      .reply(200, 'User-agent: *\nDisallow: /private/\n')
+    interceptable.intercept({path: '/public/'}).reply(200, 'ok')
+
+    const results = await deadOrAliveMany(
+      ['https://example.com/private/a', 'https://example.com/public/'],
+      {maxRetries: 0, robots: true}
+    )
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    const result = results.get('https://example.com/private/a')
+    assert.equal(result?.status, 'dead')
+    assert.equal(result?.messages.length, 1)
+    const message = result?.messages[0]
+    assert.equal(
+      message?.reason,
+      'Unexpected URL `https://example.com/private/a` disallowed by `robots.txt`, not checking it'
+    )
+    assert.equal(message?.ruleId, 'disallowed-by-robots')
+    assert.equal(message?.source, 'dead-or-alive')
+    assert.equal(message?.fatal, true)
+    assert.equal(results.get('https://example.com/public/')?.status, 'alive')
+  })
+
+  await t.test('should use the group for `userAgent`', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('https://example.com')
+    interceptable
+      .intercept({path: '/robots.txt'})
+      .reply(
+        200,
+        'User-agent: *\nAllow: /\n\nUser-agent: checker\nDisallow: /\n'
+      )
+
+    const result = await deadOrAlive('https://example.com/', {
+      maxRetries: 0,
+      robots: true,
+      userAgent: 'Checker/1.0'
+    })
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(result.status, 'dead')
+    assert.equal(result.messages[0].ruleId, 'disallowed-by-robots')
+  })
+
+  await t.test('should follow redirects to `robots.txt`', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('https://example.com')
+    interceptable
+      .intercept({path: '/robots.txt'})
+      .reply(301, '', {headers: {Location: '/static/robots.txt'}})
+    interceptable
+      .intercept({path: '/static/robots.txt'})
+      .reply(200, 'User-agent: *\nDisallow: /\n')
+
+    const result = await deadOrAlive('https://example.com/', {
+      maxRetries: 0,
+      robots: true
+    })
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(result.status, 'dead')
+    assert.equal(result.messages[0].ruleId, 'disallowed-by-robots')
+  })
+
+  await t.test('should allow everything w/o `robots.txt`', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('https://example.com')
+    interceptable.intercept({path: '/robots.txt'}).reply(404)
+    interceptable.intercept({path: '/'}).reply(200, 'ok')
+
+    const result = await deadOrAlive('https://example.com/', {
+      maxRetries: 0,
+      robots: true
+    })
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(result.status, 'alive')
+  })
+
+  await t.test(
+    'should allow everything w/ an unreachable `robots.txt`',
+    async function () {
+      const globalDispatcher = getGlobalDispatcher()
+      const mockAgent = new MockAgent()
+      mockAgent.enableNetConnect(/(?=a)b/)
+      setGlobalDispatcher(mockAgent)
+      const a = mockAgent.get('https://a.com')
+      a.intercept({path: '/robots.txt'}).reply(503)
+      a.intercept({path: '/'}).reply(503)
+      /** @type {Error & {code?: string}} */
+      const cause = new Error('connect ECONNREFUSED')
+      cause.code = 'ECONNREFUSED'
+      const b = mockAgent.get('https://b.com')
+      b.intercept({path: '/robots.txt'}).replyWithError(cause)
+      b.intercept({path: '/'}).replyWithError(cause)
+      const c = mockAgent.get('https://c.com')
+      c.intercept({path: '/robots.txt'}).reply(500)
+      c.intercept({path: '/'}).reply(200, 'ok')
+
+      const results = await deadOrAliveMany(
+        ['https://a.com/', 'https://b.com/', 'https://c.com/'],
+        {maxRetries: 0, robots: true}
+      )
+
+      await mockAgent.close()
+      await setGlobalDispatcher(globalDispatcher)
+
+      const unavailable = results.get('https://a.com/')
+      const unreachable = results.get('https://b.com/')
+      assert.equal(unavailable?.status, 'unknown')
+      assert.equal(unavailable?.statusCode, 503)
+      assert.equal(unreachable?.status, 'unknown')
+      assert.equal(unreachable?.messages[0].ruleId, 'connection')
+      assert.equal(results.get('https://c.com/')?.status, 'alive')
+
+      for (const result of results.values()) {
+        for (const message of result.messages) {
+          assert.notEqual(message.ruleId, 'disallowed-by-robots')
+        }
+      }
+    }
+  )
+
+  await t.test('should support `Crawl-delay`', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('https://example.com')
+    interceptable
+      .intercept({path: '/robots.txt'})
+      .reply(200, 'User-agent: *\nCrawl-delay: 0.1\n')
+    interceptable.intercept({path: '/a'}).reply(200, 'ok')
+    interceptable.intercept({path: '/b'}).reply(200, 'ok')
+    const start = Date.now()
+
+    const results = await deadOrAliveMany(
+      ['https://example.com/a', 'https://example.com/b'],
+      {maxRetries: 0, robots: true}
+    )
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.ok(Date.now() - start >= 100)
+
+    for (const result of results.values()) {
+      assert.equal(result.status, 'alive')
+    }
+  })
+
+  await t.test('should support aborting', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    mockAgent
+      .get('https://example.com')
+      .intercept({path: '/robots.txt'})
+      .reply(200, '')
+      .delay(1000)
+
+    const result = await deadOrAlive('https://example.com/', {
+      deadline: 20,
+      robots: true
+    })
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(result.status, 'unknown')
+    assert.equal(result.messages[0].ruleId, 'deadline')
+  })
+})
+
+test('headers', async function (t) {
+  await t.test('should support `headers`', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    mockAgent
+      .get('https://docs.example.com')
+      .intercept({
+        headers: {accept: 'application/json', authorization: 'Bearer b'},
+        path: '/'
+      })
+      .reply(200, 'ok')
+
+    const result = await deadOrAlive('https://docs.example.com', {
+      headers: [
+        [/^https:\/\/docs\.example\.com\//, {Authorization: 'Bearer a'}],
+        [/^https:\/\/example\.org\//, {Authorization: 'Bearer c'}],
+        [/\/$/, {Accept: 'application/json', Authorization: 'Bearer b'}]
+      ],
+      maxRetries: 0
+    })
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(result.status, 'alive')
+  })
+
+  await t.test('should support `auth`', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    mockAgent
+      .get('https://docs.example.com')
+      .intercept({
+        headers: {authorization: 'Basic YWxwaGE6YnJhdm8='},
+        path: '/'
+      })
+      .reply(200, 'ok')
+
+    const result = await deadOrAlive('https://docs.example.com', {
+      auth: [
+        [/^https:\/\/example\.org\//, 'charlie', 'delta'],
+        [/^https:\/\/docs\.example\.com\//, 'alpha', 'bravo'],
+        [/./, 'echo', 'foxtrot']
+      ],
+      maxRetries: 0
+    })
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(result.status, 'alive')
+  })
+
+  await t.test(
+    'should not send headers along with redirects to other URLs',
+    async function () {
+      const globalDispatcher = getGlobalDispatcher()
+      const mockAgent = new MockAgent()
+      mockAgent.enableNetConnect(/(?=a)b/)
+      setGlobalDispatcher(mockAgent)
+      /** @type {Array<unknown>} */
+      const seen = []
+      mockAgent
+        .get('https://docs.example.com')
+        .intercept({
+          headers: {authorization: 'Basic YWxwaGE6YnJhdm8=', cookie: 'a=b'},
+          path: '/'
+        })
+        .reply(302, '', {headers: {Location: 'https://example.org/'}})
+      mockAgent
+        .get('https://example.org')
+        .intercept({path: '/'})
+        .reply(function (options) {
+          const headers = new Headers(
+            /** @type {Record<string, string>} */ (options.headers)
+          )
+          seen.push(headers.get('authorization'), headers.get('cookie'))
+          return {statusCode: 200, data: 'ok'}
+        })
+
+      const result = await deadOrAlive('https://docs.example.com', {
+        auth: [[/^https:\/\/docs\.example\.com\//, 'alpha', 'bravo']],
+        headers: [[/^https:\/\/docs\.example\.com\//, {Cookie: 'a=b'}]],
+        maxRetries: 0
+      })
+
+      await mockAgent.close()
+      await setGlobalDispatcher(globalDispatcher)
+
+      assert.equal(result.status, 'alive')
+      assert.deepEqual(seen, [null, null])
+    }
+  )
+
+  await t.test(
+    'should not send headers after redirects to other origins',
+    async function () {
+      const globalDispatcher = getGlobalDispatcher()
+      const mockAgent = new MockAgent()
+      mockAgent.enableNetConnect(/(?=a)b/)
+      setGlobalDispatcher(mockAgent)
+      /** @type {Array<unknown>} */
+      const seen = []
+      mockAgent
+        .get('https://docs.example.com')
+        .intercept({
+          headers: {authorization: 'Basic YWxwaGE6YnJhdm8=', cookie: 'a=b'},
+          path: '/'
+        })
+        .reply(302, '', {
+          headers: {Location: 'https://example.org/docs.example.com'}
+        })
+      mockAgent
+        .get('https://example.org')
+        .intercept({path: '/docs.example.com'})
+        .reply(function (options) {
+          const headers = new Headers(
+            /** @type {Record<string, string>} */ (options.headers)
+          )
+          seen.push(headers.get('authorization'), headers.get('cookie'))
+          return {statusCode: 200, data: 'ok'}
+        })
+
+      const result = await deadOrAlive('https://docs.example.com', {
+        auth: [[/docs\.example\.com/, 'alpha', 'bravo']],
+        headers: [[/docs\.example\.com/, {Cookie: 'a=b'}]],
+        maxRetries: 0,
+        robots: false
+      })
+
+      await mockAgent.close()
+      await setGlobalDispatcher(globalDispatcher)
+
+      assert.equal(result.status, 'alive')
+      assert.deepEqual(seen, [null, null])
+    }
+  )
+})
+
+test('soft404', async function (t) {
+  await t.test('should detect missing pages by title', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('https://example.com')
+    /** @type {Array<string>} */
+    const probes = []
+    interceptable
+      .intercept({path: '/a'})
+      .reply(200, '<title>Page not found - Example</title><h1>Oops</h1>', {
+        headers: {'Content-Type': 'text/html'}
+      })
+    interceptable
+      .intercept({path: /^\/dead-or-alive-/})
+      .reply(function (options) {
+        probes.push(options.path)
+        return {
+          data: '<title>Example</title><h1>404</h1><p>Try the search.</p>',
+          responseOptions: {headers: {'Content-Type': 'text/html'}},
+          statusCode: 200
+        }
+      })
+
+    const result = await deadOrAlive('https://example.com/a', {
+      maxRetries: 0,
+      soft404: true
+    })
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(result.status, 'dead')
+    assert.equal(result.messages.length, 1)
+    const message = result.messages[0]
+    assert.equal(
+      message.reason,
+      'Unexpected missing page at `https://example.com/a` responding with `200`, as its title or heading `Page not found - Example` looks like an error, like that of the missing page `https://example.com' +
+        probes[0] +
+        '`'
+    )
+    assert.equal(message.ruleId, 'soft-404')
+    assert.equal(message.source, 'dead-or-alive')
+    assert.equal(message.fatal, true)
+  })
+
+  await t.test(
+    'should not detect pages about errors on sites with real missing pages',
+    async function () {
+      const globalDispatcher = getGlobalDispatcher()
+      const mockAgent = new MockAgent()
+      mockAgent.enableNetConnect(/(?=a)b/)
+      setGlobalDispatcher(mockAgent)
+      const interceptable = mockAgent.get('https://example.com')
+      interceptable
+        .intercept({path: '/docs/Web/HTTP/Status/404'})
+        .reply(
+          200,
+          '<title>404 Not Found - HTTP | MDN</title><h1>404 Not Found</h1><p>The HTTP <code>404 Not Found</code> client error response status code indicates that the server cannot find the requested resource.</p>',
+          {headers: {'Content-Type': 'text/html'}}
+        )
+      interceptable
+        .intercept({path: /^\/docs\/Web\/HTTP\/Status\/dead-or-alive-/})
+        .reply(404, '<title>Page not found | MDN</title>', {
+          headers: {'Content-Type': 'text/html'}
+        })
+
+      const result = await deadOrAlive(
+        'https://example.com/docs/Web/HTTP/Status/404',
+        {maxRetries: 0, soft404: true}
+      )
+
+      await mockAgent.close()
+      await setGlobalDispatcher(globalDispatcher)
+
+      assert.equal(result.status, 'alive')
+      assert.equal(result.messages.length, 0)
+    }
+  )
+
+  await t.test('should not detect missing pages by default', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    mockAgent
+      .get('https://example.com')
+      .intercept({path: '/a'})
+      .reply(200, '<title>Page not found</title>', {
+        headers: {'Content-Type': 'text/html'}
+      })
+
+    const result = await deadOrAlive('https://example.com/a', {maxRetries: 0})
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(result.status, 'alive')
+  })
+
+  await t.test(
+    'should detect missing pages that look like a random missing page',
+    async function () {
+      const globalDispatcher = getGlobalDispatcher()
+      const mockAgent = new MockAgent()
+      mockAgent.enableNetConnect(/(?=a)b/)
+      setGlobalDispatcher(mockAgent)
+      const interceptable = mockAgent.get('https://example.com')
+      /** @type {Array<string>} */
+      const probes = []
+
+      for (const name of ['a', 'b']) {
+        interceptable
+          .intercept({path: '/docs/' + name})
+          .reply(200, missing('/docs/' + name), {
+            headers: {'Content-Type': 'text/html'}
+          })
+      }
+
+      // Only one reply: the random page is requested once per folder.
+      interceptable
+        .intercept({path: /^\/docs\/dead-or-alive-/})
+        .reply(function (options) {
+          probes.push(options.path)
+          return {
+            data: missing(options.path),
+            responseOptions: {headers: {'Content-Type': 'text/html'}},
+            statusCode: 200
+          }
+        })
+
+      const results = await deadOrAliveMany(
+        ['https://example.com/docs/a', 'https://example.com/docs/b'],
+        {maxRetries: 0, soft404: true}
+      )
+
+      await mockAgent.close()
+      await setGlobalDispatcher(globalDispatcher)
+
+      assert.equal(probes.length, 1)
+
+      for (const [href, result] of results) {
+        assert.equal(result.status, 'dead')
+        assert.equal(result.messages[0].ruleId, 'soft-404')
+        assert.equal(
+          result.messages[0].reason,
+          'Unexpected missing page at `' +
+            href +
+            '` responding with `200`, as it looks the same as the missing page `https://example.com' +
+            probes[0] +
+            '`'
+        )
+      }
+
+      /**
+       * @param {string} path
+       * @returns {string}
+       */
+      function missing(path) {
+        return (
+          '<title>Example</title><script>console.log(1)</script><p>Sorry, <code>' +
+          path +
+          '</code> does not exist.</p>'
+        )
+      }
+    }
+  )
+
+  await t.test(
+    'should not detect pages that differ from a random missing page',
+    async function () {
+      const globalDispatcher = getGlobalDispatcher()
+      const mockAgent = new MockAgent()
+      mockAgent.enableNetConnect(/(?=a)b/)
+      setGlobalDispatcher(mockAgent)
+      const interceptable = mockAgent.get('https://example.com')
+      const html = {headers: {'Content-Type': 'text/html'}}
+      interceptable
+        .intercept({path: '/robots.txt'})
+        .reply(200, 'User-agent: *\nAllow: /\n')
+      interceptable.intercept({path: '/a/'}).reply(200, '<p>Alpha', html)
+      interceptable
+        .intercept({path: /^\/a\/dead-or-alive-/})
+        .reply(200, '<p>Nothing here', html)
+      interceptable.intercept({path: '/b/'}).reply(200, '<p>Bravo', html)
+      interceptable.intercept({path: /^\/b\/dead-or-alive-/}).reply(404)
+      interceptable.intercept({path: '/c/'}).reply(200, '<p>Charlie', html)
+      interceptable
+        .intercept({path: /^\/c\/dead-or-alive-/})
+        .replyWithError(Object.assign(new Error('Oops'), {code: 'ECONNRESET'}))
+      interceptable.intercept({path: '/d/'}).reply(200, '<p>Delta', html)
+      interceptable
+        .intercept({path: /^\/d\/dead-or-alive-/})
+        .reply(200, 'Nothing here')
+
+      const results = await deadOrAliveMany(
+        [
+          'https://example.com/a/',
+          'https://example.com/b/',
+          'https://example.com/c/',
+          'https://example.com/d/'
+        ],
+        {maxRetries: 0, robots: true, soft404: true}
+      )
+
+      await mockAgent.close()
+      await setGlobalDispatcher(globalDispatcher)
+
+      for (const result of results.values()) {
+        assert.equal(result.status, 'alive')
+        assert.equal(result.messages.length, 0)
+      }
+    }
+  )
+
+  await t.test(
+    'should stop requesting a random missing page when cancelled',
+    async function () {
+      const globalDispatcher = getGlobalDispatcher()
+      const mockAgent = new MockAgent()
+      mockAgent.enableNetConnect(/(?=a)b/)
+      setGlobalDispatcher(mockAgent)
+      const interceptable = mockAgent.get('https://example.com')
+      interceptable
+        .intercept({path: '/a'})
+        .reply(200, '<p>Alpha', {headers: {'Content-Type': 'text/html'}})
+      interceptable
+        .intercept({path: /^\/dead-or-alive-/})
+        .reply(404)
+        .delay(200)
+
+      const result = await deadOrAlive('https://example.com/a', {
+        deadline: 50,
+        maxRetries: 0,
+        soft404: true
+      })
+
+      await mockAgent.close()
+      await setGlobalDispatcher(globalDispatcher)
+
+      assert.equal(result.status, 'unknown')
+      assert.equal(result.messages[0].ruleId, 'deadline')
+    }
+  )
+})
+
+test('xml', async function (t) {
+  await t.test('should check anchors in SVG', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    mockAgent
+      .get('https://example.com')
+      .intercept({path: '/sprite.svg'})
+      .reply(
+        200,
+        '<svg xmlns="http://www.w3.org/2000/svg"><symbol id="icon-alpha"/><symbol id="icon-bravo"/></svg>',
+        {headers: {'Content-Type': 'image/svg+xml'}}
+      )
+
+    const results = await deadOrAliveMany(
+      [
+        'https://example.com/sprite.svg#icon-alpha',
+        'https://example.com/sprite.svg#icon-alfa',
+        'https://example.com/sprite.svg#icon-bravo:~:text=x',
+        'https://example.com/sprite.svg#:~:text=x'
+      ],
+      {maxRetries: 0}
+    )
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.deepEqual(
+      [...results.values()].map(function (result) {
+        return result.status
+      }),
+      ['alive', 'dead', 'alive', 'alive']
+    )
+    const result = results.get('https://example.com/sprite.svg#icon-alpha')
+    assert.equal(result?.url, 'https://example.com/sprite.svg#icon-alpha')
+    assert.equal(result?.messages.length, 0)
+    const message = results.get('https://example.com/sprite.svg#icon-alfa')
+      ?.messages[0]
+    assert.equal(
+      message?.reason,
+      'Unexpected missing anchor element on `https://example.com/sprite.svg` for fragment `icon-alfa`, remove if unneeded or refer to an existing element such as `icon-alpha`'
+    )
+    assert.equal(message?.ruleId, 'missing-anchor')
+  })
+
+  await t.test(
+    'should check anchors and find URLs in XHTML',
+    async function () {
+      const globalDispatcher = getGlobalDispatcher()
+      const mockAgent = new MockAgent()
+      mockAgent.enableNetConnect(/(?=a)b/)
+      setGlobalDispatcher(mockAgent)
+      mockAgent
+        .get('https://example.com')
+        .intercept({path: '/spec/'})
+        .reply(
+          200,
+          [
+            '<?xml version="1.0" encoding="utf-8"?>',
+            '<!DOCTYPE html>',
+            '<html xmlns="http://www.w3.org/1999/xhtml">',
+            '<body>',
+            '<h1 id="intro">Intro</h1>',
+            '<p xml:id="details"><a name="old" href="../a?b=c&amp;d=e">a</a></p>',
+            "<img src='b.png'/>",
+            '<svg><use xlink:href="sprite.svg#icon"/></svg>',
+            '</body>',
+            '</html>'
+          ].join('\n'),
+          {headers: {'Content-Type': 'application/xhtml+xml; charset=utf-8'}}
+        )
+        .persist()
+
+      const results = await deadOrAliveMany(
+        [
+          'https://example.com/spec/',
+          'https://example.com/spec/#intro',
+          'https://example.com/spec/#details',
+          'https://example.com/spec/#old'
+        ],
+        {maxRetries: 0}
+      )
+
+      await mockAgent.close()
+      await setGlobalDispatcher(globalDispatcher)
+
+      for (const result of results.values()) {
+        assert.equal(result.status, 'alive')
+        assert.equal(result.messages.length, 0)
+      }
+
+      assert.deepEqual(
+        [...(results.get('https://example.com/spec/#intro')?.urls || [])],
+        [
+          'https://example.com/a?b=c&d=e',
+          'https://example.com/spec/b.png',
+          'https://example.com/spec/sprite.svg#icon'
+        ]
+      )
+    }
+  )
+
+  await t.test('should not need XML w/o hash or `findUrls`', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    mockAgent
+      .get('https://example.com')
+      .intercept({method: 'HEAD', path: '/feed.xml'})
+      .reply(200, '', {headers: {'Content-Type': 'application/atom+xml'}})
+
+    const result = await deadOrAlive('https://example.com/feed.xml', {
+      findUrls: false,
+      maxRetries: 0,
+      method: 'auto'
+    })
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(result.status, 'alive')
+    assert.equal(result.urls, undefined)
+  })
+
+  await t.test('should support `anchorAllowlist` in XML', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    mockAgent
+      .get('https://example.com')
+      .intercept({path: '/data.xml'})
+      .reply(200, '<data/>', {headers: {'Content-Type': 'text/xml'}})
+
+    const result = await deadOrAlive('https://example.com/data.xml#x', {
+      anchorAllowlist: [[/\.xml$/, /^x$/]],
+      maxRetries: 0
+    })
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(result.status, 'alive')
+    assert.equal(result.url, 'https://example.com/data.xml#x')
+  })
+
+  await t.test('should warn about large XML', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    mockAgent
+      .get('https://example.com')
+      .intercept({path: '/data.xml'})
+      .reply(200, '<data xml:id="a">' + 'x'.repeat(1024) + '</data>', {
+        headers: {'Content-Type': 'application/xml'}
+      })
+
+    const result = await deadOrAlive('https://example.com/data.xml#a', {
+      maxBytes: 64,
+      maxRetries: 0
+    })
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(result.status, 'alive')
+    assert.equal(result.messages.length, 1)
+    assert.equal(
+      result.messages[0].reason,
+      'Unexpected large XML at `https://example.com/data.xml`, exceeding `maxBytes` of `64` bytes, checking only the start'
+    )
+    assert.equal(result.messages[0].ruleId, 'max-bytes')
+  })
+})
+
+test('pdf', async function (t) {
+  await t.test('should check pages and named destinations', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    mockAgent
+      .get('https://example.com')
+      .intercept({path: '/spec.pdf'})
+      .reply(
+        200,
+        toBytes(
+          createPdf(
+            [
+              '<< /Type /Catalog /Pages 2 0 R /Names << /Dests 3 0 R >> >>',
+              '<< /Type /Pages /Kids [] /Count 3 >>',
+              '<< /Kids [4 0 R 5 0 R] >>',
+              '<< /Names [(intro) [1 0 R /Fit] (section-3) [1 0 R /Fit]] >>',
+              '<< /Names [(café) [1 0 R /Fit] (Ã©tÃ©) [1 0 R /Fit]] >>'
+            ],
+            '<< /Root 1 0 R >>'
+          )
+        ),
+        {headers: {'Content-Type': 'application/pdf'}}
+      )
+      .persist()
+
+    const results = await deadOrAliveMany(
+      [
+        'https://example.com/spec.pdf#page=1',
+        'https://example.com/spec.pdf#page=3&zoom=50',
+        'https://example.com/spec.pdf#page=4',
+        'https://example.com/spec.pdf#page=first',
+        'https://example.com/spec.pdf#intro',
+        'https://example.com/spec.pdf#nameddest=section-3',
+        'https://example.com/spec.pdf#nameddest=caf%C3%A9',
+        'https://example.com/spec.pdf#%C3%A9t%C3%A9',
+        'https://example.com/spec.pdf#nameddest=intra',
+        'https://example.com/spec.pdf#nameddest=x',
+        'https://example.com/spec.pdf#zoom=50'
+      ],
+      {maxRetries: 0}
+    )
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.deepEqual(
+      [...results.values()].map(function (result) {
+        return result.status
+      }),
+      [
+        'alive',
+        'alive',
+        'dead',
+        'dead',
+        'alive',
+        'alive',
+        'alive',
+        'alive',
+        'dead',
+        'dead',
+        'alive'
+      ]
+    )
+    const result = results.get('https://example.com/spec.pdf#page=1')
+    assert.equal(result?.url, 'https://example.com/spec.pdf#page=1')
+    assert.equal(result?.messages.length, 0)
+    const page = results.get('https://example.com/spec.pdf#page=4')?.messages[0]
+    assert.equal(
+      page?.reason,
+      'Unexpected missing page `4` in PDF `https://example.com/spec.pdf` with `3` pages, remove if unneeded or refer to an existing page'
+    )
+    assert.equal(page?.ruleId, 'missing-pdf-page')
+    const destination = results.get(
+      'https://example.com/spec.pdf#nameddest=intra'
+    )?.messages[0]
+    assert.equal(
+      destination?.reason,
+      'Unexpected missing named destination `intra` in PDF `https://example.com/spec.pdf`, remove if unneeded or refer to an existing destination such as `intro`'
+    )
+    assert.equal(destination?.ruleId, 'missing-pdf-destination')
+  })
+
+  await t.test(
+    'should not check destinations in encrypted PDFs',
+    async function () {
+      const globalDispatcher = getGlobalDispatcher()
+      const mockAgent = new MockAgent()
+      mockAgent.enableNetConnect(/(?=a)b/)
+      setGlobalDispatcher(mockAgent)
+      mockAgent
+        .get('https://example.com')
+        .intercept({path: '/secret.pdf'})
+        .reply(
+          200,
+          toBytes(
+            createPdf(
+              [
+                '<< /Type /Catalog /Pages 2 0 R /Dests << /intro [] >> >>',
+                '<< /Type /Pages /Count 1 >>'
+              ],
+              '<< /Root 1 0 R /Encrypt 3 0 R >>'
+            )
+          ),
+          {headers: {'Content-Type': 'application/pdf'}}
+        )
+        .persist()
+
+      const results = await deadOrAliveMany(
+        [
+          'https://example.com/secret.pdf#whatever',
+          'https://example.com/secret.pdf#page=2'
+        ],
+        {maxRetries: 0}
+      )
+
+      await mockAgent.close()
+      await setGlobalDispatcher(globalDispatcher)
+
+      assert.equal(
+        results.get('https://example.com/secret.pdf#whatever')?.status,
+        'alive'
+      )
+      const message = results.get('https://example.com/secret.pdf#page=2')
+        ?.messages[0]
+      assert.equal(
+        message?.reason,
+        'Unexpected missing page `2` in PDF `https://example.com/secret.pdf` with `1` page, remove if unneeded or refer to an existing page'
+      )
+    }
+  )
+
+  await t.test('should allow fragments in unreadable PDFs', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    mockAgent
+      .get('https://example.com')
+      .intercept({path: '/broken.pdf'})
+      .reply(200, '%PDF-1.7', {headers: {'Content-Type': 'application/pdf'}})
+
+    const result = await deadOrAlive(
+      'https://example.com/broken.pdf#page=2&nameddest=a',
+      {maxRetries: 0}
+    )
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(result.status, 'alive')
+    assert.equal(result.messages.length, 0)
+  })
+
+  await t.test('should not need PDF w/o hash', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    mockAgent
+      .get('https://example.com')
+      .intercept({method: 'HEAD', path: '/spec.pdf'})
+      .reply(200, '', {headers: {'Content-Type': 'application/pdf'}})
+
+    const result = await deadOrAlive('https://example.com/spec.pdf', {
+      maxRetries: 0,
+      method: 'auto'
+    })
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(result.status, 'alive')
+    assert.equal(result.url, 'https://example.com/spec.pdf')
+  })
+
+  await t.test('should support `anchorAllowlist` in PDF', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    mockAgent
+      .get('https://example.com')
+      .intercept({path: '/spec.pdf'})
+      .reply(
+        200,
+        toBytes(
+          createPdf(
+            ['<< /Type /Catalog /Pages << /Count 1 >> >>'],
+            '<< /Root 1 0 R >>'
+          )
+        ),
+        {headers: {'Content-Type': 'application/pdf'}}
+      )
+
+    const result = await deadOrAlive('https://example.com/spec.pdf#page=2', {
+      anchorAllowlist: [[/\.pdf$/, /^page=/]],
+      maxRetries: 0
+    })
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(result.status, 'alive')
+    assert.equal(result.url, 'https://example.com/spec.pdf#page=2')
+  })
+
+  await t.test(
+    'should warn about large PDFs and not store them',
+    async function () {
+      const globalDispatcher = getGlobalDispatcher()
+      const mockAgent = new MockAgent()
+      mockAgent.enableNetConnect(/(?=a)b/)
+      setGlobalDispatcher(mockAgent)
+      mockAgent
+        .get('https://example.com')
+        .intercept({path: '/spec.pdf'})
+        .reply(
+          200,
+          toBytes(
+            createPdf(
+              ['x'.repeat(1024), '<< /Type /Catalog /Pages << /Count 1 >> >>'],
+              '<< /Root 2 0 R >>'
+            )
+          ),
+          {headers: {'Content-Type': 'application/pdf'}}
+        )
+      const cache = createCache()
+
+      const result = await deadOrAlive('https://example.com/spec.pdf#page=2', {
+        cache,
+        maxBytes: 64,
+        maxRetries: 0
+      })
+
+      await mockAgent.close()
+      await setGlobalDispatcher(globalDispatcher)
+
+      assert.equal(result.status, 'alive')
+      assert.equal(result.url, 'https://example.com/spec.pdf#page=2')
+      assert.equal(result.messages.length, 1)
+      assert.equal(
+        result.messages[0].reason,
+        'Unexpected large PDF at `https://example.com/spec.pdf`, exceeding `maxBytes` of `64` bytes, checking only the start'
+      )
+      assert.equal(result.messages[0].ruleId, 'max-bytes')
+      assert.equal(cache.map.size, 0)
+    }
+  )
+
+  await t.test(
+    'should request a PDF again when a stored one has no body',
+    async function () {
+      const globalDispatcher = getGlobalDispatcher()
+      const mockAgent = new MockAgent()
+      mockAgent.enableNetConnect(/(?=a)b/)
+      setGlobalDispatcher(mockAgent)
+      const pdf = createPdf(
+        ['<< /Type /Catalog /Pages << /Count 2 >> /Title (é) >>'],
+        '<< /Root 1 0 R >>'
+      )
+      const interceptable = mockAgent.get('https://example.com')
+      interceptable
+        .intercept({method: 'HEAD', path: '/spec.pdf'})
+        .reply(200, '', {headers: {'Content-Type': 'application/pdf'}})
+      interceptable.intercept({path: '/spec.pdf'}).reply(200, toBytes(pdf), {
+        headers: {'Content-Type': 'application/pdf'}
+      })
+      const cache = createCache()
+
+      const first = await deadOrAlive('https://example.com/spec.pdf', {
+        cache,
+        maxRetries: 0,
+        method: 'auto'
+      })
+      const firstBody = cache.map.get('https://example.com/spec.pdf')?.body
+      const second = await deadOrAlive('https://example.com/spec.pdf#page=3', {
+        cache,
+        maxRetries: 0,
+        method: 'auto'
+      })
+      const third = await deadOrAlive('https://example.com/spec.pdf#page=2', {
+        cache,
+        maxRetries: 0,
+        method: 'auto'
+      })
+
+      await mockAgent.close()
+      await setGlobalDispatcher(globalDispatcher)
+
+      assert.equal(first.status, 'alive')
+      assert.equal(firstBody, undefined)
+      assert.equal(second.status, 'dead')
+      assert.equal(second.messages[0].ruleId, 'missing-pdf-page')
+      assert.equal(third.status, 'alive')
+      assert.equal(cache.map.get('https://example.com/spec.pdf')?.body, pdf)
+    }
+  )
+})
+
+test('adapters', async function (t) {
+  const html = {headers: {'Content-Type': 'text/html'}}
+
+  await t.test('should check line fragments on GitHub', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    mockAgent
+      .get('https://github.com')
+      .intercept({path: '/o/r/blob/main/lib/index.js'})
+      .reply(200, '<div id=x>x</div>', html)
+      .persist()
+    // Requested once for all checks.
+    mockAgent
+      .get('https://raw.githubusercontent.com')
+      .intercept({path: '/o/r/main/lib/index.js'})
+      .reply(200, 'a\nb\r\nc\n')
+
+    const results = await deadOrAliveMany(
+      [
+        'https://github.com/o/r/blob/main/lib/index.js#L1',
+        'https://github.com/o/r/blob/main/lib/index.js#L2-L3',
+        'https://github.com/o/r/blob/main/lib/index.js#L3C1-L3C2',
+        'https://github.com/o/r/blob/main/lib/index.js#x',
+        'https://github.com/o/r/blob/main/lib/index.js#L0',
+        'https://github.com/o/r/blob/main/lib/index.js#L2-L9',
+        'https://github.com/o/r/blob/main/lib/index.js#readme'
+      ],
+      {maxRetries: 0}
+    )
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.deepEqual(
+      [...results.values()].map(function (result) {
+        return [result.status, result.messages[0]?.ruleId]
+      }),
+      [
+        ['alive', undefined],
+        ['alive', undefined],
+        ['alive', undefined],
+        ['alive', undefined],
+        ['dead', 'missing-line'],
+        ['dead', 'missing-line'],
+        ['dead', 'missing-anchor']
+      ]
+    )
+    const message = results.get(
+      'https://github.com/o/r/blob/main/lib/index.js#L2-L9'
+    )?.messages[0]
+    assert.equal(
+      message?.reason,
+      'Unexpected missing line `9` on `https://github.com/o/r/blob/main/lib/index.js` for fragment `L2-L9` with `3` lines, remove if unneeded or refer to an existing line'
+    )
+    assert.equal(
+      message?.url,
+      'https://github.com/wooorm/dead-or-alive#missing-line'
+    )
+    assert.equal(message?.fatal, true)
+  })
+
+  await t.test('should check headings in readmes on GitHub', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const github = mockAgent.get('https://github.com')
+    github
+      .intercept({path: '/o/r'})
+      .reply(200, '<div id=readme></div>', html)
+      .persist()
+    github
+      .intercept({path: '/o/r/tree/main/docs'})
+      .reply(200, '', html)
+      .persist()
+    const api = mockAgent.get('https://api.github.com')
+    api
+      .intercept({
+        headers: {accept: 'application/vnd.github.raw'},
+        path: '/repos/o/r/readme'
+      })
+      .reply(200, '# r\n\n## Install\n\n## Usage\n\n## Usage\n')
+    api
+      .intercept({path: '/repos/o/r/readme/docs?ref=main'})
+      .reply(200, 'Docs\n====\n')
+
+    const results = await deadOrAliveMany(
+      [
+        'https://github.com/o/r#install',
+        'https://github.com/o/r#user-content-install',
+        'https://github.com/o/r#usage-1',
+        'https://github.com/o/r#readme',
+        'https://github.com/o/r#L1',
+        'https://github.com/o/r#instal',
+        'https://github.com/o/r/tree/main/docs#docs'
+      ],
+      {maxRetries: 0}
+    )
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.deepEqual(
+      [...results.values()].map(function (result) {
+        return result.status
+      }),
+      ['alive', 'alive', 'alive', 'alive', 'alive', 'dead', 'alive']
+    )
+    assert.equal(
+      results.get('https://github.com/o/r#instal')?.messages[0].reason,
+      'Unexpected missing anchor element on `https://github.com/o/r` for fragment `instal`, remove if unneeded or refer to an existing element such as `install`'
+    )
+  })
+
+  await t.test(
+    'should check headings in markdown files on GitHub',
+    async function () {
+      const globalDispatcher = getGlobalDispatcher()
+      const mockAgent = new MockAgent()
+      mockAgent.enableNetConnect(/(?=a)b/)
+      setGlobalDispatcher(mockAgent)
+      const github = mockAgent.get('https://github.com')
+      github
+        .intercept({path: /^\/o\/r\/blob\/main\/readme\.md/})
+        .reply(200, '', html)
+        .persist()
+      mockAgent
+        .get('https://raw.githubusercontent.com')
+        .intercept({path: '/o/r/main/readme.md'})
+        .reply(200, '# API\n\nSome text.\n')
+
+      const results = await deadOrAliveMany(
+        [
+          'https://github.com/o/r/blob/main/readme.md#api',
+          'https://github.com/o/r/blob/main/readme.md?plain=1#api',
+          'https://github.com/o/r/blob/main/readme.md?plain=1#L3'
+        ],
+        {maxRetries: 0}
+      )
+
+      await mockAgent.close()
+      await setGlobalDispatcher(globalDispatcher)
+
+      assert.deepEqual(
+        [...results.values()].map(function (result) {
+          return result.status
+        }),
+        ['alive', 'dead', 'alive']
+      )
+    }
+  )
+
+  await t.test(
+    'should check other pages on GitHub as normal',
+    async function () {
+      const globalDispatcher = getGlobalDispatcher()
+      const mockAgent = new MockAgent()
+      mockAgent.enableNetConnect(/(?=a)b/)
+      setGlobalDispatcher(mockAgent)
+      const github = mockAgent.get('https://github.com')
+      github
+        .intercept({path: '/o/r/issues/1'})
+        .reply(200, '<div id=issuecomment-1></div>', html)
+        .persist()
+      github.intercept({path: '/o'}).reply(200, '', html)
+
+      const results = await deadOrAliveMany(
+        [
+          'https://github.com/o/r/issues/1#issuecomment-1',
+          'https://github.com/o/r/issues/1#L1',
+          'https://github.com/o#x'
+        ],
+        {maxRetries: 0}
+      )
+
+      await mockAgent.close()
+      await setGlobalDispatcher(globalDispatcher)
+
+      assert.deepEqual(
+        [...results.values()].map(function (result) {
+          return [result.status, result.messages[0]?.ruleId]
+        }),
+        [
+          ['alive', undefined],
+          ['dead', 'missing-anchor'],
+          ['dead', 'missing-anchor']
+        ]
+      )
+    }
+  )
+
+  await t.test(
+    'should not check fragments when files are unavailable',
+    async function () {
+      const globalDispatcher = getGlobalDispatcher()
+      const mockAgent = new MockAgent()
+      mockAgent.enableNetConnect(/(?=a)b/)
+      setGlobalDispatcher(mockAgent)
+      mockAgent
+        .get('https://github.com')
+        .intercept({path: /^\/o\/r/})
+        .reply(200, '', html)
+        .persist()
+      const raw = mockAgent.get('https://raw.githubusercontent.com')
+      raw.intercept({path: '/o/r/main/missing.js'}).reply(404)
+      raw
+        .intercept({path: '/o/r/main/error.js'})
+        .replyWithError(Object.assign(new Error('Oops'), {code: 'ECONNRESET'}))
+      raw.intercept({path: '/o/r/main/large.js'}).reply(200, 'x\n'.repeat(64))
+      mockAgent
+        .get('https://api.github.com')
+        .intercept({path: '/repos/o/r/readme'})
+        .reply(404)
+
+      const results = await deadOrAliveMany(
+        [
+          'https://github.com/o/r/blob/main/missing.js#L2',
+          'https://github.com/o/r/blob/main/error.js#x',
+          'https://github.com/o/r/blob/main/large.js#L99',
+          'https://github.com/o/r#install'
+        ],
+        {maxBytes: 64, maxRetries: 0}
+      )
+
+      await mockAgent.close()
+      await setGlobalDispatcher(globalDispatcher)
+
+      for (const result of results.values()) {
+        assert.equal(result.status, 'alive')
+        assert.equal(result.messages.length, 0)
+      }
+    }
+  )
+
+  await t.test('should support custom adapters', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('http://localhost:8080')
+    interceptable
+      .intercept({path: '/o/r/blob/main/a.js'})
+      .reply(200, '', html)
+      .persist()
+    interceptable.intercept({path: '/raw/o/r/main/a.js'}).reply(200, 'a')
+    interceptable.intercept({path: '/api/repos/o/r/readme'}).reply(200, '# Hi')
+    interceptable.intercept({path: '/o/r'}).reply(200, '', html)
+    mockAgent
+      .get('https://example.com')
+      .intercept({path: '/'})
+      .reply(200, '', html)
+      .times(2)
+
+    const results = await deadOrAliveMany(
+      [
+        'http://localhost:8080/o/r/blob/main/a.js#L1',
+        'http://localhost:8080/o/r/blob/main/a.js#L2',
+        'http://localhost:8080/o/r#hi',
+        'https://example.com/#L1'
+      ],
+      {
+        adapters: [
+          [/^example\.com$/, {}],
+          [
+            /^localhost$/,
+            createGitHubAdapter({
+              apiUrl: 'http://localhost:8080/api',
+              rawUrl: 'http://localhost:8080/raw/'
+            })
+          ]
+        ],
+        maxRetries: 0
+      }
+    )
+    const github = await deadOrAlive('https://example.com/#L1', {
+      adapters: [],
+      maxRetries: 0
+    })
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.deepEqual(
+      [...results.values()].map(function (result) {
+        return result.status
+      }),
+      ['alive', 'dead', 'alive', 'dead']
+    )
+    assert.equal(github.status, 'dead')
+  })
+
+  await t.test('should ask the registry for npm packages', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const json = {headers: {'Content-Type': 'application/json'}}
+    const registry = mockAgent.get('https://registry.npmjs.org')
+    registry
+      .intercept({
+        headers: {accept: 'application/vnd.npm.install-v1+json'},
+        path: '/dead-or-alive'
+      })
+      .reply(200, '{}', json)
+    registry.intercept({path: '/@scope%2Fa/1.0.0'}).reply(200, '{}', json)
+    registry.intercept({path: '/missing'}).reply(404, '{}', json)
+    mockAgent
+      .get('https://www.npmjs.com')
+      .intercept({path: '/~wooorm'})
+      .reply(200, '<div id=x></div>', html)
+
+    const results = await deadOrAliveMany(
+      [
+        'https://www.npmjs.com/package/dead-or-alive#readme',
+        'https://npmjs.com/package/@scope/a/v/1.0.0',
+        'https://www.npmjs.com/package/missing',
+        'https://www.npmjs.com/~wooorm#x'
+      ],
+      {maxRetries: 0}
+    )
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.deepEqual(
+      [...results.values()].map(function (result) {
+        return [result.status, result.url, result.messages[0]?.ruleId]
+      }),
+      [
+        [
+          'alive',
+          'https://www.npmjs.com/package/dead-or-alive#readme',
+          undefined
+        ],
+        ['alive', 'https://npmjs.com/package/@scope/a/v/1.0.0', undefined],
+        ['dead', undefined, 'dead'],
+        ['alive', 'https://www.npmjs.com/~wooorm#x', undefined]
+      ]
+    )
+    assert.equal(
+      results.get('https://www.npmjs.com/package/missing')?.messages[0].reason,
+      'Unexpected not ok response `404` (`Not Found`) on `https://www.npmjs.com/package/missing`'
+    )
+  })
+
+  await t.test('should ask the oEmbed API for posts on X', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const oembed = mockAgent.get('https://publish.twitter.com')
+    oembed
+      .intercept({
+        path:
+          '/oembed?url=' +
+          encodeURIComponent('https://twitter.com/wooorm/status/1')
+      })
+      .reply(200, '{}', {headers: {'Content-Type': 'application/json'}})
+    oembed
+      .intercept({
+        path:
+          '/oembed?url=' +
+          encodeURIComponent('https://twitter.com/wooorm/status/2')
+      })
+      .reply(404)
+    mockAgent
+      .get('https://x.com')
+      .intercept({path: '/wooorm'})
+      .reply(403, 'Forbidden')
+
+    const results = await deadOrAliveMany(
+      [
+        'https://x.com/wooorm/status/1',
+        'https://twitter.com/wooorm/status/2',
+        'https://x.com/wooorm'
+      ],
+      {maxRetries: 0}
+    )
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.deepEqual(
+      [...results.values()].map(function (result) {
+        return [result.status, result.messages[0]?.ruleId]
+      }),
+      [
+        ['alive', undefined],
+        ['dead', 'dead'],
+        ['unknown', 'blocked']
+      ]
+    )
+    const message = results.get('https://x.com/wooorm')?.messages[0]
+    assert.equal(
+      message?.reason,
+      'Unexpected response `403` (`Forbidden`) on `https://x.com/wooorm` from a host that blocks automated requests, check it in a browser'
+    )
+    assert.equal(
+      message?.url,
+      'https://github.com/wooorm/dead-or-alive#blocked'
+    )
+    assert.equal(message?.fatal, true)
+  })
+
+  await t.test(
+    'should report blocked responses on LinkedIn',
+    async function () {
+      const globalDispatcher = getGlobalDispatcher()
+      const mockAgent = new MockAgent()
+      mockAgent.enableNetConnect(/(?=a)b/)
+      setGlobalDispatcher(mockAgent)
+      mockAgent
+        .get('https://www.linkedin.com')
+        .intercept({path: '/in/a'})
+        .reply(999, '')
+      mockAgent
+        .get('https://nl.linkedin.com')
+        .intercept({path: '/in/b'})
+        .reply(302, '', {
+          headers: {location: 'https://www.linkedin.com/authwall?trk=x'}
+        })
+
+      const results = await deadOrAliveMany(
+        ['https://www.linkedin.com/in/a', 'https://nl.linkedin.com/in/b'],
+        {maxRetries: 0}
+      )
+
+      await mockAgent.close()
+      await setGlobalDispatcher(globalDispatcher)
+
+      assert.deepEqual(
+        [...results.values()].map(function (result) {
+          return [result.status, result.messages[0]?.ruleId, result.redirects]
+        }),
+        [
+          ['unknown', 'blocked', []],
+          ['unknown', 'blocked', []]
+        ]
+      )
+    }
+  )
+
+  await t.test(
+    'should support adapters that interpret responses',
+    async function () {
+      const globalDispatcher = getGlobalDispatcher()
+      const mockAgent = new MockAgent()
+      mockAgent.enableNetConnect(/(?=a)b/)
+      setGlobalDispatcher(mockAgent)
+      const interceptable = mockAgent.get('https://example.com')
+      interceptable.intercept({path: '/challenge'}).reply(403, '')
+      interceptable.intercept({path: '/gone'}).reply(200, '', html)
+      interceptable.intercept({path: '/other'}).reply(200, '', html)
+      /** @type {Array<string>} */
+      const seen = []
+
+      const results = await deadOrAliveMany(
+        [
+          'https://example.com/challenge#a',
+          'https://example.com/gone',
+          'https://example.com/other'
+        ],
+        {
+          adapters: [
+            [
+              /^example\.com$/,
+              {
+                response(response, url) {
+                  seen.push(url.href)
+                  if (url.pathname === '/challenge') return 'alive'
+                  if (url.pathname === '/gone') return 'dead'
+                }
+              }
+            ]
+          ],
+          maxRetries: 0
+        }
+      )
+
+      await mockAgent.close()
+      await setGlobalDispatcher(globalDispatcher)
+
+      assert.deepEqual(
+        [...results.values()].map(function (result) {
+          return [result.status, result.url, result.messages[0]?.ruleId]
+        }),
+        [
+          ['alive', 'https://example.com/challenge#a', undefined],
+          ['dead', undefined, 'dead'],
+          ['alive', 'https://example.com/other', undefined]
+        ]
+      )
+      assert.deepEqual(seen.sort(), [
+        'https://example.com/challenge',
+        'https://example.com/gone',
+        'https://example.com/other'
+      ])
+      assert.equal(
+        results.get('https://example.com/gone')?.messages[0].reason,
+        'Unexpected response `200` (`OK`) on `https://example.com/gone` that the adapter for its host reports as dead'
+      )
+    }
+  )
+
+  await t.test(
+    'should support adapters that rewrite requests',
+    async function () {
+      const globalDispatcher = getGlobalDispatcher()
+      const mockAgent = new MockAgent()
+      mockAgent.enableNetConnect(/(?=a)b/)
+      setGlobalDispatcher(mockAgent)
+      const interceptable = mockAgent.get('https://example.com')
+      interceptable
+        .intercept({headers: {'x-token': 'a'}, path: '/page'})
+        .reply(200, '<div id=x></div>', html)
+      interceptable.intercept({path: '/page'}).reply(200, '', html)
+      mockAgent
+        .get('https://api.example.com')
+        .intercept({path: '/moved'})
+        .reply(301, '', {headers: {location: '/elsewhere'}})
+      const cache = createCache()
+
+      const results = await deadOrAliveMany(
+        [
+          'https://example.com/page#x',
+          'https://example.com/page#y',
+          'https://example.com/moved'
+        ],
+        {
+          adapters: [
+            [
+              /^example\.com$/,
+              {
+                request(url) {
+                  return url.pathname === '/moved'
+                    ? {url: 'https://api.example.com/moved'}
+                    : {headers: {'X-Token': 'a'}}
+                }
+              }
+            ]
+          ],
+          cache,
+          maxRetries: 0
+        }
+      )
+      const plain = await deadOrAlive('https://example.com/page', {
+        adapters: [
+          [
+            /^example\.com$/,
+            {
+              request(url) {
+                return url.pathname === '/page' ? {} : undefined
+              }
+            }
+          ]
+        ],
+        maxRetries: 0
+      })
+
+      await mockAgent.close()
+      await setGlobalDispatcher(globalDispatcher)
+
+      assert.deepEqual(
+        [...results.values()].map(function (result) {
+          return [result.status, result.messages[0]?.ruleId, result.redirects]
+        }),
+        [
+          ['alive', undefined, []],
+          ['dead', 'missing-anchor', []],
+          ['dead', 'dead', []]
+        ]
+      )
+      const entry = await cache.get('https://example.com/page')
+      assert.equal(plain.status, 'alive')
+      assert.equal(entry?.url, 'https://example.com/page')
+    }
+  )
+
+  await t.test('should wait for `Crawl-delay` for files', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const github = mockAgent.get('https://github.com')
+    github.intercept({path: '/robots.txt'}).reply(404)
+    github.intercept({path: '/o/r/blob/main/a.js'}).reply(200, '', html)
+    const raw = mockAgent.get('https://raw.githubusercontent.com')
+    raw.intercept({path: '/robots.txt'}).reply(404)
+    raw.intercept({path: '/o/r/main/a.js'}).reply(200, 'a\nb')
+
+    const result = await deadOrAlive(
+      'https://github.com/o/r/blob/main/a.js#L3',
+      {maxRetries: 0, robots: true}
+    )
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.equal(result.status, 'dead')
+    assert.equal(result.messages[0].ruleId, 'missing-line')
+  })
+
+  await t.test(
+    'should stop requesting files when cancelled',
+    async function () {
+      const globalDispatcher = getGlobalDispatcher()
+      const mockAgent = new MockAgent()
+      mockAgent.enableNetConnect(/(?=a)b/)
+      setGlobalDispatcher(mockAgent)
+      mockAgent
+        .get('https://github.com')
+        .intercept({path: '/o/r/blob/main/a.js'})
+        .reply(200, '', html)
+      mockAgent
+        .get('https://raw.githubusercontent.com')
+        .intercept({path: '/o/r/main/a.js'})
+        .reply(200, 'a')
+        .delay(200)
+
+      const result = await deadOrAlive(
+        'https://github.com/o/r/blob/main/a.js#L1',
+        {deadline: 50, maxRetries: 0}
+      )
+
+      await mockAgent.close()
+      await setGlobalDispatcher(globalDispatcher)
+
+      assert.equal(result.status, 'unknown')
+      assert.equal(result.messages[0].ruleId, 'deadline')
+    }
+  )
+})
+
+test('cli', async function (t) {
+  /** @type {(() => void) | undefined} */
+  let onSlow
+  /** @type {http.IncomingHttpHeaders | undefined} */
+  let privateHeaders
+  const server = http.createServer(function (request, response) {
+    const url = new URL(request.url || '/', 'http://localhost')
+
+    switch (url.pathname) {
+      case '/': {
+        response.writeHead(200, {'Content-Type': 'text/html'})
+        response.end('<h1 id=install>Install</h1>')
+
+        break
+      }
+
+      case '/private': {
+        privateHeaders = request.headers
+        const ok =
+          request.headers['x-token'] === 'a' &&
+          // `b:c`.
+          request.headers.authorization === 'Basic Yjpj'
+        response.writeHead(ok ? 200 : 403, {'Content-Type': 'text/html'})
+        response.end('')
+
+        break
+      }
+
+      case '/unavailable': {
+        response.writeHead(503)
+        response.end('')
+
+        break
+      }
+
+      case '/slow': {
+        if (onSlow) onSlow()
+
+        break
+      }
+
+      default: {
+        response.writeHead(404)
+        response.end('')
+      }
+    }
+  })
+
+  await new Promise(function (resolve) {
+    server.listen(0, '127.0.0.1', function () {
+      resolve(undefined)
+    })
+  })
+
+  const address = /** @type {import('node:net').AddressInfo} */ (
+    server.address()
+  )
+  const base = 'http://127.0.0.1:' + address.port + '/'
+
+  await t.test('should show help', async function () {
+    const result = await run(['--help'])
+    assert.equal(result.code, 0)
+    assert.match(result.stdout, /^Usage: dead-or-alive/)
+  })
+
+  await t.test('should show the version', async function () {
+    /** @type {{version: string}} */
+    const pack = JSON.parse(
+      await fs.readFile(new URL('package.json', import.meta.url), 'utf8')
+    )
+    const result = await run(['-v'])
+    assert.equal(result.code, 0)
+    assert.equal(result.stdout, pack.version + '\n')
+  })
+
+  await t.test('should exit with `0` when alive', async function () {
+    const result = await run([base, base + '#install'])
+    assert.equal(result.code, 0)
+    assert.equal(
+      result.stderr,
+      base + ': no issues found\n' + base + '#install: no issues found\n'
+    )
+  })
+
+  await t.test('should exit with `1` when dead', async function () {
+    const result = await run([base + '#instal', base + 'missing'])
+    assert.equal(result.code, 1)
+    assert.match(
+      result.stderr,
+      /Unexpected missing anchor element on `http:\/\/127\.0\.0\.1:\d+\/` for fragment `instal`/
+    )
+    assert.match(
+      result.stderr,
+      /Unexpected not ok response `404` \(`Not Found`\) on `http:\/\/127\.0\.0\.1:\d+\/missing`/
+    )
+    assert.match(result.stderr, /✖ 2 errors/)
+  })
+
+  await t.test('should warn and exit with `0` when unknown', async function () {
+    const result = await run([
+      '--max-retries',
+      '1',
+      '--sleep',
+      '0',
+      base + 'unavailable'
+    ])
+    assert.equal(result.code, 0)
+    assert.match(result.stderr, /warning.*`503`/)
+  })
+
+  await t.test(
+    'should warn and exit with `0` when exceeding the deadline',
+    async function () {
+      const result = await run(['--deadline', '100', base + 'slow'])
+      assert.equal(result.code, 0)
+      assert.match(result.stderr, /warning.*exceeding the deadline/)
+    }
+  )
+
+  await t.test('should read URLs from files', async function () {
+    const folder = await fs.mkdtemp(path.join(os.tmpdir(), 'dead-or-alive-'))
+    const file = path.join(folder, 'urls.txt')
+    await fs.writeFile(
+      file,
+      '# Links.\n' + base + '#install # Install.\n\n' + base + 'missing\n'
+    )
+    const result = await run(['--file', file])
+    await fs.rm(folder, {recursive: true})
+    assert.equal(result.code, 1)
+    assert.match(result.stderr, /#install: no issues found/)
+    assert.match(result.stderr, /✖ 1 error/)
+  })
+
+  await t.test('should check local files with `--local`', async function () {
+    const folder = await fs.mkdtemp(path.join(os.tmpdir(), 'dead-or-alive-'))
+    await fs.writeFile(
+      path.join(folder, 'readme.md'),
+      '# Install\n\n[a](#install), [b](#use), [c](' + base + '#install)\n'
+    )
+    const result = await run(['--local', path.join(folder, '*.md')])
+    const json = await run([
+      '--local',
+      '--reporter',
+      'json',
+      path.join(folder, '*.md')
+    ])
+    const sarif = await run([
+      '--local',
+      '--reporter',
+      'sarif',
+      path.join(folder, '*.md')
+    ])
+    await fs.rm(folder, {recursive: true})
+    assert.equal(result.code, 1)
+    assert.match(result.stderr, /readme\.md\n3:16-3:25 +error .*`use`/)
+    assert.match(result.stderr, /✖ 1 error/)
+    assert.equal(json.code, 1)
+    assert.equal(json.stdout.split('\n').length, 2)
+    assert.match(
+      json.stdout,
+      /readme\.md","status":"dead","messages":\[{"fatal":true,"startLine":3,"startColumn":16,"endLine":3,"endColumn":25,/
+    )
+    assert.equal(sarif.code, 1)
+    const report = /** @type {SarifReport} */ (JSON.parse(sarif.stdout))
+    const location = report.runs[0].results[0].locations[0].physicalLocation
+    assert.match(location.artifactLocation.uri, /readme\.md$/)
+    assert.deepEqual(location.region, {
+      startLine: 3,
+      startColumn: 16,
+      endLine: 3,
+      endColumn: 25
+    })
+  })
+
+  await t.test('should fail w/o files for `--local`', async function () {
+    const result = await run(['--local'])
+    assert.equal(result.code, 2)
+    assert.equal(
+      result.stderr,
+      'dead-or-alive: Unexpected missing files, pass `--help` for usage\n'
+    )
+  })
+
+  await t.test('should read URLs from stdin', async function () {
+    const result = await run([], base + '\n')
+    assert.equal(result.code, 0)
+    assert.equal(result.stderr, base + ': no issues found\n')
+  })
+
+  await t.test('should read URLs from stdin with `-`', async function () {
+    const result = await run([base, '-'], base + '#install\n')
+    assert.equal(result.code, 0)
+    assert.match(result.stderr, /#install: no issues found/)
+  })
+
+  await t.test('should support options as flags', async function () {
+    const folder = await fs.mkdtemp(path.join(os.tmpdir(), 'dead-or-alive-'))
+    const result = await run([
+      '--anchor-allow',
+      '^http://127 ^L\\d+$',
+      '--auth',
+      '/private$ b:c',
+      '--cache',
+      folder,
+      '--cache-ttl',
+      '1000',
+      '--check-anchor',
+      '--deadline',
+      '10000',
+      '--no-find-urls',
+      '--follow-meta-http-equiv',
+      '--header',
+      '/private$ X-Token: a',
+      '--max-bytes',
+      '100000',
+      '--max-concurrency',
+      '1',
+      '--max-concurrency-per-origin',
+      '1',
+      '--max-redirects',
+      '1',
+      '--max-retries',
+      '0',
+      '--max-retry-after',
+      '0',
+      '--method',
+      'auto',
+      '--no-resolve-clobber-prefix',
+      '--no-robots',
+      '--no-adapters',
+      '--no-soft-404',
+      '--timeout',
+      '1000',
+      '--user-agent',
+      'example',
+      '--reporter',
+      'json',
+      base + '#L1',
+      base + 'private'
+    ])
+    const cached = await fs.readdir(folder)
+    await fs.rm(folder, {recursive: true})
+    assert.equal(result.code, 0)
+    assert.ok(cached.length > 0)
+    assert.equal(privateHeaders?.authorization, 'Basic Yjpj')
+    assert.equal(privateHeaders?.['x-token'], 'a')
+    assert.deepEqual(
+      result.stdout
+        .split('\n')
+        .slice(0, -1)
+        .map(function (line) {
+          /** @type {{href: string, messages: Array<unknown>, status: string, statusCode: number}} */
+          const value = JSON.parse(line)
+          return [value.href, value.status, value.statusCode, value.messages]
+        }),
+      [
+        // Allowed by `--anchor-allow`.
+        [base + '#L1', 'alive', 200, []],
+        // Sent `--auth` and `--header`.
+        [base + 'private', 'alive', 200, []]
+      ]
+    )
+  })
+
+  await t.test('should support negated flags', async function () {
+    const result = await run([
+      '--no-check-anchor',
+      '--robots',
+      '--soft-404',
+      base + '#instal'
+    ])
+    assert.equal(result.code, 0)
+  })
+
+  await t.test('should fail on bad usage', async function () {
+    assert.deepEqual(await run(['--bogus']), {
+      code: 2,
+      stderr:
+        "dead-or-alive: Unknown option '--bogus'. To specify a positional argument starting with a '-', place it at the end of the command after '--', as in '-- \"--bogus\"\n",
+      stdout: ''
+    })
+    assert.deepEqual(await run([]), {
+      code: 2,
+      stderr:
+        'dead-or-alive: Unexpected missing URLs, pass `--help` for usage\n',
+      stdout: ''
+    })
+    assert.deepEqual(await run(['a']), {
+      code: 2,
+      stderr: 'dead-or-alive: Unexpected invalid URL `a`\n',
+      stdout: ''
+    })
+    assert.deepEqual(await run(['--timeout', 'a', base]), {
+      code: 2,
+      stderr: 'dead-or-alive: Unexpected non-number `a` for `--timeout`\n',
+      stdout: ''
+    })
+    assert.deepEqual(await run(['--method', 'post', base]), {
+      code: 2,
+      stderr:
+        'dead-or-alive: Unexpected method `post` for `--method`, expected `auto` or `get`\n',
+      stdout: ''
+    })
+    assert.deepEqual(await run(['--auth', 'a', base]), {
+      code: 2,
+      stderr:
+        'dead-or-alive: Unexpected value `a` for `--auth`, expected ` ` between parts\n',
+      stdout: ''
+    })
+    assert.deepEqual(await run(['--header', '( a: b', base]), {
+      code: 2,
+      stderr:
+        'dead-or-alive: Unexpected invalid regular expression `(` for `--header`\n',
+      stdout: ''
+    })
+  })
+
+  await t.test('should stop on `SIGINT`', async function () {
+    const child = spawn(process.execPath, [cli, base + 'slow'])
+    let stderr = ''
+    child.stderr.setEncoding('utf8')
+    child.stderr.on('data', function (/** @type {string} */ data) {
+      stderr += data
+    })
+
+    await new Promise(function (resolve) {
+      onSlow = function () {
+        resolve(undefined)
+      }
+    })
+
+    child.kill('SIGINT')
+
+    /** @type {number | null} */
+    const code = await new Promise(function (resolve) {
+      child.on('close', resolve)
+    })
+
+    assert.equal(code, 1)
+    assert.match(stderr, /Unexpected abort while checking/)
+  })
+
+  server.closeAllConnections()
+  server.close()
+})
+
+test('reporters', async function (t) {
+  const results = createResults()
+
+  await t.test('should report JSON Lines', async function () {
+    assert.equal(
+      reportJsonLines(results),
+      [
+        '{"href":"https://example.com/","status":"alive","statusCode":200,"url":"https://example.com/","messages":[]}',
+        '{"href":"https://example.com/a","status":"dead","messages":[{"fatal":true,"reason":"Unexpected not ok response `404` (`Not Found`) on `https://example.com/a`","ruleId":"dead","source":"dead-or-alive","url":"https://github.com/wooorm/dead-or-alive#dead"},{"reason":"Unexpected hash in URL `https://example.com/a#<b>` & \\"c\\"","ruleId":"lost-hash-with-redirect","source":"dead-or-alive","url":"https://github.com/wooorm/dead-or-alive#lost-hash-with-redirect"}]}',
+        '{"href":"https://example.com/c","status":"unknown","statusCode":429,"messages":[{"fatal":true,"reason":"Unexpected rate limit response `429` (`Too Many Requests`) on `https://example.com/c`, try again later","ruleId":"rate-limited","source":"dead-or-alive","url":"https://github.com/wooorm/dead-or-alive#rate-limited"}]}',
+        '{"href":"https://example.com/d","status":"dead","messages":[{"fatal":true,"reason":"Something\\r\\nelse, 100%: yes"}]}',
+        ''
+      ].join('\n')
+    )
+  })
+
+  await t.test('should report GitHub annotations', async function () {
+    assert.equal(
+      reportGitHub(results),
+      [
+        '::error title=dead (dead-or-alive)::https://example.com/a: Unexpected not ok response `404` (`Not Found`) on `https://example.com/a`%0A%0ASee: https://github.com/wooorm/dead-or-alive#dead',
+        '::warning title=lost-hash-with-redirect (dead-or-alive)::https://example.com/a: Unexpected hash in URL `https://example.com/a#<b>` & "c"%0A%0ASee: https://github.com/wooorm/dead-or-alive#lost-hash-with-redirect',
+        '::warning title=rate-limited (dead-or-alive)::https://example.com/c: Unexpected rate limit response `429` (`Too Many Requests`) on `https://example.com/c`, try again later%0A%0ASee: https://github.com/wooorm/dead-or-alive#rate-limited',
+        '::error title=message (dead-or-alive)::https://example.com/d: Something%0D%0Aelse, 100%25: yes',
+        ''
+      ].join('\n')
+    )
+  })
+
+  await t.test('should report JUnit XML', async function () {
+    assert.equal(
+      reportJunit(results),
+      [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<testsuites name="dead-or-alive" tests="4" failures="2" errors="0" skipped="1" time="1.155">',
+        '  <testsuite name="dead-or-alive" tests="4" failures="2" errors="0" skipped="1" time="1.155">',
+        '    <testcase classname="dead-or-alive" name="https://example.com/" time="0.120"/>',
+        '    <testcase classname="dead-or-alive" name="https://example.com/a" time="0.030">',
+        '      <failure message="Unexpected not ok response `404` (`Not Found`) on `https://example.com/a`" type="dead">Unexpected not ok response `404` (`Not Found`) on `https://example.com/a` [dead] (https://github.com/wooorm/dead-or-alive#dead)</failure>',
+        '      <system-out>Unexpected hash in URL `https://example.com/a#&lt;b&gt;` &amp; &quot;c&quot; [lost-hash-with-redirect] (https://github.com/wooorm/dead-or-alive#lost-hash-with-redirect)</system-out>',
+        '    </testcase>',
+        '    <testcase classname="dead-or-alive" name="https://example.com/c" time="1.000">',
+        '      <skipped message="Unexpected rate limit response `429` (`Too Many Requests`) on `https://example.com/c`, try again later"/>',
+        '    </testcase>',
+        '    <testcase classname="dead-or-alive" name="https://example.com/d" time="0.005">',
+        '      <failure message="Something&#13;&#10;else, 100%: yes">Something\r',
+        'else, 100%: yes</failure>',
+        '    </testcase>',
+        '  </testsuite>',
+        '</testsuites>',
+        ''
+      ].join('\n')
+    )
+  })
+
+  await t.test('should report SARIF', async function () {
+    const location = {
+      logicalLocations: [
+        {fullyQualifiedName: 'https://example.com/a', kind: 'resource'}
+      ]
+    }
+    const properties = {url: 'https://example.com/a'}
+
+    assert.deepEqual(JSON.parse(reportSarif(results)), {
+      $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+      version: '2.1.0',
+      runs: [
+        {
+          tool: {
+            driver: {
+              informationUri: 'https://github.com/wooorm/dead-or-alive',
+              name: 'dead-or-alive',
+              rules: [
+                {
+                  helpUri: 'https://github.com/wooorm/dead-or-alive#dead',
+                  id: 'dead'
+                },
+                {
+                  helpUri:
+                    'https://github.com/wooorm/dead-or-alive#lost-hash-with-redirect',
+                  id: 'lost-hash-with-redirect'
+                },
+                {
+                  helpUri:
+                    'https://github.com/wooorm/dead-or-alive#rate-limited',
+                  id: 'rate-limited'
+                }
+              ]
+            }
+          },
+          results: [
+            {
+              ruleId: 'dead',
+              ruleIndex: 0,
+              level: 'error',
+              message: {
+                text: 'Unexpected not ok response `404` (`Not Found`) on `https://example.com/a`'
+              },
+              locations: [location],
+              properties
+            },
+            {
+              ruleId: 'lost-hash-with-redirect',
+              ruleIndex: 1,
+              level: 'warning',
+              message: {
+                text: 'Unexpected hash in URL `https://example.com/a#<b>` & "c"'
+              },
+              locations: [location],
+              properties
+            },
+            {
+              ruleId: 'rate-limited',
+              ruleIndex: 2,
+              level: 'warning',
+              message: {
+                text: 'Unexpected rate limit response `429` (`Too Many Requests`) on `https://example.com/c`, try again later'
+              },
+              locations: [
+                {
+                  logicalLocations: [
+                    {
+                      fullyQualifiedName: 'https://example.com/c',
+                      kind: 'resource'
+                    }
+                  ]
+                }
+              ],
+              properties: {url: 'https://example.com/c'}
+            },
+            {
+              level: 'error',
+              message: {text: 'Something\r\nelse, 100%: yes'},
+              locations: [
+                {
+                  logicalLocations: [
+                    {
+                      fullyQualifiedName: 'https://example.com/d',
+                      kind: 'resource'
+                    }
+                  ]
+                }
+              ],
+              properties: {url: 'https://example.com/d'}
+            }
+          ]
+        }
+      ]
+    })
+  })
+
+  await t.test('should reuse rules in SARIF', async function () {
+    const message = new VFileMessage('x', {ruleId: 'a', source: 'b'})
+    const sarif = reportSarif(
+      new Map([
+        ['https://example.com/a', createResult('alive', [message])],
+        ['https://example.com/b', createResult('alive', [message])]
+      ])
+    )
+    assert.equal(sarif.match(/"id": "a"/g)?.length, 1)
+    assert.equal(sarif.match(/"ruleIndex": 0/g)?.length, 2)
+  })
+
+  await t.test('should report files', async function () {
+    const file = new VFile({path: 'docs/readme.md'})
+    const error = file.message('Unexpected missing anchor', {
+      place: {start: {line: 3, column: 5}, end: {line: 3, column: 9}},
+      ruleId: 'missing-anchor',
+      source: 'dead-or-alive'
+    })
+    error.fatal = true
+    error.url = 'https://github.com/wooorm/dead-or-alive#missing-anchor'
+    file.message('Unexpected slow response', {
+      place: {line: 1, column: 2},
+      ruleId: 'timeout',
+      source: 'dead-or-alive'
+    })
+    file.message('Something')
+    const files = [file, new VFile({path: 'index.html'})]
+
+    assert.equal(
+      reportGitHub(files),
+      [
+        '::error file=docs/readme.md,line=3,col=5,endLine=3,endColumn=9,title=missing-anchor (dead-or-alive)::Unexpected missing anchor%0A%0ASee: https://github.com/wooorm/dead-or-alive#missing-anchor',
+        '::warning file=docs/readme.md,line=1,col=2,title=timeout (dead-or-alive)::Unexpected slow response',
+        '::warning file=docs/readme.md,title=message (dead-or-alive)::Something',
+        ''
+      ].join('\n')
+    )
+
+    assert.equal(
+      reportJsonLines(files),
+      [
+        '{"path":"docs/readme.md","status":"dead","messages":[{"fatal":true,"startLine":3,"startColumn":5,"endLine":3,"endColumn":9,"reason":"Unexpected missing anchor","ruleId":"missing-anchor","source":"dead-or-alive","url":"https://github.com/wooorm/dead-or-alive#missing-anchor"},{"fatal":false,"startLine":1,"startColumn":2,"reason":"Unexpected slow response","ruleId":"timeout","source":"dead-or-alive"},{"fatal":false,"reason":"Something"}]}',
+        '{"path":"index.html","status":"alive","messages":[]}',
+        ''
+      ].join('\n')
+    )
+
+    assert.equal(
+      reportJunit([...files].reverse()),
+      [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<testsuites name="dead-or-alive" tests="2" failures="1" errors="0" skipped="0" time="0.000">',
+        '  <testsuite name="dead-or-alive" tests="2" failures="1" errors="0" skipped="0" time="0.000">',
+        '    <testcase classname="dead-or-alive" name="index.html"/>',
+        '    <testcase classname="dead-or-alive" name="docs/readme.md">',
+        '      <failure message="Unexpected missing anchor" type="missing-anchor">3:5: Unexpected missing anchor [missing-anchor] (https://github.com/wooorm/dead-or-alive#missing-anchor)</failure>',
+        '      <system-out>1:2: Unexpected slow response [timeout]',
+        'Something</system-out>',
+        '    </testcase>',
+        '  </testsuite>',
+        '</testsuites>',
+        ''
+      ].join('\n')
+    )
+
+    const sarif = /** @type {SarifReport} */ (JSON.parse(reportSarif(files)))
+    assert.deepEqual(
+      sarif.runs[0].results.map(function (d) {
+        return d.locations[0].physicalLocation
+      }),
+      [
+        {
+          artifactLocation: {uri: 'docs/readme.md'},
+          region: {startLine: 3, startColumn: 5, endLine: 3, endColumn: 9}
+        },
+        {
+          artifactLocation: {uri: 'docs/readme.md'},
+          region: {startLine: 1, startColumn: 2}
+        },
+        {artifactLocation: {uri: 'docs/readme.md'}}
+      ]
+    )
+  })
+
+  await t.test('should report nothing', async function () {
+    /** @type {Map<string, Result>} */
+    const empty = new Map()
+    assert.equal(reportGitHub(empty), '')
+    assert.equal(reportJsonLines(empty), '')
+    assert.match(reportJunit(empty), /tests="0"/)
+    assert.match(reportSarif(empty), /"results": \[]/)
+  })
+
+  await t.test('should support `--reporter` in the CLI', async function () {
+    const server = http.createServer(function (_, response) {
+      response.writeHead(404)
+      response.end('')
+    })
+
+    await new Promise(function (resolve) {
+      server.listen(0, '127.0.0.1', function () {
+        resolve(undefined)
+      })
+    })
+
+    const address = /** @type {import('node:net').AddressInfo} */ (
+      server.address()
+    )
+    const href = 'http://127.0.0.1:' + address.port + '/'
+    const json = await run(['--reporter', 'json', '--max-retries', '0', href])
+    const sarif = await run(['-r', 'sarif', '--max-retries', '0', href])
+    const invalid = await run(['--reporter', 'html', href])
+
+    server.close()
+
+    assert.equal(json.code, 1)
+    assert.equal(json.stderr, '')
+    assert.match(json.stdout, /"status":"dead"/)
+    assert.equal(sarif.code, 1)
+    assert.match(sarif.stdout, /"ruleId": "dead"/)
+    assert.deepEqual(invalid, {
+      code: 2,
+      stderr:
+        'dead-or-alive: Unexpected reporter `html` for `--reporter`, expected `github`, `json`, `junit`, or `sarif`\n',
+      stdout: ''
+    })
+  })
+})
+
+test('serializeResult', async function (t) {
+  await t.test('should serialize results', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('https://example.com')
+    interceptable
+      .intercept({path: '/a'})
+      .reply(301, '', {headers: {location: '/b'}})
+    interceptable.intercept({path: '/b'}).reply(200, '<a href=/c>c</a>', {
+      headers: {'Content-Type': 'text/html', etag: '"1"'}
+    })
+    /** @type {Error & {code?: string}} */
+    const cause = new Error('connect ECONNREFUSED')
+    cause.code = 'ECONNREFUSED'
+    interceptable.intercept({path: '/d'}).replyWithError(cause)
+
+    const results = await deadOrAliveMany(
+      ['https://example.com/a#x', 'https://example.com/d'],
+      {maxRetries: 0}
+    )
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    const alive = serializeResult(
+      /** @type {Result} */ (results.get('https://example.com/a#x'))
+    )
+    const dead = serializeResult(
+      /** @type {Result} */ (results.get('https://example.com/d'))
+    )
+
+    assert.deepEqual(
+      {...alive, timings: undefined},
+      {
+        headers: {'content-type': 'text/html', etag: '"1"'},
+        messages: [
+          {
+            cause: null,
+            fatal: null,
+            reason:
+              'Unexpected hash in URL `https://example.com/a#x` that redirects to `https://example.com/b` losing the hash, remove the hash from the original URL',
+            ruleId: 'lost-hash-with-redirect',
+            source: 'dead-or-alive',
+            url: 'https://github.com/wooorm/dead-or-alive#lost-hash-with-redirect'
+          }
+        ],
+        permanent: true,
+        redirects: [
+          {
+            from: 'https://example.com/a#x',
+            permanent: true,
+            status: 301,
+            to: 'https://example.com/b'
+          }
+        ],
+        status: 'alive',
+        statusCode: 200,
+        statusText: 'OK',
+        timings: undefined,
+        url: 'https://example.com/b',
+        urls: ['https://example.com/c']
+      }
+    )
+    assert.equal(typeof alive.timings.firstByte, 'number')
+
+    assert.deepEqual(
+      {...dead, timings: undefined},
+      {
+        headers: null,
+        messages: [
+          {
+            cause: {
+              cause: {
+                cause: null,
+                code: 'ECONNREFUSED',
+                message: 'connect ECONNREFUSED',
+                name: 'Error'
+              },
+              code: null,
+              message: 'fetch failed',
+              name: 'TypeError'
+            },
+            fatal: true,
+            reason:
+              'Unexpected connection failure fetching `https://example.com/d`',
+            ruleId: 'connection',
+            source: 'dead-or-alive',
+            url: 'https://github.com/wooorm/dead-or-alive#connection'
+          }
+        ],
+        permanent: null,
+        redirects: [],
+        status: 'unknown',
+        statusCode: null,
+        statusText: null,
+        timings: undefined,
+        url: null,
+        urls: null
+      }
+    )
+    assert.equal(dead.timings.firstByte, null)
+
+    // Through JSON and back.
+    for (const value of [alive, dead]) {
+      const json = JSON.stringify(value)
+      /** @type {SerializedResult} */
+      const parsed = JSON.parse(json)
+      assert.deepEqual(serializeResult(deserializeResult(parsed)), value)
+    }
+  })
+
+  await t.test('should deserialize results', async function () {
+    const result = deserializeResult({
+      headers: null,
+      messages: [
+        {
+          cause: {
+            cause: {
+              cause: null,
+              code: 'ENOTFOUND',
+              message: 'getaddrinfo ENOTFOUND',
+              name: 'Error'
+            },
+            code: null,
+            message: 'fetch failed',
+            name: 'TypeError'
+          },
+          fatal: true,
+          reason: 'Unexpected unresolvable host',
+          ruleId: 'dns',
+          source: 'dead-or-alive',
+          url: 'https://github.com/wooorm/dead-or-alive#dns'
+        },
+        {
+          cause: null,
+          fatal: null,
+          reason: 'Something',
+          ruleId: null,
+          source: null,
+          url: null
+        }
+      ],
+      permanent: null,
+      redirects: [],
+      status: 'dead',
+      statusCode: null,
+      statusText: null,
+      timings: {firstByte: null, sleep: 0, total: 1},
+      url: null,
+      urls: null
+    })
+
+    const [first, second] = result.messages
+    assert.ok(first instanceof VFileMessage)
+    assert.equal(first.fatal, true)
+    assert.equal(first.ruleId, 'dns')
+    assert.equal(first.url, 'https://github.com/wooorm/dead-or-alive#dns')
+    assert.ok(first.cause instanceof Error)
+    assert.equal(first.cause.name, 'TypeError')
+    assert.ok(first.cause.cause instanceof Error)
+    assert.equal(
+      /** @type {Error & {code?: string}} */ (first.cause.cause).code,
+      'ENOTFOUND'
+    )
+    assert.equal(second.fatal, undefined)
+    assert.equal(second.ruleId, undefined)
+    assert.equal(second.url, undefined)
+    assert.equal(result.timings.firstByte, undefined)
+    assert.equal(result.url, undefined)
+  })
+
+  await t.test('should serialize odd causes', async function () {
+    const message = new VFileMessage('x')
+    message.cause = /** @type {Error} */ (/** @type {unknown} */ ('y'))
+    const other = new VFileMessage('x')
+    other.cause = /** @type {Error} */ (/** @type {unknown} */ ({}))
+
+    assert.deepEqual(
+      serializeResult(createResult('alive', [message, other])).messages.map(
+        function (d) {
+          return d.cause
+        }
+      ),
+      [
+        {cause: null, code: null, message: 'y', name: 'Error'},
+        {cause: null, code: null, message: '[object Object]', name: 'Error'}
+      ]
+    )
+  })
+
+  await t.test('should fail on invalid results', async function () {
+    const base = serializeResult(createResult('alive', []))
+
+    assert.throws(function () {
+      deserializeResult({...base, url: null})
+    }, /Unexpected result with status `alive` without `url`/)
+
+    assert.throws(function () {
+      deserializeResult({...base, status: 'dead', url: null})
+    }, /Unexpected result with status `dead` without messages/)
+  })
+})
+
+test('checkFiles', async function (t) {
+  const folder = await fs.mkdtemp(path.join(os.tmpdir(), 'dead-or-alive-'))
+  const base = pathToFileURL(folder + '/')
+
+  await fs.mkdir(path.join(folder, 'docs'))
+  await fs.writeFile(
+    path.join(folder, 'readme.md'),
+    [
+      '# Install',
+      '',
+      '[a](#install), [b](#user-content-install), [c](#user-content-instal), [d](#instal).',
+      '',
+      '[e](docs/guide.md#usage), [f](docs/missing.md), ![g](docs/), [h][], [i](docs/#x).',
+      '',
+      '[j](notes.txt#anything), [k](#:~:text=install), [l](#install:~:text=x), [m](#L1), <a href="#install">u</a>.',
+      '',
+      '[n](https://example.com/ok), [o](https://example.com/missing), [p](https://example.com/down), [q](mailto:a@b.c).',
+      '',
+      '<div>',
+      '  <a href="docs/guide.md#nope">s</a> <a href="https://[">t</a>',
+      '</div>',
+      '',
+      '[h]: docs/guide.md?x=1#top',
+      ''
+    ].join('\n')
+  )
+  await fs.writeFile(
+    path.join(folder, 'docs', 'guide.md'),
+    [
+      '# Usage',
+      '',
+      '<a name="top"></a>',
+      '',
+      '> ## Quoted heading',
+      '',
+      '- ### Listed',
+      '',
+      '[a](#quoted-heading), [b](#listed), [c](../readme.md#install).',
+      ''
+    ].join('\n')
+  )
+  await fs.writeFile(
+    path.join(folder, 'index.html'),
+    '<h1 id="a">A</h1><a name="b"></a><a href="#a">x</a><a href="#b">y</a><a href="#c">z</a><a href="readme.md#install">w</a><img src="missing.png">\n'
+  )
+  await fs.writeFile(path.join(folder, 'notes.txt'), 'x\n')
+
+  await t.test('should check local files', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.enableNetConnect(/(?=a)b/)
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('https://example.com')
+    interceptable.intercept({path: '/ok'}).reply(200, 'ok', {
+      headers: {'Content-Type': 'text/plain'}
+    })
+    interceptable.intercept({path: '/missing'}).reply(404, '')
+    interceptable.intercept({path: '/down'}).reply(503, '')
+
+    const {files, results} = await checkFiles(['*', 'docs/*'], {
+      anchorAllowlist: [[/readme\.md$/, /^L\d+$/]],
+      cwd: base,
+      maxRetries: 0
+    })
+
+    await mockAgent.close()
+    await setGlobalDispatcher(globalDispatcher)
+
+    assert.deepEqual(
+      files.map(function (file) {
+        return [
+          file.path,
+          file.messages.map(function (message) {
+            return [
+              message.line + ':' + message.column,
+              message.ruleId,
+              message.fatal
+            ]
+          })
+        ]
+      }),
+      [
+        ['docs/guide.md', []],
+        [
+          'index.html',
+          [
+            ['1:70', 'missing-anchor', true],
+            ['1:121', 'missing-file', true]
+          ]
+        ],
+        [
+          'readme.md',
+          [
+            ['3:44', 'missing-anchor', true],
+            ['3:71', 'missing-anchor', true],
+            ['5:27', 'missing-file', true],
+            // Folder without `index.html`.
+            ['5:49', 'missing-file', true],
+            ['5:69', 'missing-file', true],
+            ['9:30', 'dead', true],
+            ['9:64', 'dead', false],
+            ['12:3', 'missing-anchor', true]
+          ]
+        ]
+      ]
+    )
+
+    const readme = files[2]
+    assert.equal(
+      readme.messages[1].reason,
+      'Unexpected missing anchor element on `' +
+        base.href +
+        'readme.md` for fragment `instal`, remove if unneeded or refer to an existing element such as `install`'
+    )
+    assert.equal(
+      readme.messages[2].reason,
+      'Unexpected missing file at `' +
+        base.href +
+        'docs/missing.md`, remove if unneeded or refer to an existing file'
+    )
+    assert.equal(
+      readme.messages[2].url,
+      'https://github.com/wooorm/dead-or-alive#missing-file'
+    )
+    assert.equal(readme.messages[2].file, 'readme.md')
+
+    assert.deepEqual(
+      [...results].map(function ([href, result]) {
+        return [href.replace(base.href, ''), result.status]
+      }),
+      [
+        ['docs/guide.md#quoted-heading', 'alive'],
+        ['docs/guide.md#listed', 'alive'],
+        ['readme.md#install', 'alive'],
+        ['index.html#a', 'alive'],
+        ['index.html#b', 'alive'],
+        ['index.html#c', 'dead'],
+        ['missing.png', 'dead'],
+        ['readme.md#user-content-install', 'alive'],
+        ['readme.md#user-content-instal', 'dead'],
+        ['readme.md#instal', 'dead'],
+        ['docs/guide.md#usage', 'alive'],
+        ['docs/missing.md', 'dead'],
+        ['docs/', 'dead'],
+        ['docs/#x', 'dead'],
+        ['notes.txt#anything', 'alive'],
+        ['readme.md#:~:text=install', 'alive'],
+        ['readme.md#install:~:text=x', 'alive'],
+        ['readme.md#L1', 'alive'],
+        ['https://example.com/ok', 'alive'],
+        ['https://example.com/missing', 'dead'],
+        ['https://example.com/down', 'unknown'],
+        ['docs/guide.md#nope', 'dead'],
+        ['docs/guide.md?x=1#top', 'alive']
+      ]
+    )
+  })
+
+  await t.test('should support `checkAnchor: false`', async function () {
+    const {files} = await checkFiles('index.html', {
+      checkAnchor: false,
+      cwd: folder
+    })
+
+    assert.deepEqual(
+      files.map(function (file) {
+        return file.messages.map(function (message) {
+          return message.ruleId
+        })
+      }),
+      [['missing-file']]
+    )
+  })
+
+  await t.test(
+    'should support `resolveClobberPrefix: false`',
+    async function () {
+      await fs.writeFile(
+        path.join(folder, 'docs', 'clobber.md'),
+        '# Install\n\n[a](#user-content-install)\n'
+      )
+
+      const {results} = await checkFiles('docs/clobber.md', {
+        cwd: folder,
+        resolveClobberPrefix: false
+      })
+
+      assert.equal(
+        results.get(base.href + 'docs/clobber.md#user-content-install')?.status,
+        'dead'
+      )
+    }
+  )
+
+  await t.test(
+    'should resolve site-absolute links from `root`',
+    async function () {
+      await fs.mkdir(path.join(folder, 'site', 'about'), {recursive: true})
+      await fs.mkdir(path.join(folder, 'site', 'empty'))
+      await fs.writeFile(
+        path.join(folder, 'site', 'index.html'),
+        '<a href="/about/">a</a><a href="/about#team">b</a><a href="/about/#nope">c</a><a href="/empty/">d</a><a href="/missing/">e</a>\n'
+      )
+      await fs.writeFile(
+        path.join(folder, 'site', 'about', 'index.html'),
+        '<h2 id="team">Team</h2>\n'
+      )
+
+      const fromCwd = await checkFiles('index.html', {
+        cwd: path.join(folder, 'site')
+      })
+      const fromRoot = await checkFiles('site/index.html', {
+        cwd: folder,
+        root: 'site'
+      })
+      const fromUrl = await checkFiles('site/index.html', {
+        cwd: folder,
+        root: new URL('site/', base)
+      })
+
+      for (const {results} of [fromCwd, fromRoot, fromUrl]) {
+        assert.deepEqual(
+          [...results].map(function ([href, result]) {
+            return [href.replace(base.href, ''), result.status]
+          }),
+          [
+            ['site/about/', 'alive'],
+            ['site/about#team', 'alive'],
+            ['site/about/#nope', 'dead'],
+            ['site/empty/', 'dead'],
+            ['site/missing/', 'dead']
+          ]
+        )
+      }
+
+      assert.equal(
+        fromCwd.files[0].messages[0].reason,
+        'Unexpected missing anchor element on `' +
+          base.href +
+          'site/about/index.html` for fragment `nope`, remove if unneeded or refer to an existing element'
+      )
+      assert.equal(
+        fromCwd.files[0].messages[1].reason,
+        'Unexpected missing file at `' +
+          base.href +
+          'site/empty/index.html`, remove if unneeded or refer to an existing file'
+      )
+    }
+  )
+
+  await t.test('should use the current working directory', async function () {
+    const {files} = await checkFiles(path.join(folder, 'docs', 'guide.md'))
+
+    assert.deepEqual(
+      files.map(function (file) {
+        return file.path
+      }),
+      [path.relative(process.cwd(), path.join(folder, 'docs', 'guide.md'))]
+    )
+  })
+
+  await fs.rm(folder, {recursive: true})
+})
+
+test('localFolders', async function (t) {
+  const folder = await fs.mkdtemp(path.join(os.tmpdir(), 'dead-or-alive-'))
+
+  await fs.mkdir(path.join(folder, 'docs'))
+  await fs.mkdir(path.join(folder, 'posts'))
+  await fs.writeFile(
+    path.join(folder, 'index.html'),
+    '<h1 id=top>Top</h1><a href="/docs/">Docs</a>'
+  )
+  await fs.writeFile(
+    path.join(folder, 'docs', 'index.html'),
+    '<h2 id=install>Install</h2>'
+  )
+  await fs.writeFile(path.join(folder, 'about.html'), '<h1 id=about>About</h1>')
+  await fs.writeFile(
+    path.join(folder, 'old.html'),
+    '<meta http-equiv=refresh content="0;url=/about">'
+  )
+  await fs.writeFile(path.join(folder, 'posts', 'hello.html'), '<p>Hi</p>')
+  await fs.writeFile(path.join(folder, 'notes.txt'), 'Notes.\n')
+  await fs.writeFile(path.join(folder, 'data.bin'), 'Data.\n')
+  await fs.writeFile(
+    path.join(folder, '_redirects'),
+    [
+      '# Redirects.',
+      '',
+      '/moved /about',
+      '/blog/* /posts/:splat 302',
+      '/external https://example.org/ 308',
+      '/rewrite /about 200',
+      '/odd /about 399',
+      '/lonely',
+      ''
+    ].join('\n')
+  )
+
+  await t.test('should respond from local folders', async function () {
+    const globalDispatcher = getGlobalDispatcher()
+    const mockAgent = new MockAgent()
+    mockAgent.disableNetConnect()
+    setGlobalDispatcher(mockAgent)
+    const interceptable = mockAgent.get('https://example.org')
+    interceptable.intercept({path: '/robots.txt'}).reply(404, '')
+    interceptable.intercept({path: '/'}).reply(200, '')
+
+    const results = await deadOrAliveMany(
+      [
+        'https://example.com/',
+        'https://example.com/#top',
+        'https://example.com/#nope',
+        'https://example.com/docs',
+        'https://example.com/docs/#install',
+        'https://example.com/docs/missing/',
+        'https://example.com/about#about',
+        'https://example.com/old',
+        'https://example.com/moved',
+        'https://example.com/blog/hello',
+        'https://example.com/external',
+        'https://example.com/rewrite',
+        'https://example.com/odd',
+        'https://example.com/missing',
+        'https://example.com/%E0%A4%A',
+        'https://example.com/%2E%2E%2Fsecret',
+        'https://example.com/notes.txt',
+        'https://example.com/data.bin'
+      ],
+      {
+        localFolders: [['https://example.com/', pathToFileURL(folder + '/')]],
+        maxRetries: 0,
+        robots: true
+      }
+    )
 
     await mockAgent.close()
     await setGlobalDispatcher(globalDispatcher)
 
-    assert.equal(result.status, 'alive')
-    assert.equal(result.url, 'https://example.com/')
-    assert.equal(result.messages.length, 0)
-    assert.deepEqual(result.urls ? [...result.urls] : [], [])
+    assert.deepEqual(
+      [...results].map(function ([href, result]) {
+        return [
+          href,
+          result.status,
+          result.url,
+          result.redirects.map(function (d) {
+            return d.status + ' ' + d.to
+          }),
+          result.messages.map(function (d) {
+            return d.ruleId
+          })
+        ]
+      }),
+      [
+        ['https://example.com/', 'alive', 'https://example.com/', [], []],
+        [
+          'https://example.com/#top',
+          'alive',
+          'https://example.com/#top',
+          [],
+          []
+        ],
+        [
+          'https://example.com/#nope',
+          'dead',
+          undefined,
+          [],
+          ['missing-anchor']
+        ],
+        [
+          'https://example.com/docs',
+          'alive',
+          'https://example.com/docs/',
+          ['301 https://example.com/docs/'],
+          []
+        ],
+        [
+          'https://example.com/docs/#install',
+          'alive',
+          'https://example.com/docs/#install',
+          [],
+          []
+        ],
+        ['https://example.com/docs/missing/', 'dead', undefined, [], ['dead']],
+        [
+          'https://example.com/about#about',
+          'alive',
+          'https://example.com/about#about',
+          [],
+          []
+        ],
+        [
+          'https://example.com/old',
+          'alive',
+          'https://example.com/about',
+          ['meta-refresh https://example.com/about'],
+          []
+        ],
+        [
+          'https://example.com/moved',
+          'alive',
+          'https://example.com/about',
+          ['301 https://example.com/about'],
+          []
+        ],
+        [
+          'https://example.com/blog/hello',
+          'alive',
+          'https://example.com/posts/hello',
+          ['302 https://example.com/posts/hello'],
+          []
+        ],
+        [
+          'https://example.com/external',
+          'alive',
+          'https://example.org/',
+          ['308 https://example.org/'],
+          []
+        ],
+        ['https://example.com/rewrite', 'dead', undefined, [], ['dead']],
+        [
+          'https://example.com/odd',
+          'alive',
+          'https://example.com/about',
+          ['399 https://example.com/about'],
+          []
+        ],
+        ['https://example.com/missing', 'dead', undefined, [], ['dead']],
+        ['https://example.com/%E0%A4%A', 'dead', undefined, [], ['dead']],
+        [
+          'https://example.com/%2E%2E%2Fsecret',
+          'dead',
+          undefined,
+          [],
+          ['dead']
+        ],
+        [
+          'https://example.com/notes.txt',
+          'alive',
+          'https://example.com/notes.txt',
+          [],
+          []
+        ],
+        [
+          'https://example.com/data.bin',
+          'alive',
+          'https://example.com/data.bin',
+          [],
+          []
+        ]
+      ]
+    )
+
+    const missing = /** @type {Result} */ (
+      results.get('https://example.com/missing')
+    )
+    assert.equal(
+      missing.messages[0].reason,
+      'Unexpected not ok response `404` (`Not Found`) on `https://example.com/missing`'
+    )
+    assert.equal(
+      results.get('https://example.com/notes.txt')?.headers?.['content-type'],
+      'text/plain'
+    )
+    assert.equal(
+      results.get('https://example.com/data.bin')?.headers?.['content-type'],
+      'application/octet-stream'
+    )
   })
 
   await t.test(
-    'should not find further urls w/ `findUrls: false`',
+    'should not store responses from local folders',
     async function () {
-      const globalDispatcher = getGlobalDispatcher()
-      const mockAgent = new MockAgent()
-      mockAgent.enableNetConnect(/(?=a)b/)
-      setGlobalDispatcher(mockAgent)
-      const interceptable = mockAgent.get('https://example.com')
-      interceptable.intercept({path: '/'}).reply(200, '<a href=a>b</a>', {
-        headers: {'Content-type': 'text/html'}
+      const cache = createCache()
+      const result = await deadOrAlive('https://example.com/docs/#install', {
+        cache,
+        localFolders: [['https://example.com/docs/', path.join(folder, 'docs')]]
       })
 
-      const result = await deadOrAlive('https://example.com', {findUrls: false})
-
-      await mockAgent.close()
-      await setGlobalDispatcher(globalDispatcher)
-
       assert.equal(result.status, 'alive')
-      assert.equal(result.url, 'https://example.com/')
-      assert.equal(result.messages.length, 0)
-      assert.equal(result.urls, undefined)
+      assert.equal(cache.map.size, 0)
     }
   )
 
-  await t.test('should be fast if html is not needed', async function () {
-    const globalDispatcher = getGlobalDispatcher()
-    const mockAgent = new MockAgent()
-    mockAgent.enableNetConnect(/(?=a)b/)
-    setGlobalDispatcher(mockAgent)
-    const interceptable = mockAgent.get('https://example.com')
-    interceptable
-      .intercept({path: '/'})
-      .reply(200, 'ok', {headers: {'Content-type': 'text/html'}})
+  await t.test('should work w/o `_redirects`', async function () {
+    const result = await deadOrAlive('https://example.com/docs/moved', {
+      localFolders: [['https://example.com/docs/', path.join(folder, 'docs')]]
+    })
 
-    const result = await deadOrAlive('https://example.com', {
-      checkAnchor: false,
-      findUrls: false,
-      followMetaHttpEquiv: false
+    assert.equal(result.status, 'dead')
+  })
+
+  await t.test('should support `--local-folder`', async function () {
+    const result = await run([
+      '--local-folder',
+      'https://example.com/ ' + folder,
+      'https://example.com/docs#install',
+      'https://example.com/#nope'
+    ])
+
+    assert.equal(result.code, 1)
+    assert.match(
+      result.stderr,
+      /https:\/\/example\.com\/docs#install\n.*info.*lost-hash-with-redirect/
+    )
+    assert.match(result.stderr, /error.*`nope`/)
+  })
+
+  await fs.rm(folder, {recursive: true})
+})
+
+test('createFileSystemCache', async function (t) {
+  const folder = new URL(
+    'dead-or-alive-' + Math.random().toString(36).slice(2) + '/',
+    pathToFileURL(os.tmpdir() + '/')
+  )
+
+  await t.test('should work', async function () {
+    const cache = createFileSystemCache(folder)
+    /** @type {CacheEntry} */
+    const entry = {
+      body: undefined,
+      headers: {'content-type': 'text/plain'},
+      status: 200,
+      statusText: 'OK',
+      time: 1,
+      url: 'https://example.com/'
+    }
+
+    assert.equal(await cache.get('https://example.com/'), undefined)
+    await cache.set('https://example.com/', entry)
+    assert.deepEqual(await cache.get('https://example.com/'), {
+      headers: {'content-type': 'text/plain'},
+      status: 200,
+      statusText: 'OK',
+      time: 1,
+      url: 'https://example.com/'
     })
+  })
 
-    await mockAgent.close()
-    await setGlobalDispatcher(globalDispatcher)
+  await t.test('should work w/ a string', async function () {
+    const cache = createFileSystemCache(fileURLToPath(folder))
+    const entry = await cache.get('https://example.com/')
+    assert.equal(entry?.status, 200)
+  })
 
-    assert.equal(result.status, 'alive')
-    assert.equal(result.url, 'https://example.com/')
-    assert.equal(result.messages.length, 0)
-    assert.equal(result.urls, undefined)
+  await t.test('should ignore broken files', async function () {
+    const cache = createFileSystemCache(folder)
+    const [name] = await fs.readdir(folder)
+    await fs.writeFile(new URL(name, folder), '{"headers":{')
+    assert.equal(await cache.get('https://example.com/'), undefined)
   })
 
-  await t.test('should be fast if retries are not needed', async function () {
+  await fs.rm(folder, {recursive: true})
+})
+
+test('createMemoryCache', async function (t) {
+  await t.test('should share responses between calls', async function () {
     const globalDispatcher = getGlobalDispatcher()
     const mockAgent = new MockAgent()
     mockAgent.enableNetConnect(/(?=a)b/)
     setGlobalDispatcher(mockAgent)
+    // Only one reply: a second request would fail.
+    mockAgent
+      .get('https://cache.example.com')
+      .intercept({path: '/'})
+      .reply(200, 'ok')
+    const cache = createMemoryCache()
 
-    const result = await deadOrAlive('https://example.com', {
+    const first = await deadOrAlive('https://cache.example.com', {
+      cache,
+      maxRetries: 0
+    })
+    const second = await deadOrAlive('https://cache.example.com', {
+      cache,
       maxRetries: 0
     })
 
     await mockAgent.close()
     await setGlobalDispatcher(globalDispatcher)
 
-    assert.equal(result.status, 'dead')
-    assert.equal(result.url, undefined)
-    assert.equal(result.urls, undefined)
-    const message = result.messages[0]
-    assert.equal(
-      message.reason,
-      'Unexpected error fetching `https://example.com/`'
-    )
-    assert.equal(message.ruleId, 'fetch')
-    assert.equal(message.source, 'dead-or-alive')
+    assert.equal(first.status, 'alive')
+    assert.equal(second.status, 'alive')
   })
 
-  await t.test('should be fast if sleep is fast', async function () {
+  await t.test('should revalidate stale responses', async function () {
     const globalDispatcher = getGlobalDispatcher()
     const mockAgent = new MockAgent()
     mockAgent.enableNetConnect(/(?=a)b/)
     setGlobalDispatcher(mockAgent)
-
-    const result = await deadOrAlive('https://example.com', {
-      sleep() {
-        return 40
+    /** @type {Array<unknown>} */
+    const seen = []
+    const interceptable = mockAgent.get('https://cache.example.com')
+    interceptable.intercept({path: '/stale'}).reply(200, 'ok', {
+      headers: {
+        etag: '"a"',
+        'last-modified': 'Wed, 01 Jan 2025 00:00:00 GMT'
       }
     })
+    interceptable.intercept({path: '/stale'}).reply(function (options) {
+      const headers = new Headers(
+        /** @type {Record<string, string>} */ (options.headers)
+      )
+      seen.push(headers.get('if-none-match'), headers.get('if-modified-since'))
+      return {statusCode: 304, data: ''}
+    })
+    const cache = createMemoryCache()
+
+    const first = await deadOrAlive('https://cache.example.com/stale', {
+      cache,
+      cacheTtl: 0,
+      maxRetries: 0
+    })
+    const second = await deadOrAlive('https://cache.example.com/stale', {
+      cache,
+      cacheTtl: 0,
+      maxRetries: 0
+    })
 
     await mockAgent.close()
     await setGlobalDispatcher(globalDispatcher)
 
-    assert.equal(result.status, 'dead')
-    assert.equal(result.url, undefined)
-    assert.equal(result.urls, undefined)
-    const message = result.messages[0]
-    assert.equal(
-      message.reason,
-      'Unexpected error fetching `https://example.com/`'
-    )
-    assert.equal(message.ruleId, 'fetch')
-    assert.equal(message.source, 'dead-or-alive')
+    assert.equal(first.status, 'alive')
+    assert.equal(second.status, 'alive')
+    assert.deepEqual(seen, ['"a"', 'Wed, 01 Jan 2025 00:00:00 GMT'])
+  })
+
+  await t.test('should remove least recently used entries', async function () {
+    const cache = createMemoryCache({maxEntries: 2})
+    /** @type {CacheEntry} */
+    const entry = {
+      body: undefined,
+      headers: {},
+      status: 200,
+      statusText: 'OK',
+      time: Date.now(),
+      url: 'https://example.com/'
+    }
+
+    cache.set('https://example.com/a', entry)
+    cache.set('https://example.com/b', entry)
+    // Use `a`, so that `b` is removed when storing `c`.
+    assert.deepEqual(cache.get('https://example.com/a'), entry)
+    cache.set('https://example.com/c', entry)
+    assert.deepEqual(cache.get('https://example.com/a'), entry)
+    assert.equal(cache.get('https://example.com/b'), undefined)
+    assert.deepEqual(cache.get('https://example.com/c'), entry)
   })
 })
 
@@ -1135,6 +6154,671 @@ test('propose (internal util)', async function (t) {
   })
 })
 
+test('soft-404 (internal util)', async function (t) {
+  await t.test('should find titles of error pages', async function () {
+    /** @type {Array<[html: string, expected: string | undefined]>} */
+    const cases = [
+      ['<title>404</title>', '404'],
+      ['<title>Error 404 - Example</title>', 'Error 404 - Example'],
+      ['<title>Example</title><h1>Page not found</h1>', 'Page not found'],
+      ['<h1>Not found</h1>', 'Not found'],
+      [
+        '<h1>Sorry, that page doesn’t exist!</h1>',
+        'Sorry, that page doesn’t exist!'
+      ],
+      ['<title>Fixing module not found errors</title>', undefined],
+      ['<title>Top 404 pages</title>', undefined],
+      ['<p>Page not found</p>', undefined]
+    ]
+
+    for (const [html, expected] of cases) {
+      assert.equal(missingTitle(fromHtmlIsomorphic(html)), expected, html)
+    }
+  })
+
+  await t.test('should get text without the URL', async function () {
+    assert.equal(
+      fingerprint(
+        fromHtmlIsomorphic(
+          '<title>Missing</title><style>p{}</style><p>No <code>/a/b.html</code> (<a href=https://example.com/a/b.html>https://example.com/a/b.html</a>, or <em>b.html</em>) here.</p>'
+        ),
+        new URL('https://example.com/a/b.html')
+      ),
+      'MissingNo (, or ) here.'
+    )
+  })
+})
+
+test('text-fragments (internal util)', async function (t) {
+  await t.test('should parse text directives', async function () {
+    assert.deepEqual(parseTextDirective('a%20%20b'), {
+      end: undefined,
+      prefix: undefined,
+      start: 'a b',
+      suffix: undefined
+    })
+    assert.deepEqual(parseTextDirective('a-,b,c,-d'), {
+      end: 'c',
+      prefix: 'a',
+      start: 'b',
+      suffix: 'd'
+    })
+    assert.deepEqual(parseTextDirective('%2C-,b%2D'), {
+      end: undefined,
+      prefix: ',',
+      start: 'b-',
+      suffix: undefined
+    })
+    assert.equal(parseTextDirective(''), undefined)
+    assert.equal(parseTextDirective('a,b,c'), undefined)
+    assert.equal(parseTextDirective('a,'), undefined)
+    assert.equal(parseTextDirective('-,a'), undefined)
+    assert.equal(parseTextDirective('a,-'), undefined)
+    assert.equal(parseTextDirective('%'), undefined)
+  })
+
+  await t.test('should get text', async function () {
+    assert.equal(
+      getText(
+        fromHtmlIsomorphic(
+          '<title>a</title><template>b</template><p>c<em>d</em></p><p>e\n  f</p>'
+        )
+      ),
+      'cd e f'
+    )
+  })
+
+  await t.test('should match text directives', async function () {
+    const text = 'The smallest planet (Mercury) is $1 closest to the Sun.'
+    /** @type {Array<[value: string, expected: boolean]>} */
+    const cases = [
+      ['smallest', true],
+      ['SMALLEST  planet', true],
+      ['small', false],
+      ['(Mercury)', true],
+      ['$1', true],
+      ['the-,smallest', true],
+      ['a-,smallest', false],
+      ['smallest,-planet', true],
+      ['smallest,-moon', false],
+      ['smallest,sun', true],
+      ['smallest,moon', false],
+      ['the-,smallest,closest,-to', true]
+    ]
+
+    for (const [value, expected] of cases) {
+      const directive = parseTextDirective(value)
+      assert.ok(directive)
+      assert.equal(matchTextDirective(text, directive), expected, value)
+    }
+  })
+
+  await t.test('should get text candidates', async function () {
+    assert.deepEqual(textCandidates('a b a b c', 'x y'), ['a b', 'b a', 'b c'])
+  })
+})
+
+test('xml (internal util)', async function (t) {
+  await t.test('should find ids and URLs', async function () {
+    const result = parseXml(
+      [
+        '<?xml version="1.0"?>',
+        '<!DOCTYPE x [<!ENTITY a "<y id=\'no\'>">]>',
+        '<!-- <y id="no"/> -->',
+        '<x:root xmlns:x="urn:x" xmlns:xlink="http://www.w3.org/1999/xlink">',
+        '<![CDATA[<y id="no"/>]]>',
+        '< y id="no"/>',
+        '<y id = "a&lt;&#98;&#x63;&#X64;&#1114112;&unknown;" src=nope/>',
+        '<z xml:id=\'e&amp;f\' name="no" xlink:href=" g "/>',
+        '<x:a name="h" href="i"></x:a>',
+        '</x:root>'
+      ].join('\n')
+    )
+
+    assert.deepEqual(result, {
+      ids: new Set(['a<bc&#X64;&#1114112;&unknown;', 'e&f', 'h']),
+      urls: ['g', 'i']
+    })
+  })
+
+  await t.test('should support unclosed things', async function () {
+    assert.deepEqual(parseXml('<a id="b"/><!-- c'), {
+      ids: new Set(['b']),
+      urls: []
+    })
+    assert.deepEqual(parseXml('<!DOCTYPE a [ <a id="b"/>'), {
+      ids: new Set([]),
+      urls: []
+    })
+  })
+})
+
+test('github (internal util)', async function (t) {
+  await t.test('should find anchors in markdown', async function () {
+    assert.deepEqual(
+      markdownAnchors(
+        [
+          '# Alpha',
+          '## Alpha ##',
+          '### *Bravo* `charlie` [delta](https://example.com) ![echo][x]',
+          '#### snake_case and _emphasis_ & <b>HTML</b>!',
+          '##### Über café 🎉',
+          '######',
+          '####### Not a heading',
+          '    # Not a heading either',
+          '',
+          '```md',
+          '# In code',
+          '```js',
+          '````',
+          '',
+          '~~~',
+          '# In code',
+          '~~~',
+          '',
+          'Foxtrot',
+          'golf',
+          '---',
+          '',
+          '- list',
+          '---',
+          '',
+          '---',
+          '',
+          'Hotel',
+          '===',
+          '',
+          '<a name="india"></a><p id=\'juliett\'>',
+          '',
+          '> ## In a block quote',
+          '',
+          '- ### In a list item',
+          '',
+          '<div id="kilo">',
+          '',
+          '<b>Lima</b>',
+          '===',
+          '',
+          'Mike\\',
+          'November',
+          '---',
+          '',
+          '# Oscar[^1]',
+          '# Quebec![](a.png)',
+          '',
+          '[^1]: Papa.',
+          '',
+          '[x]: https://example.com'
+        ].join('\n')
+      ),
+      [
+        'alpha',
+        'alpha-1',
+        'bravo-charlie-delta-echo',
+        'snake_case-and-emphasis--html',
+        'über-café-',
+        '',
+        'foxtrot-golf',
+        'hotel',
+        'india',
+        'juliett',
+        'in-a-block-quote',
+        'in-a-list-item',
+        'kilo',
+        'lima',
+        'mike-november',
+        'oscar',
+        'quebec'
+      ]
+    )
+  })
+
+  await t.test('should number duplicate slugs like GitHub', async function () {
+    assert.deepEqual(markdownAnchors('# a\n# a\n# a-1\n# a'), [
+      'a',
+      'a-1',
+      'a-1-1',
+      'a-2'
+    ])
+  })
+
+  await t.test('should count lines', async function () {
+    /** @type {Array<[value: string, expected: number]>} */
+    const cases = [
+      ['', 0],
+      ['a', 1],
+      ['a\n', 1],
+      ['a\n\n', 2],
+      ['a\r\nb\rc', 3]
+    ]
+
+    for (const [value, expected] of cases) {
+      assert.equal(countLines(value), expected, JSON.stringify(value))
+    }
+  })
+})
+
+test('pdf (internal util)', async function (t) {
+  await t.test('should parse fragments', async function () {
+    /** @type {Array<[value: string, expected: Array<PdfFragment>]>} */
+    const cases = [
+      ['', []],
+      ['intro', [{type: 'destination', value: 'intro'}]],
+      ['%E9', [{type: 'destination', value: '%E9'}]],
+      [
+        'page=2&zoom=50&NamedDest=a%20b',
+        [
+          {type: 'page', value: '2'},
+          {type: 'destination', value: 'a b'}
+        ]
+      ],
+      ['&view=Fit&search=a', []]
+    ]
+
+    for (const [value, expected] of cases) {
+      assert.deepEqual(parsePdfFragment(value), expected, value)
+    }
+  })
+
+  await t.test('should read objects in object streams', async function () {
+    /** @type {Array<[number: number, value: string]>} */
+    const objects = [
+      [7, '<< /Type /Catalog /Pages 2 0 R /Dests 8 0 R >>'],
+      [2, '<< /Count 9 >>'],
+      [8, '<< /A#20b [] /#C3#A9 [] /#E8 [] >>']
+    ]
+    let header = ''
+    let body = ''
+
+    for (const [number, value] of objects) {
+      header += number + ' ' + body.length + ' '
+      body += value + '\n'
+    }
+
+    const result = await parsePdf(
+      createPdf([
+        '<< /Type /ObjStm /N 3 /First ' +
+          header.length +
+          ' /Filter /FlateDecode >>\nstream\n' +
+          String.fromCharCode(...zlib.deflateSync(header + body)) +
+          '\nendstream',
+        // Objects outside object streams win.
+        '<< /Type /Pages /Count 2 >>',
+        // Broken data.
+        '<< /Type /ObjStm /N 1 /First 4 /Filter /FlateDecode >>\nstream\nxyz\nendstream',
+        // Broken header.
+        '<< /Type /ObjStm /N 1 /First 9 /Filter /FlateDecode >>\nstream\r\n' +
+          String.fromCharCode(...zlib.deflateSync('<< >>')) +
+          '\rendstream',
+        // Unsupported filter.
+        '<< /Type /ObjStm /N 1 /First 4 >>\nstream\n9 0 obj << /Type /Catalog >>\nendstream',
+        '<< /Type /XRef /Root 7 0 R >>'
+      ])
+    )
+
+    assert.deepEqual(result, {
+      destinations: new Set(['A b', 'é', 'è']),
+      pages: 2
+    })
+  })
+
+  await t.test('should stop inflating large object streams', async function () {
+    const body = '9 0 << /Type /Catalog /Dests << /a [] >> >>'
+    const stream =
+      '<< /Type /ObjStm /N 1 /First 4 /Filter /FlateDecode >>\nstream\n' +
+      String.fromCharCode(...zlib.deflateSync(body)) +
+      '\nendstream'
+    const large =
+      '<< /Type /ObjStm /N 1 /First 4 /Filter /FlateDecode >>\nstream\n' +
+      toBinaryString(zlib.deflateSync(new Uint8Array(17 * 1024 * 1024))) +
+      '\nendstream'
+
+    assert.deepEqual(await parsePdf(createPdf([stream]), 64), {
+      destinations: new Set(['a']),
+      pages: undefined
+    })
+    assert.deepEqual(await parsePdf(createPdf([stream, stream]), 64), {
+      destinations: undefined,
+      pages: undefined
+    })
+    assert.deepEqual(await parsePdf(createPdf([stream, large])), {
+      destinations: undefined,
+      pages: undefined
+    })
+  })
+
+  await t.test('should read name trees', async function () {
+    const result = await parsePdf(
+      createPdf(
+        [
+          '<< /Type /Catalog /Names 2 0 R /Pages 3 0 R >>',
+          '<< /Dests << /Kids [4 0 R 5 0 R 6 0 R 4 0 R] >> >>',
+          '<< /Type /Pages /Count 4 0 R >>',
+          '<< /Names [(a\\(b\\)c\\n\\101\\0121 (d) \\\r\ne\\\nf\\x) 1 <6 16 26> 1 /c 1 <FEFF00e9> 1] >>',
+          '<< /Names 7 0 R /Kids 4 0 R >>',
+          '[1 0 R]',
+          '[(d) 1 (e)]'
+        ],
+        '<< /Root 1 0 R >>'
+      )
+    )
+
+    assert.deepEqual(result, {
+      destinations: new Set(['a(b)c\nA\n1 (d) efx', 'ab`', 'é', 'd', 'e']),
+      pages: undefined
+    })
+  })
+
+  await t.test('should detect encryption', async function () {
+    assert.deepEqual(
+      await parsePdf(
+        createPdf([
+          '<< /Type /Catalog /Dests << /a 1 >> >>',
+          '<< /Type /XRef /Encrypt 3 0 R >>'
+        ])
+      ),
+      {destinations: undefined, pages: undefined}
+    )
+    assert.deepEqual(
+      await parsePdf(
+        createPdf([
+          '<< /Type /Catalog /Dests << /a 1 >> >>',
+          '<< /Encrypt true >>'
+        ])
+      ),
+      {destinations: new Set(['a']), pages: undefined}
+    )
+  })
+
+  await t.test('should support broken PDFs', async function () {
+    /** @type {Array<[value: string, expected: Pdf]>} */
+    const cases = [
+      ['', {destinations: undefined, pages: undefined}],
+      ['1 0 obj', {destinations: undefined, pages: undefined}],
+      ['trailer <<', {destinations: undefined, pages: undefined}],
+      [
+        '1 0 obj << /Type /Catalog /Pages 1 0 R /Count 2 >> endobj',
+        {destinations: new Set([]), pages: 2}
+      ],
+      [
+        '1 0 obj << /Type /Catalog /Pages 2 0 R >> endobj 2 0 obj 2 0 R endobj',
+        {destinations: new Set([]), pages: undefined}
+      ],
+      [
+        '1 0 obj % x\r\n<< /Type /Catalog /Dests << 1 2 /a null >> /Pages << /Count [ ) 1.0 0 R ] >> >> endobj',
+        {destinations: new Set(['a']), pages: undefined}
+      ],
+      [
+        '1 0 obj << /Type /Catalog /Pages << /Count -.5 >> >> endobj',
+        {destinations: new Set([]), pages: -0.5}
+      ],
+      [
+        '1 0 obj << /Type /Catalog /Dests << /a <61',
+        {destinations: new Set(['a']), pages: undefined}
+      ],
+      [
+        '1 0 obj << /Type /Catalog /Dests << /a [ (b',
+        {destinations: new Set(['a']), pages: undefined}
+      ],
+      [
+        '1 0 obj << /Type /ObjStm /N 1 /First 4 /Filter /FlateDecode >> stream\n',
+        {destinations: undefined, pages: undefined}
+      ]
+    ]
+
+    for (const [value, expected] of cases) {
+      // eslint-disable-next-line no-await-in-loop
+      assert.deepEqual(await parsePdf(value), expected, value)
+    }
+  })
+
+  await t.test('should turn bytes into characters', async function () {
+    assert.equal(
+      toBinaryString(new Uint8Array(10_000).fill(0xe9)),
+      'é'.repeat(10_000)
+    )
+  })
+})
+
+test('robots (internal util)', async function (t) {
+  await t.test('should work', async function () {
+    const robots = parseRobots(
+      [
+        '# Comment.',
+        'Sitemap: https://example.com/sitemap.xml',
+        'Disallow: /ignored-without-group',
+        'User-agent: a',
+        'User-agent: b # Comment.',
+        'Disallow: /x',
+        'Crawl-delay: 2',
+        '',
+        'User-agent: *',
+        'Disallow: /',
+        'Crawl-delay: nope'
+      ].join('\r\n'),
+      'B/1.0'
+    )
+
+    assert.deepEqual(robots, {
+      crawlDelay: 2,
+      rules: [{allow: false, path: '/x'}]
+    })
+  })
+
+  await t.test('should fall back to `*`', async function () {
+    assert.deepEqual(
+      parseRobots('User-agent: a\nDisallow: /a\nUser-agent: *\nDisallow:', 'b'),
+      {crawlDelay: undefined, rules: []}
+    )
+  })
+
+  await t.test('should combine groups', async function () {
+    assert.deepEqual(
+      parseRobots(
+        'User-agent: a\nDisallow: /a\n\nUser-agent: ab\nDisallow: /b\n\nUser-agent: ab\nAllow: /c',
+        'ab'
+      ).rules,
+      [
+        {allow: false, path: '/b'},
+        {allow: true, path: '/c'}
+      ]
+    )
+  })
+
+  await t.test('should match the most specific rule', async function () {
+    const robots = parseRobots(
+      'User-agent: *\nDisallow: /a\nAllow: /a/b\nDisallow: /*.pdf$\nAllow: /c\nDisallow: /c',
+      'x'
+    )
+
+    assert.equal(isAllowed(robots, '/'), true)
+    assert.equal(isAllowed(robots, '/a'), false)
+    assert.equal(isAllowed(robots, '/a/b/c'), true)
+    assert.equal(isAllowed(robots, '/x.pdf'), false)
+    assert.equal(isAllowed(robots, '/x.pdf?y'), true)
+    assert.equal(isAllowed(robots, '/c'), true)
+  })
+})
+
+/**
+ * @returns {Map<string, Result>}
+ */
+function createResults() {
+  const dead = new VFileMessage(
+    'Unexpected not ok response `404` (`Not Found`) on `https://example.com/a`',
+    {ruleId: 'dead', source: 'dead-or-alive'}
+  )
+  dead.fatal = true
+  dead.url = 'https://github.com/wooorm/dead-or-alive#dead'
+  const warning = new VFileMessage(
+    'Unexpected hash in URL `https://example.com/a#<b>` & "c"',
+    {ruleId: 'lost-hash-with-redirect', source: 'dead-or-alive'}
+  )
+  warning.url =
+    'https://github.com/wooorm/dead-or-alive#lost-hash-with-redirect'
+  const unknown = new VFileMessage(
+    'Unexpected rate limit response `429` (`Too Many Requests`) on `https://example.com/c`, try again later',
+    {ruleId: 'rate-limited', source: 'dead-or-alive'}
+  )
+  unknown.fatal = true
+  unknown.url = 'https://github.com/wooorm/dead-or-alive#rate-limited'
+  const bare = new VFileMessage('Something\r\nelse, 100%: yes')
+  bare.fatal = true
+
+  return new Map([
+    ['https://example.com/', createResult('alive', [], 120)],
+    ['https://example.com/a', createResult('dead', [dead, warning], 30)],
+    ['https://example.com/c', createResult('unknown', [unknown], 1000)],
+    ['https://example.com/d', createResult('dead', [bare], 5)]
+  ])
+}
+
+/**
+ * @param {Result['status']} status
+ * @param {Array<VFileMessage>} messages
+ * @param {number} [total=0]
+ * @returns {Result}
+ */
+function createResult(status, messages, total = 0) {
+  const base = {
+    headers: undefined,
+    permanent: undefined,
+    redirects: [],
+    statusText: undefined,
+    timings: {firstByte: undefined, sleep: 0, total},
+    urls: undefined
+  }
+
+  if (status === 'alive') {
+    return {
+      ...base,
+      messages,
+      status,
+      statusCode: 200,
+      url: 'https://example.com/'
+    }
+  }
+
+  const [first, ...rest] = messages
+
+  return {
+    ...base,
+    messages: [first, ...rest],
+    status,
+    statusCode: status === 'unknown' ? 429 : undefined,
+    url: undefined
+  }
+}
+
+/**
+ * @param {Array<string>} flags
+ * @param {string | undefined} [input]
+ * @returns {Promise<{code: number | null, stderr: string, stdout: string}>}
+ */
+async function run(flags, input) {
+  const child = spawn(process.execPath, [cli, ...flags])
+  let stderr = ''
+  let stdout = ''
+
+  child.stderr.setEncoding('utf8')
+  child.stdout.setEncoding('utf8')
+  child.stderr.on('data', function (/** @type {string} */ data) {
+    stderr += data
+  })
+  child.stdout.on('data', function (/** @type {string} */ data) {
+    stdout += data
+  })
+  child.stdin.end(input)
+
+  /** @type {number | null} */
+  const code = await new Promise(function (resolve) {
+    child.on('close', resolve)
+  })
+
+  return {code, stderr, stdout}
+}
+
+/**
+ * @returns {Cache & {map: Map<string, CacheEntry>}}
+ */
+function createCache() {
+  /** @type {Map<string, CacheEntry>} */
+  const map = new Map()
+
+  return {
+    get(key) {
+      return map.get(key)
+    },
+    map,
+    set(key, value) {
+      map.set(key, value)
+      return undefined
+    }
+  }
+}
+
+/**
+ * @param {Array<string>} objects
+ *   Objects, numbered from `1`.
+ * @param {string | undefined} [trailer]
+ *   Trailer dictionary.
+ * @returns {string}
+ *   PDF (bytes as characters).
+ */
+function createPdf(objects, trailer) {
+  return [
+    '%PDF-1.7',
+    '%\u00E2\u00E3\u00CF\u00D3',
+    ...objects.map(function (d, index) {
+      return index + 1 + ' 0 obj\n' + d + '\nendobj'
+    }),
+    ...(trailer ? ['trailer', trailer] : []),
+    '%%EOF'
+  ].join('\n')
+}
+
+/**
+ * @param {string} value
+ *   Bytes as characters.
+ * @returns {Uint8Array}
+ *   Bytes.
+ */
+function toBytes(value) {
+  return Uint8Array.from(value, function (d) {
+    return d.charCodeAt(0)
+  })
+}
+
+/**
+ * @param {MockAgent} mockAgent
+ * @returns {undefined}
+ */
+function mockSite(mockAgent) {
+  const interceptable = mockAgent.get('https://example.com')
+  const html = {headers: {'Content-type': 'text/html'}}
+
+  interceptable
+    .intercept({path: '/docs/'})
+    .reply(
+      200,
+      '<a href=a>a</a><a href=b#x>b</a><a href=/>c</a><a href=https://example.org>d</a><a href=mailto:a@example.com>e</a>',
+      html
+    )
+  interceptable
+    .intercept({path: '/docs/a'})
+    .reply(200, '<a href=missing>a</a><a href=b#y>b</a>', html)
+  // Only one reply: pages are not fetched again for their hashes.
+  interceptable
+    .intercept({path: '/docs/b'})
+    .reply(200, '<h1 id=x>x</h1><a href=a>a</a>', html)
+  interceptable.intercept({path: '/docs/missing'}).reply(404)
+  interceptable.intercept({path: '/'}).reply(200, 'ok', html)
+  mockAgent
+    .get('https://example.org')
+    .intercept({path: '/'})
+    .reply(200, 'ok', html)
+}
+
 /**
  * @param {number} retries
  * @returns {number}